@@ -0,0 +1,84 @@
+// The generator as a library, for Node and other hosts without a DOM. Everything here runs without a page:
+// the pixel pipeline, the palette helpers, the shape layouts and the renderer, with the pure-JavaScript
+// raster backend standing in for the canvas where there is none.
+//
+//     import {renderPNG, defaultSettings} from "random-album-art-gen";
+//     const bytes = await renderPNG({seed: "42", palette: ["#d8b12b", "#6493da"], settings: defaultSettings,
+//         width: 3000, height: 3000});
+
+import {renderCoverBands} from "./render.js";
+import {encodePNG} from "./png-encoder.js";
+import {embedMetadata} from "./metadata.js";
+import {createRasterCanvas} from "./raster.js";
+import {encodeAnimation} from "./animation.js";
+
+export {previewScale, previewSize, renderBlurMap, renderCover, renderCoverBands} from "./render.js";
+export {fitSize, formatName, formatSet, outputFormats, parseSize} from "./formats.js";
+export {
+    applyNoise,
+    createImageData,
+    enhanceContrast,
+    generateBlurMap,
+    grainBlendModes,
+    variableBoxBlurImageData
+} from "./pipeline.js";
+export {defaultChain, defaultStage, filters, lookPresets, normalizeChain, registerFilter} from "./filters.js";
+export {createDitherState, ditherImageData, ditherMethods, floydSteinbergDitherImageData} from "./dither.js";
+export {createNoiseField, noiseTypes} from "./noise.js";
+export {
+    apcaContrast,
+    contrastFallbacks,
+    contrastMethods,
+    getBrightness,
+    getContrastingColors,
+    getGradientColors,
+    getSortedPalette,
+    gradientSpaces,
+    gradientStops,
+    hexToRGB,
+    interpolateColor,
+    pickContrastingColors
+} from "./palette.js";
+export {normalizeHex, paletteFormats, parsePalette, serializePalette} from "./palette-formats.js";
+export {
+    blendModes,
+    defaultLayout,
+    drawComposition,
+    fillModes,
+    generateLimitedPaletteComposition,
+    layoutPresets,
+    normalizeLayout,
+    placements,
+    registerFillMode,
+    registerPlacement,
+    registerShapeType,
+    shapeTypes
+} from "./shapes.js";
+export {builtInPalettes, defaultSettings, normalizeSettings, settingControls} from "./settings.js";
+export {consecutiveSeeds, createRandom, hashSeed, randomSeed} from "./random.js";
+export {embedMetadata, readMetadata} from "./metadata.js";
+export {encodeAPNG, encodePNG} from "./png-encoder.js";
+export {encodeGIF} from "./gif-encoder.js";
+export {animationFormats, animationPhases, encodeAnimation, renderAnimationFrames} from "./animation.js";
+export {createRasterCanvas} from "./raster.js";
+
+/**
+ * Renders the cover of a job {seed, palette, settings, width, height} as a PNG with the job embedded as
+ * generation metadata (so the page can load its settings again). Resolves with the file's bytes.
+ * The image is rendered and encoded in bands. createCanvas defaults to the pure-JavaScript raster backend.
+ */
+export async function renderPNG(job, onProgress = () => {}, createCanvas = createRasterCanvas) {
+    const blob = await encodePNG(job.width, job.height, renderCoverBands(job, createCanvas, onProgress));
+    return embedMetadata(new Uint8Array(await blob.arrayBuffer()), job);
+}
+
+/**
+ * Renders the seamless loop of a job (see renderPNG) lasting options.duration seconds at options.fps frames a
+ * second, as options.format "gif" or "apng"; an animated PNG gets the job embedded as generation metadata.
+ * Resolves with the file's bytes.
+ */
+export async function renderAnimation(job, options, onProgress = () => {}, createCanvas = createRasterCanvas) {
+    const blob = await encodeAnimation(job, options, createCanvas, onProgress);
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return options.format === "apng" ? embedMetadata(bytes, job) : bytes;
+}
@@ -0,0 +1,179 @@
+import {animationFormats, animationPhases} from "./animation.js";
+import {downloadBlob} from "./download.js";
+import {embedMetadata} from "./metadata.js";
+import {fitSize} from "./formats.js";
+
+// File name extensions of the animation formats
+const animationExtensions = {gif: "gif", apng: "png", webm: "webm"};
+
+// WebM codecs to record with, most preferred first
+const webmTypes = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+// Most pixels the frames of a WebM video may have in all (width × height × frames, about 600 MB as RGBA):
+// they are all kept until the video is recorded.
+const maxWebMPixels = 150000000;
+
+/**
+ * Wires up the animation panel: renders the current cover as a seamless loop of a given length and frame
+ * rate, shows it in the panel and downloads it as a GIF, an animated PNG (with the generation metadata of its
+ * first frame) or a WebM video.
+ * options:
+ * - getJob() returns the {seed, palette, settings, artist, title, width, height} to animate; the animation has
+ *   the aspect ratio of width × height, its longer side as long as the size entered,
+ * - exportAnimation(job, {format, duration, fps}, onProgress) resolves with the Blob of a GIF or APNG loop,
+ * - renderFrame(job, onProgress) resolves with the ImageData of one frame (a job with a phase),
+ * - fileName(job) returns the file name, without extension, of an animation.
+ * Tasks reject with an AbortError once a newer one replaced them.
+ */
+export function initAnimationPanel(elements, options) {
+    const {formatSelect, durationInput, fpsInput, sizeInput, renderBtn, downloadBtn, progress, preview} = elements;
+
+    // The last animation rendered: {blob, fileName}
+    let result = null;
+    // Incremented for every animation so an older one stops when a new one starts.
+    let animationId = 0;
+
+    for (const [value, label] of Object.entries(animationFormats)) {
+        formatSelect.add(new Option(label, value));
+    }
+
+    renderBtn.addEventListener("click", renderAnimation);
+    downloadBtn.addEventListener("click", () => {
+        if (!result) {
+            alert("Render an animation first.");
+            return;
+        }
+        downloadBlob(result.blob, result.fileName);
+    });
+
+    async function renderAnimation() {
+        const format = formatSelect.value;
+        const duration = Number(durationInput.value);
+        const fps = Math.round(Number(fpsInput.value));
+        const size = Math.round(Number(sizeInput.value));
+        if (!(duration > 0) || !(fps >= 1) || !(size >= 1)) {
+            alert("Enter the length, frame rate and size of the animation.");
+            return;
+        }
+        if (format === "webm" && !webmType()) {
+            alert("This browser cannot record WebM videos.");
+            return;
+        }
+
+        const frame = options.getJob();
+        const job = {...frame, ...fitSize(frame.width, frame.height, size)};
+        if (format === "webm" && job.width * job.height * animationPhases(duration, fps).length > maxWebMPixels) {
+            alert("A WebM video this long and large does not fit in memory. Lower its size, length or frame rate.");
+            return;
+        }
+
+        const id = ++animationId;
+        showProgress(0);
+        let blob;
+        try {
+            if (format === "webm") {
+                blob = await recordWebM(job, duration, fps, () => id !== animationId);
+            } else {
+                blob = await options.exportAnimation(job, {format, duration, fps}, showProgress);
+                if (format === "apng") {
+                    blob = new Blob([embedMetadata(new Uint8Array(await blob.arrayBuffer()), job)], {type: blob.type});
+                }
+            }
+        } catch (error) {
+            // A newer animation took over.
+            if (error.name === "AbortError") return;
+            progress.hidden = true;
+            alert("Rendering the animation failed: " + error.message);
+            return;
+        }
+        if (!blob || id !== animationId) return;
+        progress.hidden = true;
+        result = {blob, fileName: options.fileName(job) + "." + animationExtensions[format]};
+        showPreview(blob, format);
+    }
+
+    /**
+     * Renders every frame, then plays them in real time on a canvas while a MediaRecorder records it.
+     * Resolves with the video, or with null if stopped() turned true on the way.
+     */
+    async function recordWebM(job, duration, fps, stopped) {
+        const phases = animationPhases(duration, fps);
+        // Kept as bitmaps, which the browser may hold outside the page's memory
+        const frames = [];
+        try {
+            for (let i = 0; i < phases.length; i++) {
+                const imageData = await options.renderFrame({...job, phase: phases[i]},
+                    fraction => showProgress((i + fraction) / phases.length));
+                frames.push(await createImageBitmap(imageData));
+                if (stopped()) return null;
+            }
+            return await recordFrames(frames, job, fps, stopped);
+        } finally {
+            for (const bitmap of frames) {
+                bitmap.close();
+            }
+        }
+    }
+
+    /**
+     * Plays the frames (ImageBitmaps) at the frame rate on a canvas while a MediaRecorder records it.
+     */
+    async function recordFrames(frames, job, fps, stopped) {
+        const canvas = document.createElement("canvas");
+        canvas.width = job.width;
+        canvas.height = job.height;
+        const ctx = canvas.getContext("2d");
+        // Frames are only captured when requested, so each one is recorded exactly once.
+        const stream = canvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const recorder = new MediaRecorder(stream, {mimeType: webmType()});
+        const chunks = [];
+        recorder.addEventListener("dataavailable", event => chunks.push(event.data));
+        const finished = new Promise(resolve => recorder.addEventListener("stop", resolve));
+
+        // The recorder timestamps frames as they come, so they are drawn at the frame rate.
+        recorder.start();
+        const start = performance.now();
+        for (let i = 0; i < frames.length; i++) {
+            ctx.drawImage(frames[i], 0, 0);
+            track.requestFrame();
+            await new Promise(resolve => setTimeout(resolve, start + (i + 1) * 1000 / fps - performance.now()));
+        }
+        recorder.stop();
+        await finished;
+        track.stop();
+        return stopped() ? null : new Blob(chunks, {type: "video/webm"});
+    }
+
+    /**
+     * Shows the animation looping in the panel.
+     */
+    function showPreview(blob, format) {
+        for (const element of preview.querySelectorAll("img, video")) {
+            URL.revokeObjectURL(element.src);
+        }
+        let element;
+        if (format === "webm") {
+            element = document.createElement("video");
+            element.loop = element.muted = element.autoplay = true;
+        } else {
+            element = document.createElement("img");
+            element.alt = "Animation preview";
+        }
+        element.src = URL.createObjectURL(blob);
+        preview.replaceChildren(element);
+    }
+
+    function showProgress(value) {
+        progress.value = value;
+        progress.hidden = false;
+    }
+}
+
+/**
+ * Returns the WebM type this browser records, or undefined if it cannot record WebM.
+ */
+function webmType() {
+    if (typeof MediaRecorder === "undefined") return undefined;
+    return webmTypes.find(type => MediaRecorder.isTypeSupported(type));
+}
@@ -0,0 +1,54 @@
+// Looping animations of a cover: the frames are renders of the same job at phases spread evenly over one
+// loop (see render.js), encoded as an animated GIF or PNG. Has no DOM dependency; the page records WebM videos
+// from the frames itself.
+
+import {renderCover} from "./render.js";
+import {encodeAPNG} from "./png-encoder.js";
+import {encodeGIF} from "./gif-encoder.js";
+
+/**
+ * Animation formats by value: the encoded ones and "webm", recorded on the page with MediaRecorder.
+ */
+export const animationFormats = {
+    "gif": "GIF",
+    "apng": "Animated PNG",
+    "webm": "WebM video"
+};
+
+/**
+ * Returns the phases (0 to 1) of the frames of a loop lasting `duration` seconds at `fps` frames a second.
+ * The last frame stops one step short of phase 1, which is the first frame again.
+ */
+export function animationPhases(duration, fps) {
+    const count = Math.max(1, Math.round(duration * fps));
+    return Array.from({length: count}, (_, index) => index / count);
+}
+
+/**
+ * Renders the frames of the loop of a job {seed, palette, settings, width, height, …} lasting `duration`
+ * seconds at `fps` frames a second, yielding the ImageData of each in turn.
+ * onProgress receives the completed fraction of all frames (0 to 1).
+ */
+export function* renderAnimationFrames(job, {duration, fps}, createCanvas, onProgress = () => {}) {
+    const phases = animationPhases(duration, fps);
+    for (let i = 0; i < phases.length; i++) {
+        yield renderCover({...job, phase: phases[i]}, createCanvas,
+            fraction => onProgress((i + fraction) / phases.length));
+    }
+}
+
+/**
+ * Renders the loop of a job and encodes it as options.format, "gif" or "apng". options also holds the
+ * `duration` (in seconds) and `fps`. Resolves with a Blob.
+ */
+export async function encodeAnimation(job, options, createCanvas, onProgress = () => {}) {
+    const frames = renderAnimationFrames(job, options, createCanvas, onProgress);
+    switch (options.format) {
+        case "gif":
+            return encodeGIF(job.width, job.height, frames, options.fps);
+        case "apng":
+            return encodeAPNG(job.width, job.height, frames, options.fps);
+        default:
+            throw new Error("Animations can only be encoded as GIF or animated PNG.");
+    }
+}
@@ -0,0 +1,158 @@
+import {consecutiveSeeds} from "./random.js";
+import {createZip} from "./zip.js";
+import {downloadBlob} from "./download.js";
+import {fitSize} from "./formats.js";
+
+// Size (in pixels) of the batch thumbnails' longer side
+const thumbnailSize = 160;
+
+/**
+ * Wires up batch mode: renders a number of variations from consecutive seeds with the same palette and
+ * settings as a grid of thumbnails, which can be starred, opened at full size and downloaded as a ZIP
+ * together with a manifest of every file's parameters.
+ * options:
+ * - getJob() returns the {seed, palette, settings, width, height} the batch starts from (the thumbnails have
+ *   the aspect ratio of width × height),
+ * - renderThumbnail(job, onProgress) resolves with the ImageData of a job (rejecting with an AbortError
+ *   once a newer render replaced it),
+ * - open(job) shows a variation in the main view,
+ * - exportFile(job, onProgress) resolves with {fileName, bytes, metadata} of the exported image.
+ */
+export function initBatchPanel(elements, options) {
+    const {countInput, renderBtn, grid, progress, downloadStarredBtn, downloadAllBtn} = elements;
+
+    // The variations of the current batch: {job, starred}
+    let items = [];
+    // Incremented for every batch so an older one stops when a new one starts.
+    let batchId = 0;
+
+    renderBtn.addEventListener("click", renderBatch);
+    downloadStarredBtn.addEventListener("click", () => {
+        const starred = items.filter(item => item.starred);
+        if (starred.length === 0) {
+            alert("Star the variations to download first.");
+            return;
+        }
+        downloadZip(starred);
+    });
+    downloadAllBtn.addEventListener("click", () => {
+        if (items.length === 0) {
+            alert("Render a batch first.");
+            return;
+        }
+        downloadZip(items);
+    });
+
+    /**
+     * Renders the thumbnails of a new batch one after the other.
+     */
+    async function renderBatch() {
+        const count = Math.round(Number(countInput.value));
+        if (!(count >= 1)) {
+            alert("Enter the number of variations.");
+            return;
+        }
+        const id = ++batchId;
+        const {seed, palette, settings, width, height} = options.getJob();
+        items = consecutiveSeeds(seed, count).map(itemSeed => ({job: {seed: itemSeed, palette, settings}, starred: false}));
+        const size = fitSize(width, height, thumbnailSize);
+
+        grid.replaceChildren();
+        const canvases = items.map(item => createThumbnail(item, size));
+        showProgress(0);
+        for (let i = 0; i < items.length; i++) {
+            let imageData;
+            try {
+                imageData = await options.renderThumbnail(
+                    {...items[i].job, ...size},
+                    fraction => showProgress((i + fraction) / items.length));
+            } catch (error) {
+                // A newer batch took over.
+                if (error.name === "AbortError") return;
+                progress.hidden = true;
+                alert("Rendering failed: " + error.message);
+                return;
+            }
+            if (id !== batchId) return;
+            canvases[i].getContext("2d").putImageData(imageData, 0, 0);
+        }
+        progress.hidden = true;
+    }
+
+    /**
+     * Adds the grid cell of a variation (its canvas of the given {width, height}, seed and star button) and
+     * returns the canvas.
+     */
+    function createThumbnail(item, {width, height}) {
+        const cell = document.createElement("div");
+        cell.className = "thumbnail";
+
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        canvas.title = "Open seed " + item.job.seed;
+        canvas.addEventListener("click", () => options.open(item.job));
+
+        const star = document.createElement("button");
+        star.type = "button";
+        star.title = "Star";
+        star.textContent = "☆";
+        star.addEventListener("click", () => {
+            item.starred = !item.starred;
+            star.textContent = item.starred ? "★" : "☆";
+            cell.classList.toggle("starred", item.starred);
+        });
+
+        const label = document.createElement("span");
+        label.textContent = item.job.seed;
+
+        cell.append(canvas, star, label);
+        grid.appendChild(cell);
+        return canvas;
+    }
+
+    /**
+     * Exports the given variations one after the other and downloads them as a ZIP with a manifest.
+     */
+    async function downloadZip(selected) {
+        const files = [];
+        const manifest = {generator: "random-album-art-gen", created: new Date().toISOString(), files: []};
+        const usedNames = new Set();
+        showProgress(0);
+        try {
+            for (let i = 0; i < selected.length; i++) {
+                const {fileName, bytes, metadata} = await options.exportFile(
+                    selected[i].job, fraction => showProgress((i + fraction) / selected.length));
+                const name = uniqueName(fileName, usedNames);
+                files.push({name, data: bytes});
+                manifest.files.push({file: name, starred: selected[i].starred, ...metadata});
+            }
+        } catch (error) {
+            // A cancelled export has already been replaced by a newer one.
+            if (error.name === "AbortError") return;
+            progress.hidden = true;
+            alert("Export failed: " + error.message);
+            return;
+        }
+        files.push({name: "manifest.json", data: JSON.stringify(manifest, null, 2)});
+        progress.hidden = true;
+        downloadBlob(createZip(files), "album-art-batch-" + selected[0].job.seed + ".zip");
+    }
+
+    function showProgress(value) {
+        progress.value = value;
+        progress.hidden = false;
+    }
+}
+
+/**
+ * Returns the file name, numbered ("name-2.png") if it is already used, and marks it as used.
+ */
+function uniqueName(fileName, usedNames) {
+    let name = fileName;
+    for (let n = 2; usedNames.has(name); n++) {
+        name = fileName.replace(/(\.[^.]*)?$/, extension => "-" + n + extension);
+    }
+    usedNames.add(name);
+    return name;
+}
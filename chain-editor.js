@@ -0,0 +1,230 @@
+import {defaultStage, filters, maxChainLength, normalizeChain} from "./filters.js";
+
+// localStorage key of the user's saved looks ({name: stages})
+const looksStorageKey = "albumArt.lookPresets";
+
+/**
+ * Wires up the post-processing chain editor: one row per stage with its filter, its parameters and a switch,
+ * stages that can be added, duplicated, removed and reordered, and named looks (whole chains): built-in ones
+ * and ones saved in localStorage.
+ * builtInLooks maps look names to chains that are always available and cannot be deleted.
+ * Calls onChange(stages) whenever the chain changes and returns {getStages, setStages}.
+ */
+export function initChainEditor(elements, builtInLooks, initialStages, onChange) {
+    const {list, addFilterSelect, addStageBtn, lookSelect, lookNameInput, saveLookBtn, deleteLookBtn} = elements;
+
+    let stages = copyStages(initialStages);
+
+    for (const [name, filter] of Object.entries(filters)) {
+        addFilterSelect.appendChild(new Option(filter.label, name));
+    }
+    addStageBtn.addEventListener("click", () => {
+        if (stages.length >= maxChainLength) return;
+        stages.push(defaultStage(addFilterSelect.value));
+        changed();
+    });
+
+    lookSelect.addEventListener("change", () => {
+        const look = builtInLooks[lookSelect.value] || loadSavedLooks()[lookSelect.value];
+        if (look) {
+            stages = normalizeChain(look);
+            changed();
+        }
+    });
+
+    saveLookBtn.addEventListener("click", () => {
+        const name = lookNameInput.value.trim();
+        if (!name) {
+            alert("Enter a name for the look.");
+            return;
+        }
+        if (builtInLooks[name]) {
+            alert("\"" + name + "\" is a built-in look. Choose another name.");
+            return;
+        }
+        saveLooks({...loadSavedLooks(), [name]: copyStages(stages)});
+        lookNameInput.value = "";
+        renderLookOptions();
+    });
+
+    deleteLookBtn.addEventListener("click", () => {
+        const looks = loadSavedLooks();
+        if (!looks[lookSelect.value]) return;
+        delete looks[lookSelect.value];
+        saveLooks(looks);
+        renderLookOptions();
+    });
+
+    renderStages();
+    renderLookOptions();
+
+    return {
+        getStages: () => copyStages(stages),
+        setStages(newStages) {
+            stages = copyStages(newStages);
+            changed();
+        }
+    };
+
+    function changed() {
+        renderStages();
+        selectMatchingLook();
+        onChange(copyStages(stages));
+    }
+
+    /**
+     * Draws one row per stage: its switch, filter, parameters and buttons.
+     */
+    function renderStages() {
+        list.replaceChildren();
+        stages.forEach((stage, index) => {
+            const row = document.createElement("div");
+            row.className = "stage";
+            row.classList.toggle("disabled", !stage.enabled);
+
+            const update = (key, value) => {
+                stage[key] = value;
+                selectMatchingLook();
+                onChange(copyStages(stages));
+            };
+
+            const enabled = document.createElement("input");
+            enabled.type = "checkbox";
+            enabled.title = "Enabled";
+            enabled.checked = stage.enabled;
+            enabled.addEventListener("change", () => {
+                update("enabled", enabled.checked);
+                row.classList.toggle("disabled", !stage.enabled);
+            });
+
+            const name = document.createElement("strong");
+            name.textContent = filters[stage.filter].label;
+
+            const params = filters[stage.filter].params.map(param => paramInput(param, stage[param.key],
+                value => update(param.key, value)));
+
+            const moveUp = stageButton("▲", "Move up", index > 0, () => moveStage(index, index - 1));
+            const moveDown = stageButton("▼", "Move down", index < stages.length - 1, () => moveStage(index, index + 1));
+            const duplicate = stageButton("⧉", "Duplicate", stages.length < maxChainLength, () => {
+                stages.splice(index + 1, 0, {...stage});
+                changed();
+            });
+            const remove = stageButton("✕", "Remove", true, () => {
+                stages.splice(index, 1);
+                changed();
+            });
+
+            row.append(enabled, name, ...params, moveUp, moveDown, duplicate, remove);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Returns a labelled input for a filter parameter: a select, a checkbox or a number.
+     */
+    function paramInput(param, value, onInput) {
+        const label = document.createElement("label");
+        let input;
+        if (param.options) {
+            input = document.createElement("select");
+            for (const [option, text] of param.options) {
+                input.appendChild(new Option(text, option));
+            }
+            input.value = value;
+            input.addEventListener("change", () => onInput(input.value));
+        } else if (param.type === "checkbox") {
+            input = document.createElement("input");
+            input.type = "checkbox";
+            input.checked = value;
+            input.addEventListener("change", () => onInput(input.checked));
+        } else {
+            input = document.createElement("input");
+            input.type = "number";
+            input.min = String(param.min);
+            input.max = String(param.max);
+            input.step = String(param.step);
+            input.value = String(value);
+            input.addEventListener("input", () => {
+                const number = Number(input.value);
+                if (input.value === "" || !(number >= param.min && number <= param.max)) return;
+                onInput(number);
+            });
+        }
+        label.append(param.label + " ", input);
+        return label;
+    }
+
+    function stageButton(text, title, enabled, onClick) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = text;
+        button.title = title;
+        button.disabled = !enabled;
+        button.addEventListener("click", onClick);
+        return button;
+    }
+
+    function moveStage(from, to) {
+        const [stage] = stages.splice(from, 1);
+        stages.splice(to, 0, stage);
+        changed();
+    }
+
+    function renderLookOptions() {
+        lookSelect.replaceChildren();
+        for (const name of Object.keys(builtInLooks)) {
+            lookSelect.appendChild(new Option(name, name));
+        }
+        const saved = Object.keys(loadSavedLooks());
+        if (saved.length > 0) {
+            const group = document.createElement("optgroup");
+            group.label = "Saved";
+            for (const name of saved) {
+                group.appendChild(new Option(name, name));
+            }
+            lookSelect.appendChild(group);
+        }
+        selectMatchingLook();
+    }
+
+    /**
+     * Selects the look the chain matches, if any.
+     */
+    function selectMatchingLook() {
+        const json = JSON.stringify(stages);
+        const looks = {...builtInLooks, ...loadSavedLooks()};
+        const name = Object.keys(looks).find(key => JSON.stringify(normalizeChain(looks[key])) === json);
+        if (name) {
+            lookSelect.value = name;
+        } else {
+            lookSelect.selectedIndex = -1;
+        }
+    }
+}
+
+function copyStages(stages) {
+    return stages.map(stage => ({...stage}));
+}
+
+/**
+ * Returns the looks saved by the user, dropping any that cannot be read.
+ */
+function loadSavedLooks() {
+    try {
+        const looks = JSON.parse(localStorage.getItem(looksStorageKey)) || {};
+        const result = {};
+        for (const [name, stages] of Object.entries(looks)) {
+            const chain = normalizeChain(stages);
+            if (chain) {
+                result[name] = chain;
+            }
+        }
+        return result;
+    } catch {
+        return {};
+    }
+}
+
+function saveLooks(looks) {
+    localStorage.setItem(looksStorageKey, JSON.stringify(looks));
+}
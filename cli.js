@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// Command line renderer: writes covers as PNG files without a browser, e.g.
+//
+//     album-art --seed 42 --palette brand.json --size 3000 --count 10 --out ./covers
+//
+// renders seeds 42 to 51 with the palette from brand.json into ./covers/album-art-42.png and so on.
+// With --format, every cover is written in each of the given formats (album-art-42-story.png, …).
+// Every file carries its generation metadata, so it can be loaded back into the page.
+
+import {mkdir, readFile, writeFile} from "node:fs/promises";
+import {join} from "node:path";
+import {parseArgs} from "node:util";
+import {
+    builtInPalettes,
+    consecutiveSeeds,
+    formatSet,
+    normalizeSettings,
+    outputFormats,
+    parsePalette,
+    parseSize,
+    randomSeed,
+    renderPNG
+} from "./album-art.js";
+
+const usage = `Usage: album-art [options]
+
+Options:
+  --seed <seed>        Seed of the first cover (default: a random one)
+  --palette <file>     Palette file: JSON, GIMP .gpl, Adobe .ase or .aco (default: the Default palette)
+  --settings <file>    JSON file of settings overriding the defaults, as in the page's settings
+  --size <pixels>      Size of the covers: 3000 for a square, 1080x1920 for a frame (default: 3000)
+  --format <names>     Write each cover in these formats instead, comma-separated, or "all":
+                       ${Object.keys(outputFormats).join(", ")}
+  --count <n>          Number of covers, from consecutive seeds (default: 1)
+  --out <directory>    Directory the PNG files are written to (default: the current directory)
+  --help               Show this help`;
+
+const options = {
+    seed: {type: "string"},
+    palette: {type: "string"},
+    settings: {type: "string"},
+    size: {type: "string"},
+    format: {type: "string"},
+    count: {type: "string", default: "1"},
+    out: {type: "string", default: "."},
+    help: {type: "boolean", default: false}
+};
+
+try {
+    await main(process.argv.slice(2));
+} catch (error) {
+    console.error("album-art: " + error.message);
+    process.exitCode = 1;
+}
+
+async function main(args) {
+    const {values} = parseArgs({args, options, strict: true});
+    if (values.help) {
+        console.log(usage);
+        return;
+    }
+
+    if (values.size !== undefined && values.format !== undefined) {
+        throw new Error("--size and --format cannot be combined");
+    }
+    const size = parseSize(values.size ?? "3000");
+    const count = Number(values.count);
+    if (!size) {
+        throw new Error("--size must be a whole number of pixels or width x height, got " + values.size);
+    }
+    const formats = values.format === "all"
+        ? Object.keys(outputFormats)
+        : values.format?.split(",").map(name => name.trim());
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error("--count must be a whole number of covers, got " + values.count);
+    }
+    const seed = values.seed?.trim() || randomSeed();
+    const palette = values.palette ? await readPalette(values.palette) : builtInPalettes["Default"];
+    const settings = normalizeSettings(values.settings ? JSON.parse(await readFile(values.settings, "utf8")) : {});
+
+    await mkdir(values.out, {recursive: true});
+    const seeds = consecutiveSeeds(seed, count);
+    // Checks the format names before anything is rendered.
+    const sets = seeds.map(coverSeed => {
+        const job = {seed: coverSeed, palette, settings};
+        return formats ? formatSet(job, formats) : [{format: null, job: {...job, ...size}}];
+    });
+    const total = sets.reduce((sum, set) => sum + set.length, 0);
+    let index = 0;
+    for (const set of sets) {
+        for (const {format, job} of set) {
+            const file = join(values.out, fileName(job.seed, format));
+            const bytes = await renderPNG(job, progress => reportProgress(index, total, job.seed, progress));
+            await writeFile(file, bytes);
+            reportDone(file);
+            index++;
+        }
+    }
+}
+
+/**
+ * Reads the colors of a palette file in any format parsePalette supports.
+ */
+async function readPalette(path) {
+    return parsePalette(new Uint8Array(await readFile(path)), path).colors;
+}
+
+/**
+ * Returns the file name of a cover (in a format, if given), with characters that are not allowed in file
+ * names replaced.
+ */
+function fileName(seed, format) {
+    return "album-art-" + seed.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, "_") + (format ? "-" + format : "") + ".png";
+}
+
+// Progress is shown on a single, rewritten line when writing to a terminal.
+function reportProgress(index, count, seed, progress) {
+    if (process.stderr.isTTY) {
+        process.stderr.write(`\r[${index + 1}/${count}] ${seed}: ${Math.round(progress * 100)}%`);
+    }
+}
+
+function reportDone(file) {
+    if (process.stderr.isTTY) {
+        process.stderr.clearLine(0);
+        process.stderr.cursorTo(0);
+    }
+    console.error("Wrote " + file);
+}
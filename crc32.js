@@ -0,0 +1,22 @@
+// CRC-32 (the checksum used by PNG chunks and ZIP entries).
+
+const crcTable = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable[n] = c;
+}
+
+/**
+ * Returns the CRC-32 of the given bytes. Pass the previous result as `crc` to continue a checksum
+ * over data that arrives in several pieces.
+ */
+export function crc32(bytes, crc = 0) {
+    let c = crc ^ 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        c = crcTable[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
@@ -0,0 +1,377 @@
+// Dithering: error diffusion (Floyd–Steinberg, Atkinson, Jarvis–Judice–Ninke, Stucki, Sierra) and ordered
+// dithering (Bayer matrices, blue noise). Pixels are quantised either to `shades` evenly spaced levels per
+// channel or to the nearest color of a palette by perceptual (OKLab) distance.
+//
+// Images can be dithered in bands, top to bottom: a dither state created once for the whole image carries the
+// diffused error and the row position from one band to the next, so the bands join without seams.
+
+import {createImageData} from "./pipeline.js";
+import {createRandom} from "./random.js";
+import {hexToRGB} from "./palette.js";
+import {rgbToOklab} from "./oklab.js";
+
+/**
+ * Error diffusion kernels: [dx, dy, weight] entries for the pixels after the current one, and the divisor.
+ */
+const diffusionKernels = {
+    "floyd-steinberg": {
+        divisor: 16,
+        entries: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    },
+    // Atkinson diffuses only 6/8 of the error, which keeps highlights and shadows clean.
+    "atkinson": {
+        divisor: 8,
+        entries: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+    },
+    "jarvis-judice-ninke": {
+        divisor: 48,
+        entries: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ]
+    },
+    "stucki": {
+        divisor: 42,
+        entries: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+        ]
+    },
+    "sierra": {
+        divisor: 32,
+        entries: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    }
+};
+
+// Rows below the current one that any kernel diffuses into
+const maxKernelDepth = 2;
+
+// Side of the tiled blue noise threshold matrix
+const blueNoiseSize = 64;
+
+/**
+ * Ordered dithering threshold matrices by method: {size, ranks} with every rank from 0 to size² - 1.
+ * The blue noise matrix is generated the first time it is needed.
+ */
+const orderedMatrices = {
+    "bayer-2": bayerMatrix(2),
+    "bayer-4": bayerMatrix(4),
+    "bayer-8": bayerMatrix(8),
+    "blue-noise": null
+};
+
+/**
+ * The dithering methods, by setting value.
+ */
+export const ditherMethods = {
+    "floyd-steinberg": "Floyd–Steinberg",
+    "atkinson": "Atkinson",
+    "jarvis-judice-ninke": "Jarvis–Judice–Ninke",
+    "stucki": "Stucki",
+    "sierra": "Sierra",
+    "bayer-2": "Bayer 2×2",
+    "bayer-4": "Bayer 4×4",
+    "bayer-8": "Bayer 8×8",
+    "blue-noise": "Blue noise"
+};
+
+/**
+ * Creates the state that carries the diffused error and the row position between the bands of an image.
+ */
+export function createDitherState(width) {
+    return {
+        y: 0,
+        rowsBelow: Array.from({length: maxKernelDepth}, () => new Float32Array(width * 4))
+    };
+}
+
+/**
+ * Floyd–Steinberg dithering to `shades` levels per channel, as the pipeline's one dithering step did before
+ * there were other methods. Kept for library users; ditherImageData does the same and more.
+ */
+export function floydSteinbergDitherImageData(imageData, shades) {
+    return ditherImageData(imageData, {method: "floyd-steinberg", shades});
+}
+
+/**
+ * Dithers the given ImageData and returns the result. Options:
+ * - method: one of ditherMethods (default "floyd-steinberg").
+ * - shades: number of levels per channel (at least 2), used when there is no palette.
+ * - palette: hex colors to snap every pixel to by OKLab distance instead of per-channel levels.
+ * - serpentine: scan every other row right to left, which avoids the diagonal "worms" of error diffusion.
+ * To dither an image in bands, pass the same state (see createDitherState) for every band, top to bottom.
+ */
+export function ditherImageData(imageData, options, state = createDitherState(imageData.width)) {
+    const {width, height} = imageData;
+    const {method = "floyd-steinberg", shades = 2, palette = null, serpentine = false} = options;
+    const quantize = palette ? paletteQuantizer(palette) : levelQuantizer(shades);
+    const data = new Float32Array(imageData.data);
+
+    if (diffusionKernels[method]) {
+        diffuseErrors(data, width, height, diffusionKernels[method], quantize, serpentine, state);
+    } else {
+        const matrix = orderedMatrix(method);
+        // Threshold offsets span one quantisation step (or the typical distance between palette colors).
+        const spread = palette ? paletteSpread(palette) : 255 / (Math.max(2, shades) - 1);
+        orderedDither(data, width, height, matrix, spread, quantize, state.y);
+    }
+    state.y += height;
+
+    const output = new Uint8ClampedArray(data.length);
+    for (let i = 0; i < data.length; i++) {
+        output[i] = data[i];
+    }
+    return createImageData(output, width, height);
+}
+
+/**
+ * Error diffusion: every pixel is quantised and its error passed on to the pixels after it by the kernel.
+ * The error for the rows below always goes through state.rowsBelow, so a band and the whole image
+ * are dithered with exactly the same arithmetic.
+ */
+function diffuseErrors(data, width, height, kernel, quantize, serpentine, state) {
+    const {rowsBelow} = state;
+    const offsetsX = kernel.entries.map(([dx]) => dx);
+    const offsetsY = kernel.entries.map(([, dy]) => dy);
+    const weights = kernel.entries.map(([, , weight]) => weight / kernel.divisor);
+    const pixel = new Float32Array(3);
+    for (let y = 0; y < height; y++) {
+        // Add the error diffused from the rows above, and shift the buffers up by one row.
+        const rowStart = y * width * 4;
+        const incoming = rowsBelow[0];
+        for (let i = 0; i < width * 4; i++) {
+            data[rowStart + i] += incoming[i];
+        }
+        incoming.fill(0);
+        rowsBelow.push(rowsBelow.shift());
+
+        const reverse = serpentine && (state.y + y) % 2 === 1;
+        for (let step = 0; step < width; step++) {
+            const x = reverse ? width - 1 - step : step;
+            const index = rowStart + x * 4;
+            for (let c = 0; c < 3; c++) {
+                pixel[c] = Math.max(0, Math.min(255, data[index + c]));
+            }
+            const quantized = quantize(pixel);
+            const errorR = pixel[0] - quantized[0];
+            const errorG = pixel[1] - quantized[1];
+            const errorB = pixel[2] - quantized[2];
+            data[index] = quantized[0];
+            data[index + 1] = quantized[1];
+            data[index + 2] = quantized[2];
+
+            for (let k = 0; k < weights.length; k++) {
+                const nx = reverse ? x - offsetsX[k] : x + offsetsX[k];
+                if (nx < 0 || nx >= width) continue;
+                const target = offsetsY[k] === 0 ? data : rowsBelow[offsetsY[k] - 1];
+                const offset = offsetsY[k] === 0 ? rowStart + nx * 4 : nx * 4;
+                target[offset] += errorR * weights[k];
+                target[offset + 1] += errorG * weights[k];
+                target[offset + 2] += errorB * weights[k];
+            }
+        }
+    }
+}
+
+/**
+ * Ordered dithering: every pixel is offset by its threshold from the tiled matrix, then quantised.
+ * The matrix is anchored at the image's top-left corner, so rowOffset places a band within the image.
+ */
+function orderedDither(data, width, height, {size, ranks}, spread, quantize, rowOffset) {
+    const cells = size * size;
+    const pixel = new Float32Array(3);
+    for (let y = 0; y < height; y++) {
+        const matrixRow = ((rowOffset + y) % size) * size;
+        for (let x = 0; x < width; x++) {
+            const index = (y * width + x) * 4;
+            const threshold = ((ranks[matrixRow + x % size] + 0.5) / cells - 0.5) * spread;
+            for (let c = 0; c < 3; c++) {
+                pixel[c] = Math.max(0, Math.min(255, data[index + c] + threshold));
+            }
+            const quantized = quantize(pixel);
+            for (let c = 0; c < 3; c++) {
+                data[index + c] = quantized[c];
+            }
+        }
+    }
+}
+
+/**
+ * Returns a quantiser rounding each channel to the nearest of `shades` evenly spaced levels from 0 to 255.
+ */
+function levelQuantizer(shades) {
+    const step = 255 / (Math.max(2, shades) - 1);
+    const result = new Float32Array(3);
+    return pixel => {
+        for (let c = 0; c < 3; c++) {
+            result[c] = Math.round(pixel[c] / step) * step;
+        }
+        return result;
+    };
+}
+
+/**
+ * Returns a quantiser picking the palette color closest to a pixel in OKLab.
+ */
+function paletteQuantizer(palette) {
+    const colors = palette.map(hex => {
+        const {r, g, b} = hexToRGB(hex);
+        return {rgb: [r, g, b], lab: rgbToOklab(r, g, b)};
+    });
+    return pixel => {
+        // Whole channel values keep the conversion on its lookup table.
+        const [L, a, b] = rgbToOklab(Math.round(pixel[0]), Math.round(pixel[1]), Math.round(pixel[2]));
+        let best = colors[0];
+        let bestDistance = Infinity;
+        for (const color of colors) {
+            const dL = L - color.lab[0];
+            const da = a - color.lab[1];
+            const db = b - color.lab[2];
+            const distance = dL * dL + da * da + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = color;
+            }
+        }
+        return best.rgb;
+    };
+}
+
+/**
+ * Returns the mean distance (per channel) from each palette color to its nearest other color.
+ */
+function paletteSpread(palette) {
+    const colors = palette.map(hex => hexToRGB(hex));
+    if (colors.length < 2) return 0;
+    let sum = 0;
+    for (const color of colors) {
+        let nearest = Infinity;
+        for (const other of colors) {
+            if (other === color) continue;
+            nearest = Math.min(nearest, Math.hypot(color.r - other.r, color.g - other.g, color.b - other.b));
+        }
+        sum += nearest;
+    }
+    return sum / colors.length / Math.sqrt(3);
+}
+
+function orderedMatrix(method) {
+    if (method === "blue-noise" && !orderedMatrices["blue-noise"]) {
+        orderedMatrices["blue-noise"] = blueNoiseMatrix(blueNoiseSize);
+    }
+    const matrix = orderedMatrices[method];
+    if (!matrix) {
+        throw new Error("Unknown dithering method: " + method);
+    }
+    return matrix;
+}
+
+/**
+ * Returns the Bayer (recursive ordered dithering) matrix of the given size, a power of two.
+ */
+export function bayerMatrix(size) {
+    let ranks = [0];
+    for (let n = 1; n < size; n *= 2) {
+        const next = new Array(4 * n * n);
+        for (let y = 0; y < n; y++) {
+            for (let x = 0; x < n; x++) {
+                const rank = 4 * ranks[y * n + x];
+                next[y * 2 * n + x] = rank;
+                next[y * 2 * n + x + n] = rank + 2;
+                next[(y + n) * 2 * n + x] = rank + 3;
+                next[(y + n) * 2 * n + x + n] = rank + 1;
+            }
+        }
+        ranks = next;
+    }
+    return {size, ranks: Uint16Array.from(ranks)};
+}
+
+/**
+ * Generates a tileable blue noise threshold matrix with the void-and-cluster method (Ulichney, 1993):
+ * pixels are ranked so that every threshold level spreads its pixels as evenly as possible.
+ * The "energy" of a pixel is a Gaussian-weighted count of the set pixels around it (wrapping around the edges).
+ */
+export function blueNoiseMatrix(size) {
+    const cells = size * size;
+    const sigma = 1.5;
+    const kernel = new Float64Array(cells);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const dx = Math.min(x, size - x);
+            const dy = Math.min(y, size - y);
+            kernel[y * size + x] = Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+        }
+    }
+
+    const set = new Uint8Array(cells);
+    const energy = new Float64Array(cells);
+    const toggle = index => {
+        const sign = set[index] ? -1 : 1;
+        set[index] ^= 1;
+        const px = index % size;
+        const py = (index - px) / size;
+        for (let y = 0; y < size; y++) {
+            const ky = ((y - py + size) % size) * size;
+            for (let x = 0; x < size; x++) {
+                energy[y * size + x] += sign * kernel[ky + (x - px + size) % size];
+            }
+        }
+    };
+    // The set pixel in the tightest cluster, or the unset pixel in the largest void
+    const extreme = (wantSet, findMax) => {
+        let best = -1;
+        for (let i = 0; i < cells; i++) {
+            if (set[i] !== wantSet) continue;
+            if (best === -1 || (findMax ? energy[i] > energy[best] : energy[i] < energy[best])) best = i;
+        }
+        return best;
+    };
+
+    // 1) Start from a fixed random pattern with a tenth of the pixels set, and even it out by moving the
+    // pixel in the tightest cluster to the largest void until that no longer changes anything.
+    const random = createRandom(cells);
+    const initialCount = Math.floor(cells / 10);
+    for (let count = 0; count < initialCount;) {
+        const index = Math.floor(random() * cells);
+        if (!set[index]) {
+            toggle(index);
+            count++;
+        }
+    }
+    for (let iteration = 0; iteration < cells; iteration++) {
+        const cluster = extreme(1, true);
+        toggle(cluster);
+        const gap = extreme(0, false);
+        if (gap === cluster) {
+            toggle(cluster);
+            break;
+        }
+        toggle(gap);
+    }
+    const initial = set.slice();
+    const initialEnergy = energy.slice();
+
+    const ranks = new Uint16Array(cells);
+    // 2) Rank the initial pixels by removing the tightest cluster one at a time.
+    for (let rank = initialCount - 1; rank >= 0; rank--) {
+        const cluster = extreme(1, true);
+        toggle(cluster);
+        ranks[cluster] = rank;
+    }
+    // 3) Rank the others by filling the largest void one at a time.
+    set.set(initial);
+    energy.set(initialEnergy);
+    for (let rank = initialCount; rank < cells; rank++) {
+        const gap = extreme(0, false);
+        toggle(gap);
+        ranks[gap] = rank;
+    }
+    return {size, ranks};
+}
@@ -0,0 +1,410 @@
+// Post-processing filters: the stages a cover's pixels go through after the shapes are drawn, by default
+// blur → contrast → dither → blur → grain. A chain is a list of stages, each {filter, enabled, ...parameters};
+// filters live in a registry, so new ones can be added with registerFilter().
+//
+// The chain runs on horizontal bands of rows, top to bottom (see render.js). Every stage filters each row
+// exactly once, so a filter may carry state from band to band, as dithering carries its error. Sizes are in
+// preview pixels like the other settings and are scaled to the output.
+
+import {
+    applyNoise,
+    blurReach,
+    createImageData,
+    enhanceContrast,
+    grainBlendModes,
+    variableBoxBlurImageData
+} from "./pipeline.js";
+import {createDitherState, ditherImageData, ditherMethods} from "./dither.js";
+import {getSortedPalette, hexToRGB} from "./palette.js";
+
+/**
+ * Filters by name:
+ * - label,
+ * - params: a control per parameter, {key, label, value} (value being the default) with min, max and step for
+ *   a number, `options` ([value, label] pairs) for a choice or type "checkbox" for a switch,
+ * - apply(imageData, stage, context) returns the filtered rows [context.startRow, context.endRow) of imageData,
+ * - reach(stage, scale) gives the number of rows around those the filter reads (0 if missing),
+ * - createState(context) creates the state kept from band to band (optional),
+ * - cost: the filter's share of the render time relative to a blur's 1, for progress (0.1 if missing).
+ * context holds the band's position `y` (the image row of imageData's first row), the whole image's `width`
+ * and `height`, `scale` (output pixels per preview pixel), the job's `palette`, the noise fields `blurField`
+ * and `grainField`, `grainSeed` and `grainShift` for grain, the stage's `state` and `onProgress`, which
+ * receives the completed fraction of the band.
+ */
+export const filters = {};
+
+export function registerFilter(name, definition) {
+    filters[name] = definition;
+}
+
+// Largest number of stages in a chain
+export const maxChainLength = 32;
+
+/**
+ * The chain every cover went through before it could be edited.
+ */
+export const defaultChain = [
+    {filter: "blur", enabled: true, minRadius: 2, maxRadius: 80, passes: 1},
+    {filter: "contrast", enabled: true, factor: 1.1},
+    {filter: "dither", enabled: true, method: "floyd-steinberg", shades: 6, serpentine: false, toPalette: false},
+    {filter: "blur", enabled: true, minRadius: 2, maxRadius: 6, passes: 1},
+    {filter: "grain", enabled: true, opacity: 0.08, noiseScale: 50, blend: "add"}
+];
+
+/**
+ * Built-in looks: named chains offered next to the ones saved by the user.
+ */
+export const lookPresets = {
+    "Classic": defaultChain,
+    "Print": [
+        defaultChain[0],
+        {filter: "contrast", enabled: true, factor: 1.3},
+        {filter: "halftone", enabled: true, cellSize: 6, angle: 45, mix: 0.85},
+        {filter: "grain", enabled: true, opacity: 0.25, noiseScale: 30, blend: "multiply"},
+        {filter: "vignette", enabled: true, strength: 0.3, radius: 0.8, softness: 0.6}
+    ],
+    "VHS": [
+        {filter: "blur", enabled: true, minRadius: 4, maxRadius: 60, passes: 2},
+        {filter: "posterize", enabled: true, levels: 12},
+        {filter: "aberration", enabled: true, amount: 6},
+        {filter: "scanlines", enabled: true, spacing: 4, thickness: 0.4, strength: 0.35},
+        {filter: "grain", enabled: true, opacity: 0.3, noiseScale: 60, blend: "overlay"},
+        {filter: "vignette", enabled: true, strength: 0.5, radius: 0.7, softness: 0.5}
+    ],
+    "Duotone poster": [
+        defaultChain[0],
+        {filter: "contrast", enabled: true, factor: 1.4},
+        {filter: "gradient-map", enabled: true, colors: "duotone", mix: 1},
+        {filter: "posterize", enabled: true, levels: 5},
+        {filter: "grain", enabled: true, opacity: 0.2, noiseScale: 40, blend: "soft-light"}
+    ]
+};
+
+/**
+ * Returns the stage of a filter with every parameter at its default.
+ */
+export function defaultStage(name) {
+    const stage = {filter: name, enabled: true};
+    for (const param of filters[name].params) {
+        stage[param.key] = param.value;
+    }
+    return stage;
+}
+
+/**
+ * Returns a valid copy of the given chain (e.g. read from a URL or a file): stages of unknown filters are
+ * dropped, missing or invalid parameters fall back to their defaults and numbers are kept within their range.
+ * Returns null if it is not a list.
+ */
+export function normalizeChain(stages) {
+    if (!Array.isArray(stages)) return null;
+    const result = [];
+    for (const stage of stages.slice(0, maxChainLength)) {
+        if (!stage || !filters[stage.filter]) continue;
+        const normalized = defaultStage(stage.filter);
+        normalized.enabled = stage.enabled !== false;
+        for (const param of filters[stage.filter].params) {
+            const value = validParam(param, stage[param.key]);
+            if (value !== undefined) {
+                normalized[param.key] = value;
+            }
+        }
+        result.push(normalized);
+    }
+    return result;
+}
+
+/**
+ * Returns the value if it is valid for the given parameter, otherwise undefined. Numbers are clamped to the
+ * parameter's range, and rounded if its step is a whole number.
+ */
+function validParam(param, value) {
+    if (param.options) return param.options.some(([option]) => option === value) ? value : undefined;
+    if (param.type === "checkbox") return typeof value === "boolean" ? value : undefined;
+    if (typeof value !== "number" || !Number.isFinite(value)) return undefined;
+    const clamped = Math.max(param.min, Math.min(param.max, value));
+    return Number.isInteger(param.step) ? Math.round(clamped) : clamped;
+}
+
+// --- Filters ---
+
+registerFilter("blur", {
+    label: "Variable blur",
+    params: [
+        {key: "minRadius", label: "Min radius", value: 2, min: 0, max: 200, step: 1},
+        {key: "maxRadius", label: "Max radius", value: 80, min: 0, max: 200, step: 1},
+        // 1 = plain box blur, 3 or more closely approximates a Gaussian
+        {key: "passes", label: "Passes", value: 1, min: 1, max: 5, step: 1}
+    ],
+    cost: 1,
+    reach: ({minRadius, maxRadius, passes}, scale) => blurReach(Math.max(minRadius, maxRadius) * scale, passes),
+    // The radius follows the blur map (the blur noise field).
+    apply: (imageData, {minRadius, maxRadius, passes}, context) => variableBoxBlurImageData(
+        imageData, minRadius * context.scale, maxRadius * context.scale, {
+            passes,
+            startRow: context.startRow,
+            endRow: context.endRow,
+            mapOffsetY: context.y,
+            mapScale: context.scale,
+            mapField: context.blurField,
+            onProgress: context.onProgress
+        })
+});
+
+registerFilter("contrast", {
+    label: "Contrast",
+    params: [
+        // 1.0 = no change, > 1.0 increases contrast
+        {key: "factor", label: "Factor", value: 1.1, min: 0, max: 3, step: 0.01}
+    ],
+    apply: (imageData, {factor}) => enhanceContrast(imageData, factor)
+});
+
+registerFilter("dither", {
+    label: "Dither",
+    params: [
+        {key: "method", label: "Method", value: "floyd-steinberg", options: Object.entries(ditherMethods)},
+        {key: "shades", label: "Shades", value: 6, min: 2, max: 64, step: 1},
+        // Scan every other row backwards for error diffusion
+        {key: "serpentine", label: "Serpentine", value: false, type: "checkbox"},
+        // Snap to the palette's own colors instead of per-channel levels
+        {key: "toPalette", label: "To palette", value: false, type: "checkbox"}
+    ],
+    cost: 0.3,
+    createState: ({width}) => createDitherState(width),
+    apply: (imageData, {method, shades, serpentine, toPalette}, context) => ditherImageData(imageData, {
+        method,
+        shades,
+        serpentine,
+        palette: toPalette ? context.palette : null
+    }, context.state)
+});
+
+registerFilter("grain", {
+    label: "Film grain",
+    params: [
+        {key: "opacity", label: "Opacity", value: 0.08, min: 0, max: 1, step: 0.01},
+        {key: "noiseScale", label: "Scale", value: 50, min: 0, max: 100, step: 1},
+        {key: "blend", label: "Blend", value: "add",
+            options: [["add", "Add"], ...Object.entries(grainBlendModes).map(([name, {label}]) => [name, label])]}
+    ],
+    cost: 0.15,
+    // Shifted by whole preview pixels while animating, so the grain stays sharp.
+    apply: (imageData, {opacity, noiseScale, blend}, context) => applyNoise(imageData, context.grainSeed,
+        opacity, noiseScale, context.grainShift.x * context.scale, context.y + context.grainShift.y * context.scale,
+        context.scale, context.grainField, blend)
+});
+
+registerFilter("aberration", {
+    label: "Chromatic aberration",
+    params: [
+        // How far red and blue are pulled apart at the corners (in pixels)
+        {key: "amount", label: "Amount", value: 4, min: 0, max: 40, step: 0.5}
+    ],
+    reach: ({amount}, scale) => Math.ceil(amount * scale) + 1,
+    apply(imageData, {amount}, context) {
+        const {width, data} = imageData;
+        const centerX = context.width / 2;
+        const centerY = context.height / 2;
+        // Red is scaled up and blue down around the center, by `amount` pixels at the corners.
+        const spread = amount * context.scale / Math.hypot(centerX, centerY);
+        // Pixel centers sit half a pixel off the grid the samples are taken on.
+        const gridX = centerX - 0.5;
+        const gridY = centerY - 0.5 - context.y;
+        const output = new Uint8ClampedArray((context.endRow - context.startRow) * width * 4);
+        for (let row = context.startRow; row < context.endRow; row++) {
+            const dy = context.y + row + 0.5 - centerY;
+            for (let x = 0; x < width; x++) {
+                const dx = x + 0.5 - centerX;
+                const i = ((row - context.startRow) * width + x) * 4;
+                output[i] = sample(imageData, gridX + dx * (1 - spread), gridY + dy * (1 - spread), 0);
+                output[i + 1] = data[(row * width + x) * 4 + 1];
+                output[i + 2] = sample(imageData, gridX + dx * (1 + spread), gridY + dy * (1 + spread), 2);
+                output[i + 3] = 255;
+            }
+        }
+        return createImageData(output, width, context.endRow - context.startRow);
+    }
+});
+
+registerFilter("vignette", {
+    label: "Vignette",
+    params: [
+        {key: "strength", label: "Strength", value: 0.5, min: 0, max: 1, step: 0.01},
+        // Where the darkening starts and how far it takes to reach full strength, as shares of the distance
+        // from the center to a corner
+        {key: "radius", label: "Radius", value: 0.75, min: 0, max: 1.5, step: 0.01},
+        {key: "softness", label: "Softness", value: 0.5, min: 0.01, max: 1.5, step: 0.01}
+    ],
+    apply(imageData, {strength, radius, softness}, context) {
+        const {width, height, data} = imageData;
+        const centerX = context.width / 2;
+        const centerY = context.height / 2;
+        const corner = Math.hypot(centerX, centerY);
+        for (let row = 0; row < height; row++) {
+            const dy = context.y + row + 0.5 - centerY;
+            for (let x = 0; x < width; x++) {
+                const distance = Math.hypot(x + 0.5 - centerX, dy) / corner;
+                const factor = 1 - strength * smoothstep(radius, radius + softness, distance);
+                const i = (row * width + x) * 4;
+                data[i] *= factor;
+                data[i + 1] *= factor;
+                data[i + 2] *= factor;
+            }
+        }
+        return imageData;
+    }
+});
+
+registerFilter("halftone", {
+    label: "Halftone",
+    params: [
+        {key: "cellSize", label: "Cell size", value: 8, min: 2, max: 64, step: 1},
+        {key: "angle", label: "Angle", value: 45, min: 0, max: 90, step: 1},
+        {key: "mix", label: "Mix", value: 1, min: 0, max: 1, step: 0.01}
+    ],
+    reach: ({cellSize}, scale) => Math.ceil(cellSize * scale) + 1,
+    apply(imageData, {cellSize, angle, mix}, context) {
+        const {width, data} = imageData;
+        // Dots of the darkest palette color on the lightest, sized by how dark the image is at their centers
+        const sorted = getSortedPalette(context.palette);
+        const ink = rgbArray(sorted[0]);
+        const paper = rgbArray(sorted[sorted.length - 1]);
+        const cell = cellSize * context.scale;
+        const cos = Math.cos(angle * Math.PI / 180);
+        const sin = Math.sin(angle * Math.PI / 180);
+        const output = new Uint8ClampedArray((context.endRow - context.startRow) * width * 4);
+        for (let row = context.startRow; row < context.endRow; row++) {
+            const y = context.y + row + 0.5;
+            for (let x = 0; x < width; x++) {
+                // Position in the rotated grid, and the center of its cell back in the image
+                const u = (x + 0.5) * cos + y * sin;
+                const v = -(x + 0.5) * sin + y * cos;
+                const cellU = (Math.floor(u / cell) + 0.5) * cell;
+                const cellV = (Math.floor(v / cell) + 0.5) * cell;
+                const sampleX = cellU * cos - cellV * sin - 0.5;
+                const sampleY = cellU * sin + cellV * cos - 0.5 - context.y;
+                const darkness = 1 - (0.299 * sample(imageData, sampleX, sampleY, 0)
+                    + 0.587 * sample(imageData, sampleX, sampleY, 1)
+                    + 0.114 * sample(imageData, sampleX, sampleY, 2)) / 255;
+                // A dot covering the cell's share of darkness, with an antialiased edge
+                const dotRadius = cell * Math.sqrt(darkness / Math.PI);
+                const coverage = Math.max(0, Math.min(1, dotRadius - Math.hypot(u - cellU, v - cellV) + 0.5));
+
+                const i = (row * width + x) * 4;
+                const o = ((row - context.startRow) * width + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    const halftone = paper[c] + (ink[c] - paper[c]) * coverage;
+                    output[o + c] = data[i + c] + (halftone - data[i + c]) * mix;
+                }
+                output[o + 3] = 255;
+            }
+        }
+        return createImageData(output, width, context.endRow - context.startRow);
+    }
+});
+
+registerFilter("posterize", {
+    label: "Posterise",
+    params: [
+        {key: "levels", label: "Levels", value: 4, min: 2, max: 32, step: 1}
+    ],
+    apply(imageData, {levels}) {
+        const {data} = imageData;
+        const steps = Math.max(2, Math.round(levels)) - 1;
+        for (let i = 0; i < data.length; i += 4) {
+            for (let c = 0; c < 3; c++) {
+                data[i + c] = Math.round(data[i + c] / 255 * steps) / steps * 255;
+            }
+        }
+        return imageData;
+    }
+});
+
+registerFilter("gradient-map", {
+    label: "Duotone / gradient map",
+    params: [
+        {key: "colors", label: "Colors", value: "duotone",
+            options: [["duotone", "Darkest and lightest palette colors"], ["palette", "Whole palette by brightness"]]},
+        {key: "mix", label: "Mix", value: 1, min: 0, max: 1, step: 0.01}
+    ],
+    apply(imageData, {colors, mix}, context) {
+        const sorted = getSortedPalette(context.palette);
+        const stops = (colors === "duotone" ? [sorted[0], sorted[sorted.length - 1]] : sorted).map(rgbArray);
+        // The gradient for every brightness from 0 to 255
+        const gradient = new Float64Array(256 * 3);
+        for (let level = 0; level < 256; level++) {
+            const position = stops.length > 1 ? level / 255 * (stops.length - 1) : 0;
+            const index = Math.min(stops.length - 2, Math.floor(position));
+            const from = stops[Math.max(0, index)];
+            const to = stops[Math.max(0, index + 1)] || from;
+            const t = position - Math.max(0, index);
+            for (let c = 0; c < 3; c++) {
+                gradient[level * 3 + c] = from[c] + (to[c] - from[c]) * t;
+            }
+        }
+        const {data} = imageData;
+        for (let i = 0; i < data.length; i += 4) {
+            // Brightness by the same luminance formula the palette is sorted with
+            const level = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+            for (let c = 0; c < 3; c++) {
+                data[i + c] += (gradient[level * 3 + c] - data[i + c]) * mix;
+            }
+        }
+        return imageData;
+    }
+});
+
+registerFilter("scanlines", {
+    label: "Scanlines",
+    params: [
+        {key: "spacing", label: "Spacing", value: 4, min: 1, max: 32, step: 0.5},
+        // Share of each period covered by the dark line
+        {key: "thickness", label: "Thickness", value: 0.5, min: 0, max: 1, step: 0.01},
+        {key: "strength", label: "Strength", value: 0.3, min: 0, max: 1, step: 0.01}
+    ],
+    apply(imageData, {spacing, thickness, strength}, context) {
+        const {width, height, data} = imageData;
+        // Dark length from preview position 0 to t, so each row is darkened by the share of it the lines cover
+        const covered = t => Math.floor(t / spacing) * thickness * spacing + Math.min(t % spacing, thickness * spacing);
+        for (let row = 0; row < height; row++) {
+            const top = (context.y + row) / context.scale;
+            const bottom = (context.y + row + 1) / context.scale;
+            const factor = 1 - strength * (covered(bottom) - covered(top)) / (bottom - top);
+            for (let i = row * width * 4; i < (row + 1) * width * 4; i += 4) {
+                data[i] *= factor;
+                data[i + 1] *= factor;
+                data[i + 2] *= factor;
+            }
+        }
+        return imageData;
+    }
+});
+
+/**
+ * Bilinearly samples channel c of imageData at (x, y) in its pixel grid, clamped to its edges.
+ */
+function sample(imageData, x, y, c) {
+    const {width, height, data} = imageData;
+    x = Math.max(0, Math.min(width - 1, x));
+    y = Math.max(0, Math.min(height - 1, y));
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(width - 1, x0 + 1);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const fx = x - x0;
+    const fy = y - y0;
+    const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+    const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+    return top + (bottom - top) * fy;
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+function rgbArray(hex) {
+    const {r, g, b} = hexToRGB(hex);
+    return [r, g, b];
+}
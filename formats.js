@@ -0,0 +1,61 @@
+// Output formats: the frame sizes covers are delivered in, from the square album cover to story art,
+// thumbnails and banners. Settings are measured against a frame's shorter side (see previewScale in
+// render.js), so one seed gives a matching set of covers in every format.
+
+/**
+ * Built-in formats by name: {label, width, height} in pixels.
+ */
+export const outputFormats = {
+    "square": {label: "Album cover (1:1)", width: 3000, height: 3000},
+    "story": {label: "Story (9:16)", width: 1080, height: 1920},
+    "youtube": {label: "YouTube thumbnail (16:9)", width: 1280, height: 720},
+    "banner": {label: "Banner (1500×500)", width: 1500, height: 500},
+    // Spotify's looping vertical video, at its minimum height
+    "spotify-canvas": {label: "Spotify Canvas (9:16)", width: 720, height: 1280}
+};
+
+/**
+ * Returns the name of the built-in format of exactly width × height pixels, or "custom" if there is none.
+ */
+export function formatName(width, height) {
+    const match = Object.entries(outputFormats)
+        .find(([, format]) => format.width === width && format.height === height);
+    return match ? match[0] : "custom";
+}
+
+/**
+ * Returns the {width, height} of a frame of the same aspect ratio as width × height whose longer side is
+ * `size` pixels, e.g. the preview or a thumbnail of a cover.
+ */
+export function fitSize(width, height, size) {
+    const factor = size / Math.max(width, height);
+    return {
+        width: Math.max(1, Math.round(width * factor)),
+        height: Math.max(1, Math.round(height * factor))
+    };
+}
+
+/**
+ * Parses a size given as "3000" (a square) or "1080x1920". Returns {width, height}, or null if it is not one.
+ */
+export function parseSize(text) {
+    const match = /^\s*(\d+)\s*(?:[x×]\s*(\d+))?\s*$/i.exec(String(text));
+    if (!match) return null;
+    const width = Number(match[1]);
+    const height = match[2] === undefined ? width : Number(match[2]);
+    return width >= 1 && height >= 1 ? {width, height} : null;
+}
+
+/**
+ * Returns the jobs of a matching set: the job {seed, palette, settings, …} at the size of each of the named
+ * formats (every built-in format by default), as [{format, job}].
+ */
+export function formatSet(job, names = Object.keys(outputFormats)) {
+    return names.map(name => {
+        const format = outputFormats[name];
+        if (!format) {
+            throw new Error("Unknown format " + name + "; use one of " + Object.keys(outputFormats).join(", "));
+        }
+        return {format: name, job: {...job, width: format.width, height: format.height}};
+    });
+}
@@ -0,0 +1,194 @@
+// Animated GIF encoder. Every frame is mapped to one shared palette of up to 256 colors (picked from the first
+// frame by median cut; the frames of a looping cover hold much the same colors) and LZW-compressed as it
+// arrives, so only the compressed animation is held.
+
+import {extractPalette} from "./palette-extraction.js";
+import {hexToRGB} from "./palette.js";
+
+// Most pixels of the first frame the palette is picked from
+const maxPaletteSamples = 65536;
+
+// GIF codes are at most 12 bits long.
+const maxCode = 4095;
+
+/**
+ * Encodes a GIF of width × height pixels that loops forever, from `frames`, an iterable of RGBA ImageData
+ * shown `fps` times a second. Returns a Blob.
+ * GIF frame delays are whole hundredths of a second, so they alternate to keep the average rate; browsers
+ * slow down delays under 2 hundredths, so rates above 50 frames per second do not play at full speed.
+ */
+export function encodeGIF(width, height, frames, fps) {
+    const parts = [];
+    let colors = null;
+    let lookup = null;
+    let frameIndex = 0;
+    for (const imageData of frames) {
+        if (!colors) {
+            colors = paletteOf(imageData);
+            lookup = createColorLookup(colors);
+            parts.push(header(width, height, colors));
+        }
+
+        // Graphic control extension: the frame's delay (in hundredths of a second)
+        const delay = Math.round((frameIndex + 1) * 100 / fps) - Math.round(frameIndex * 100 / fps);
+        parts.push(new Uint8Array([0x21, 0xF9, 4, 0, delay & 0xFF, delay >> 8, 0, 0]));
+
+        // Image descriptor: the whole image, no local color table
+        const descriptor = new Uint8Array(10);
+        const view = new DataView(descriptor.buffer);
+        descriptor[0] = 0x2C;
+        view.setUint16(5, width, true);
+        view.setUint16(7, height, true);
+        parts.push(descriptor);
+
+        const indices = new Uint8Array(width * height);
+        const {data} = imageData;
+        for (let i = 0; i < indices.length; i++) {
+            indices[i] = lookup(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+        }
+        parts.push(new Uint8Array([8]), subBlocks(lzwEncode(indices, 8)));
+        frameIndex++;
+    }
+    if (!colors) {
+        throw new Error("An animation needs at least one frame.");
+    }
+    parts.push(new Uint8Array([0x3B]));
+    return new Blob(parts, {type: "image/gif"});
+}
+
+/**
+ * Returns the header, the logical screen descriptor with the global color table (256 entries) and the
+ * extension that makes the animation loop forever.
+ */
+function header(width, height, colors) {
+    const bytes = new Uint8Array(13 + 256 * 3 + 19);
+    const view = new DataView(bytes.buffer);
+    writeASCII(bytes, 0, "GIF89a");
+    view.setUint16(6, width, true);
+    view.setUint16(8, height, true);
+    // Global color table of 2^(7 + 1) entries with 8 bits per primary
+    bytes[10] = 0xF7;
+    colors.forEach(([r, g, b], index) => bytes.set([r, g, b], 13 + index * 3));
+
+    const loop = 13 + 256 * 3;
+    bytes.set([0x21, 0xFF, 11], loop);
+    writeASCII(bytes, loop + 3, "NETSCAPE2.0");
+    // Sub-block: loop count 0 (forever), then the block terminator
+    bytes.set([3, 1, 0, 0, 0], loop + 14);
+    return bytes;
+}
+
+/**
+ * Returns up to 256 colors ([r, g, b] arrays) for the given frame.
+ */
+function paletteOf(imageData) {
+    const {data, width, height} = imageData;
+    const step = Math.max(1, Math.ceil(width * height / maxPaletteSamples));
+    const samples = new Uint8ClampedArray(Math.ceil(width * height / step) * 4);
+    for (let i = 0, j = 0; i < width * height; i += step, j += 4) {
+        samples.set(data.subarray(i * 4, i * 4 + 4), j);
+    }
+    const colors = extractPalette({data: samples, width: samples.length / 4, height: 1}, 256, "median-cut")
+        .map(hex => {
+            const {r, g, b} = hexToRGB(hex);
+            return [r, g, b];
+        });
+    return colors.length > 0 ? colors : [[0, 0, 0]];
+}
+
+/**
+ * Returns a function mapping a color to the index of the nearest palette color. Colors are looked up at
+ * 5 bits per channel, and each of those is matched once.
+ */
+function createColorLookup(colors) {
+    const cache = new Int16Array(32768).fill(-1);
+    return (r, g, b) => {
+        const key = (r >> 3) << 10 | (g >> 3) << 5 | b >> 3;
+        if (cache[key] === -1) {
+            let bestDistance = Infinity;
+            colors.forEach(([cr, cg, cb], index) => {
+                const distance = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    cache[key] = index;
+                }
+            });
+        }
+        return cache[key];
+    };
+}
+
+/**
+ * Compresses color indices with the GIF flavour of LZW: variable-length codes of up to 12 bits, packed
+ * least significant bit first, starting over with a clear code when the code table is full.
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let buffer = 0;
+    let bufferBits = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    // Codes of the strings seen so far, by (code of the string without its last index) << 8 | last index
+    let table = new Map();
+
+    const emit = code => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            output.push(buffer & 0xFF);
+            buffer >>>= 8;
+            bufferBits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let current = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = current << 8 | indices[i];
+        const code = table.get(key);
+        if (code !== undefined) {
+            current = code;
+            continue;
+        }
+        emit(current);
+        if (nextCode > maxCode) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            // The decoder adds each code one step later, so the code size grows as soon as a code reaches it.
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        current = indices[i];
+    }
+    emit(current);
+    emit(endCode);
+    if (bufferBits > 0) {
+        output.push(buffer & 0xFF);
+    }
+    return Uint8Array.from(output);
+}
+
+/**
+ * Splits data into the sub-blocks of at most 255 bytes GIF stores it in, followed by the block terminator.
+ */
+function subBlocks(data) {
+    const blockCount = Math.ceil(data.length / 255);
+    const bytes = new Uint8Array(data.length + blockCount + 1);
+    for (let block = 0; block < blockCount; block++) {
+        const chunk = data.subarray(block * 255, block * 255 + 255);
+        bytes[block * 256] = chunk.length;
+        bytes.set(chunk, block * 256 + 1);
+    }
+    return bytes;
+}
+
+function writeASCII(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        bytes[offset + i] = text.charCodeAt(i);
+    }
+}
@@ -0,0 +1,186 @@
+import {openHistoryStore} from "./history-store.js";
+import {fitSize} from "./formats.js";
+
+// Most renders kept in the history; the oldest are dropped first.
+const maxEntries = 200;
+
+// Size (in pixels) of the stored thumbnails' longer side
+const thumbnailSize = 96;
+
+/**
+ * Wires up the generation history: every render is recorded with its parameters and a thumbnail in
+ * IndexedDB, so it survives reloads. Back and forward (also Ctrl+Z and Ctrl+Shift+Z or Ctrl+Y) step through
+ * the renders, clicking a thumbnail jumps to it, and its "B" button compares it with the current render
+ * through a split slider over the preview.
+ * options:
+ * - restore(job) makes a recorded {seed, palette, settings, width, height} the current one and renders it,
+ * - renderCompare(job) resolves with the preview-size ImageData of a job (in its own frame) for the compare view.
+ * Returns {record(job, canvas)}, to be called after each render with the canvas showing it.
+ */
+export function initHistoryPanel(elements, options) {
+    const {
+        backBtn, forwardBtn, position, strip, clearBtn,
+        compareCanvas, compareControls, compareSlider, compareLabel, stopCompareBtn
+    } = elements;
+
+    // The recorded renders, oldest first: {id, job, thumbnail, createdAt, url}
+    let entries = [];
+    // Index of the entry shown in the preview
+    let current = -1;
+    let store;
+    // Changes to the store are made one at a time, in order.
+    let queue = openHistoryStore().then(async opened => {
+        store = opened;
+        entries = (await store.getAll()).map(withURL);
+        current = entries.length - 1;
+        renderStrip();
+    });
+
+    backBtn.addEventListener("click", () => go(current - 1));
+    forwardBtn.addEventListener("click", () => go(current + 1));
+    clearBtn.addEventListener("click", () => update(async () => {
+        await store.clear();
+        entries.forEach(entry => URL.revokeObjectURL(entry.url));
+        entries = [];
+        current = -1;
+        renderStrip();
+    }));
+
+    document.addEventListener("keydown", event => {
+        if (!(event.ctrlKey || event.metaKey) || isEditable(event.target)) return;
+        const key = event.key.toLowerCase();
+        if (key === "z" && !event.shiftKey) {
+            go(current - 1);
+        } else if ((key === "z" && event.shiftKey) || key === "y") {
+            go(current + 1);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+
+    compareSlider.addEventListener("input", showSplit);
+    stopCompareBtn.addEventListener("click", () => {
+        compareCanvas.hidden = compareControls.hidden = true;
+    });
+
+    return {record};
+
+    /**
+     * Adds a render to the history unless it is the entry already shown (e.g. one just restored).
+     */
+    function record(job, canvas) {
+        const snapshot = JSON.parse(JSON.stringify(job));
+        update(async () => {
+            if (current >= 0 && JSON.stringify(entries[current].job) === JSON.stringify(snapshot)) return;
+            const entry = {job: snapshot, thumbnail: await createThumbnail(canvas), createdAt: Date.now()};
+            entry.id = await store.add(entry);
+            entries.push(withURL(entry));
+            current = entries.length - 1;
+
+            while (entries.length > maxEntries) {
+                const [oldest] = entries.splice(0, 1);
+                current--;
+                URL.revokeObjectURL(oldest.url);
+                await store.remove(oldest.id);
+            }
+            renderStrip();
+        });
+    }
+
+    /**
+     * Queues a change to the history behind the ones still running. A failed change is logged and skipped:
+     * the renders themselves are unaffected.
+     */
+    function update(change) {
+        queue = queue.then(change).catch(error => console.error("Could not update the history:", error));
+    }
+
+    function go(index) {
+        if (index < 0 || index >= entries.length || index === current) return;
+        current = index;
+        renderStrip();
+        options.restore(entries[index].job);
+    }
+
+    async function compareWith(entry) {
+        compareLabel.textContent = "B: seed " + entry.job.seed;
+        compareControls.hidden = false;
+        try {
+            const imageData = await options.renderCompare(entry.job);
+            compareCanvas.width = imageData.width;
+            compareCanvas.height = imageData.height;
+            compareCanvas.getContext("2d").putImageData(imageData, 0, 0);
+        } catch (error) {
+            // A newer compare render took over.
+            if (error.name === "AbortError") return;
+            alert("Rendering failed: " + error.message);
+            return;
+        }
+        compareCanvas.hidden = false;
+        showSplit();
+    }
+
+    /**
+     * Shows the compared render (B) right of the split and the current one (A) left of it.
+     */
+    function showSplit() {
+        compareCanvas.style.clipPath = `inset(0 0 0 ${compareSlider.value}%)`;
+    }
+
+    /**
+     * Shows the position and the thumbnails, the current one highlighted and scrolled into view.
+     */
+    function renderStrip() {
+        position.textContent = entries.length > 0 ? `${current + 1} / ${entries.length}` : "";
+        backBtn.disabled = current <= 0;
+        forwardBtn.disabled = current >= entries.length - 1;
+
+        strip.replaceChildren();
+        entries.forEach((entry, index) => {
+            const item = document.createElement("div");
+            item.className = "history-entry" + (index === current ? " current" : "");
+
+            const image = document.createElement("img");
+            image.src = entry.url;
+            image.width = image.height = thumbnailSize;
+            image.alt = "Seed " + entry.job.seed;
+            image.title = `Seed ${entry.job.seed}, ${new Date(entry.createdAt).toLocaleString()}`;
+            image.addEventListener("click", () => go(index));
+
+            const compare = document.createElement("button");
+            compare.type = "button";
+            compare.textContent = "B";
+            compare.title = "Compare with the current render";
+            compare.addEventListener("click", () => compareWith(entry));
+
+            item.append(image, compare);
+            strip.appendChild(item);
+            if (index === current) {
+                // Let the strip lay out first.
+                requestAnimationFrame(() => item.scrollIntoView({block: "nearest", inline: "nearest"}));
+            }
+        });
+    }
+}
+
+function withURL(entry) {
+    return {...entry, url: URL.createObjectURL(entry.thumbnail)};
+}
+
+/**
+ * Returns a small WebP (or, where unsupported, PNG) Blob of the canvas, at most thumbnailSize pixels wide and
+ * high.
+ */
+function createThumbnail(source) {
+    const canvas = document.createElement("canvas");
+    const {width, height} = fitSize(source.width, source.height, thumbnailSize);
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").drawImage(source, 0, 0, width, height);
+    return new Promise(resolve => canvas.toBlob(resolve, "image/webp", 0.85));
+}
+
+function isEditable(element) {
+    return element.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName);
+}
@@ -0,0 +1,72 @@
+// Persistent generation history in IndexedDB: one record per render, {id, job, thumbnail, createdAt},
+// where job is the render's {seed, palette, settings} and thumbnail a small image Blob.
+
+const databaseName = "albumArt";
+const databaseVersion = 1;
+const storeName = "history";
+
+/**
+ * Opens the history store. Resolves with {getAll, add, remove, clear}: getAll() resolves with every record,
+ * oldest first; add(record) with the new record's id. Where IndexedDB is unavailable (e.g. some private
+ * browsing modes) the history is kept in memory for the session instead.
+ */
+export async function openHistoryStore() {
+    let db;
+    try {
+        db = await promisify(openDatabase());
+    } catch {
+        return createMemoryStore();
+    }
+    const run = (mode, operation) => {
+        const transaction = db.transaction(storeName, mode);
+        const result = promisify(operation(transaction.objectStore(storeName)));
+        // Resolve once the transaction is committed, not just when the request succeeded.
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = transaction.onabort = () => reject(transaction.error);
+        });
+    };
+    return {
+        getAll: () => run("readonly", store => store.getAll()),
+        add: record => run("readwrite", store => store.add(record)),
+        remove: id => run("readwrite", store => store.delete(id)),
+        clear: () => run("readwrite", store => store.clear())
+    };
+}
+
+function openDatabase() {
+    const request = indexedDB.open(databaseName, databaseVersion);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, {keyPath: "id", autoIncrement: true});
+    };
+    return request;
+}
+
+/**
+ * Resolves with an IDBRequest's result, or rejects with its error.
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function createMemoryStore() {
+    let records = [];
+    let nextId = 1;
+    return {
+        getAll: async () => records.slice(),
+        add: async record => {
+            const id = nextId++;
+            records.push({...record, id});
+            return id;
+        },
+        remove: async id => {
+            records = records.filter(record => record.id !== id);
+        },
+        clear: async () => {
+            records = [];
+        }
+    };
+}
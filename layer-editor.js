@@ -0,0 +1,140 @@
+import {blendModes, fillModes, maxLayerCount, placements, shapeTypes} from "./shapes.js";
+
+/**
+ * Wires up the layer editor: one row per layer of the layout with its shape, placement, fill, blend mode,
+ * count and size, layers that can be added, removed and reordered, and a choice of built-in layouts.
+ * presets maps layout names to layer lists. Calls onChange(layers) whenever the layout changes and
+ * returns {getLayers, setLayers}.
+ */
+export function initLayerEditor(elements, presets, initialLayers, onChange) {
+    const {list, addLayerBtn, presetSelect} = elements;
+
+    let layers = copyLayers(initialLayers);
+
+    for (const name of Object.keys(presets)) {
+        presetSelect.appendChild(new Option(name, name));
+    }
+    presetSelect.addEventListener("change", () => {
+        if (presets[presetSelect.value]) {
+            layers = copyLayers(presets[presetSelect.value]);
+            changed();
+        }
+    });
+
+    addLayerBtn.addEventListener("click", () => {
+        // Start the new layer from the last one so it is easy to tweak.
+        const last = layers[layers.length - 1];
+        layers.push(last ? {...last} : {shape: "ellipse", placement: "random", fill: "flat", blend: "normal", count: 1, size: 1});
+        changed();
+    });
+
+    renderLayers();
+
+    return {
+        getLayers: () => copyLayers(layers),
+        setLayers(newLayers) {
+            layers = copyLayers(newLayers);
+            changed();
+        }
+    };
+
+    function changed() {
+        renderLayers();
+        onChange(copyLayers(layers));
+    }
+
+    /**
+     * Draws one row of inputs per layer and selects the preset the layout matches, if any.
+     */
+    function renderLayers() {
+        list.replaceChildren();
+        layers.forEach((layer, index) => {
+            const row = document.createElement("div");
+            row.className = "layer";
+
+            const update = (key, value) => {
+                layer[key] = value;
+                selectMatchingPreset();
+                onChange(copyLayers(layers));
+            };
+            const shape = layerSelect("Shape", shapeTypes, layer.shape, value => update("shape", value));
+            const placement = layerSelect("Placement", placements, layer.placement, value => update("placement", value));
+            const fill = layerSelect("Fill", fillModes, layer.fill, value => update("fill", value));
+            const blend = layerSelect("Blend mode", blendModes, layer.blend, value => update("blend", value));
+            const count = layerNumber("Count", 1, maxLayerCount, 1, layer.count, value => update("count", Math.round(value)));
+            const size = layerNumber("Size", 0.05, 4, 0.05, layer.size, value => update("size", value));
+
+            const moveUp = layerButton("▲", "Move up", index > 0, () => moveLayer(index, index - 1));
+            const moveDown = layerButton("▼", "Move down", index < layers.length - 1, () => moveLayer(index, index + 1));
+            // A layout always keeps at least one layer.
+            const remove = layerButton("✕", "Remove", layers.length > 1, () => {
+                layers.splice(index, 1);
+                changed();
+            });
+
+            row.append(shape, placement, fill, blend, count, size, moveUp, moveDown, remove);
+            list.appendChild(row);
+        });
+        selectMatchingPreset();
+    }
+
+    /**
+     * Returns a select listing a registry's entries (by label where they have one).
+     */
+    function layerSelect(title, registry, value, onSelect) {
+        const select = document.createElement("select");
+        select.title = title;
+        for (const [name, entry] of Object.entries(registry)) {
+            select.appendChild(new Option(entry.label || name, name));
+        }
+        select.value = value;
+        select.addEventListener("change", () => onSelect(select.value));
+        return select;
+    }
+
+    function layerNumber(title, min, max, step, value, onInput) {
+        const input = document.createElement("input");
+        input.type = "number";
+        input.title = title;
+        input.min = String(min);
+        input.max = String(max);
+        input.step = String(step);
+        input.value = String(value);
+        input.addEventListener("input", () => {
+            const number = Number(input.value);
+            if (input.value === "" || !(number >= min && number <= max)) return;
+            onInput(number);
+        });
+        return input;
+    }
+
+    function layerButton(text, title, enabled, onClick) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = text;
+        button.title = title;
+        button.disabled = !enabled;
+        button.addEventListener("click", onClick);
+        return button;
+    }
+
+    function moveLayer(from, to) {
+        const [layer] = layers.splice(from, 1);
+        layers.splice(to, 0, layer);
+        changed();
+    }
+
+    function selectMatchingPreset() {
+        const json = JSON.stringify(layers);
+        const name = Object.keys(presets).find(key => JSON.stringify(presets[key]) === json);
+        if (name) {
+            presetSelect.value = name;
+        } else {
+            presetSelect.selectedIndex = -1;
+        }
+    }
+}
+
+function copyLayers(layers) {
+    return layers.map(layer => ({...layer}));
+}
@@ -0,0 +1,313 @@
+// Generation metadata embedded in exported images, so an image carries everything needed to render it again.
+// PNG files get tEXt/iTXt chunks, JPEG files an XMP packet in an APP1 segment, and WebP files an "XMP " chunk.
+
+import {pngChunk} from "./png-encoder.js";
+
+// PNG text keyword holding the generation parameters as JSON
+const pngKeyword = "random-album-art-gen";
+
+// XMP namespace of the generation parameters
+const xmpNamespace = "https://github.com/cepheicephei/random-album-art-gen/xmp/1.0/";
+const xmpHeader = "http://ns.adobe.com/xap/1.0/\0";
+
+const generatorName = "random-album-art-gen";
+
+/**
+ * Returns a copy of the image bytes (PNG, JPEG or WebP) with the metadata embedded.
+ * metadata is a JSON-serializable object such as {seed, palette, settings, width, height, artist, title}.
+ */
+export function embedMetadata(bytes, metadata) {
+    const json = JSON.stringify(metadata);
+    switch (detectFormat(bytes)) {
+        case "png":
+            return embedPNG(bytes, metadata, json);
+        case "jpeg":
+            return embedJPEG(bytes, createXMP(metadata, json));
+        case "webp":
+            return embedWebP(bytes, createXMP(metadata, json));
+        default:
+            throw new Error("Metadata can only be embedded in PNG, JPEG and WebP images.");
+    }
+}
+
+/**
+ * Reads the generation metadata back from image bytes. Returns null if the image carries none.
+ */
+export function readMetadata(bytes) {
+    let json = null;
+    switch (detectFormat(bytes)) {
+        case "png":
+            json = readPNGText(bytes);
+            break;
+        case "jpeg":
+            json = readXMPSettings(readJPEGXMP(bytes));
+            break;
+        case "webp":
+            json = readXMPSettings(readWebPXMP(bytes));
+            break;
+    }
+    if (json === null) return null;
+    try {
+        return JSON.parse(json);
+    } catch {
+        return null;
+    }
+}
+
+function detectFormat(bytes) {
+    if (bytes[0] === 0x89 && ascii(bytes, 1, 3) === "PNG") return "png";
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) return "jpeg";
+    if (ascii(bytes, 0, 4) === "RIFF" && ascii(bytes, 8, 4) === "WEBP") return "webp";
+    return null;
+}
+
+// --- PNG ---
+
+/**
+ * Inserts text chunks right after IHDR: the parameters as iTXt (UTF-8 JSON), plus tEXt chunks for the
+ * standard Software, Title and Author keywords that other tools display.
+ */
+function embedPNG(bytes, metadata, json) {
+    const chunks = [
+        textChunk("Software", generatorName),
+        metadata.title ? textChunk("Title", metadata.title) : null,
+        metadata.artist ? textChunk("Author", metadata.artist) : null,
+        iTXtChunk(pngKeyword, json)
+    ].filter(Boolean);
+
+    // The signature is 8 bytes and IHDR always comes first: 4 length + 4 type + 13 data + 4 CRC bytes.
+    const insertAt = 8 + 25;
+    return concatBytes([bytes.subarray(0, insertAt), ...chunks, bytes.subarray(insertAt)]);
+}
+
+/**
+ * Builds a tEXt chunk (Latin-1), or an iTXt chunk when the text has other characters.
+ */
+function textChunk(keyword, text) {
+    if (!/^[\x20-\x7E\xA0-\xFF\n]*$/.test(text)) {
+        return iTXtChunk(keyword, text);
+    }
+    return pngChunk("tEXt", latin1(keyword + "\0" + text));
+}
+
+/**
+ * Builds an uncompressed iTXt chunk: keyword, compression flag and method, empty language tag and
+ * translated keyword, then the UTF-8 text.
+ */
+function iTXtChunk(keyword, text) {
+    return pngChunk("iTXt", concatBytes([latin1(keyword + "\0\0\0\0\0"), new TextEncoder().encode(text)]));
+}
+
+function readPNGText(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = ascii(bytes, offset + 4, 4);
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type !== "tEXt" && type !== "iTXt") continue;
+        const keywordEnd = data.indexOf(0);
+        if (ascii(data, 0, keywordEnd) !== pngKeyword) continue;
+        if (type === "tEXt") {
+            return ascii(data, keywordEnd + 1, data.length - keywordEnd - 1);
+        }
+        // iTXt: skip compression flag and method, then the language tag and translated keyword.
+        if (data[keywordEnd + 1] !== 0) continue; // Compressed text is not written by this tool
+        let position = keywordEnd + 3;
+        position = data.indexOf(0, position) + 1;
+        position = data.indexOf(0, position) + 1;
+        return new TextDecoder().decode(data.subarray(position));
+    }
+    return null;
+}
+
+// --- XMP (JPEG and WebP) ---
+
+/**
+ * Builds an XMP packet with the creator tool, Dublin Core title and creator, and the parameters as JSON.
+ */
+function createXMP(metadata, json) {
+    const lines = [
+        "<?xpacket begin=\"\uFEFF\" id=\"W5M0MpCehiHzreSzNTczkc9d\"?>",
+        "<x:xmpmeta xmlns:x=\"adobe:ns:meta/\">",
+        " <rdf:RDF xmlns:rdf=\"http://www.w3.org/1999/02/22-rdf-syntax-ns#\">",
+        "  <rdf:Description rdf:about=\"\"",
+        "    xmlns:xmp=\"http://ns.adobe.com/xap/1.0/\"",
+        "    xmlns:dc=\"http://purl.org/dc/elements/1.1/\"",
+        `    xmlns:albumart="${xmpNamespace}">`,
+        `   <xmp:CreatorTool>${generatorName}</xmp:CreatorTool>`
+    ];
+    if (metadata.title) {
+        lines.push(`   <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXML(metadata.title)}</rdf:li></rdf:Alt></dc:title>`);
+    }
+    if (metadata.artist) {
+        lines.push(`   <dc:creator><rdf:Seq><rdf:li>${escapeXML(metadata.artist)}</rdf:li></rdf:Seq></dc:creator>`);
+    }
+    lines.push(
+        `   <albumart:settings>${escapeXML(json)}</albumart:settings>`,
+        "  </rdf:Description>",
+        " </rdf:RDF>",
+        "</x:xmpmeta>",
+        "<?xpacket end=\"w\"?>"
+    );
+    return new TextEncoder().encode(lines.join("\n"));
+}
+
+function readXMPSettings(xmp) {
+    if (!xmp) return null;
+    const match = /<albumart:settings>([\s\S]*?)<\/albumart:settings>/.exec(new TextDecoder().decode(xmp));
+    return match ? unescapeXML(match[1]) : null;
+}
+
+/**
+ * Inserts an APP1 XMP segment after the SOI marker and any APP0 (JFIF) segment.
+ */
+function embedJPEG(bytes, xmp) {
+    const payload = concatBytes([latin1(xmpHeader), xmp]);
+    if (payload.length + 2 > 0xFFFF) {
+        throw new Error("The metadata is too large for a JPEG XMP segment.");
+    }
+    const segment = new Uint8Array(4 + payload.length);
+    segment[0] = 0xFF;
+    segment[1] = 0xE1;
+    new DataView(segment.buffer).setUint16(2, payload.length + 2);
+    segment.set(payload, 4);
+
+    let insertAt = 2;
+    if (bytes[2] === 0xFF && bytes[3] === 0xE0) {
+        insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+    }
+    return concatBytes([bytes.subarray(0, insertAt), segment, bytes.subarray(insertAt)]);
+}
+
+/**
+ * Returns the XMP packet of the first APP1 XMP segment, or null.
+ */
+function readJPEGXMP(bytes) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        // Start of scan: no metadata segments follow.
+        if (marker === 0xDA) break;
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        if (marker === 0xE1 && ascii(bytes, offset + 4, xmpHeader.length) === xmpHeader) {
+            return bytes.subarray(offset + 4 + xmpHeader.length, offset + 2 + length);
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Adds an "XMP " chunk. A simple (VP8 or VP8L) file is first turned into the extended format,
+ * whose VP8X header announces the XMP chunk and stores the canvas size.
+ */
+function embedWebP(bytes, xmp) {
+    const chunks = readRIFFChunks(bytes);
+    let vp8x = chunks.find(chunk => chunk.type === "VP8X");
+    if (!vp8x) {
+        const {width, height} = webPSize(chunks);
+        const data = new Uint8Array(10);
+        data[4] = (width - 1) & 0xFF;
+        data[5] = ((width - 1) >> 8) & 0xFF;
+        data[6] = ((width - 1) >> 16) & 0xFF;
+        data[7] = (height - 1) & 0xFF;
+        data[8] = ((height - 1) >> 8) & 0xFF;
+        data[9] = ((height - 1) >> 16) & 0xFF;
+        vp8x = {type: "VP8X", data};
+        chunks.unshift(vp8x);
+    }
+    vp8x.data = vp8x.data.slice();
+    vp8x.data[0] |= 0x04; // XMP metadata flag
+
+    const withXMP = chunks.filter(chunk => chunk.type !== "XMP ").concat([{type: "XMP ", data: xmp}]);
+    return writeRIFF(withXMP);
+}
+
+function readWebPXMP(bytes) {
+    const chunk = readRIFFChunks(bytes).find(({type}) => type === "XMP ");
+    return chunk ? chunk.data : null;
+}
+
+/**
+ * Returns the image size from a simple file's VP8 (lossy) or VP8L (lossless) bitstream header.
+ */
+function webPSize(chunks) {
+    const lossy = chunks.find(chunk => chunk.type === "VP8 ");
+    if (lossy) {
+        const d = lossy.data;
+        return {width: ((d[7] << 8) | d[6]) & 0x3FFF, height: ((d[9] << 8) | d[8]) & 0x3FFF};
+    }
+    const lossless = chunks.find(chunk => chunk.type === "VP8L");
+    if (lossless) {
+        const d = lossless.data;
+        const bits = d[1] | (d[2] << 8) | (d[3] << 16) | (d[4] << 24);
+        return {width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1};
+    }
+    throw new Error("Unsupported WebP file.");
+}
+
+function readRIFFChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const type = ascii(bytes, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        chunks.push({type, data: bytes.subarray(offset + 8, offset + 8 + size)});
+        // Chunks are padded to an even size.
+        offset += 8 + size + (size & 1);
+    }
+    return chunks;
+}
+
+function writeRIFF(chunks) {
+    const parts = [];
+    for (const {type, data} of chunks) {
+        const header = new Uint8Array(8);
+        header.set(latin1(type));
+        new DataView(header.buffer).setUint32(4, data.length, true);
+        parts.push(header, data);
+        if (data.length & 1) parts.push(new Uint8Array(1));
+    }
+    const body = concatBytes(parts);
+    const header = new Uint8Array(12);
+    header.set(latin1("RIFF"));
+    new DataView(header.buffer).setUint32(4, body.length + 4, true);
+    header.set(latin1("WEBP"), 8);
+    return concatBytes([header, body]);
+}
+
+// --- Helpers ---
+
+function escapeXML(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function unescapeXML(text) {
+    return text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&amp;/g, "&");
+}
+
+function ascii(bytes, offset, length) {
+    let text = "";
+    for (let i = 0; i < length && offset + i < bytes.length; i++) {
+        text += String.fromCharCode(bytes[offset + i]);
+    }
+    return text;
+}
+
+function latin1(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+function concatBytes(chunks) {
+    const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+}
@@ -0,0 +1,199 @@
+// Seedable 2D noise: Perlin and simplex gradient noise, Worley (cellular) noise and their fractal sums (fBm).
+// The noise drives the blur-radius map and the structure of the grain. Every field is a pure function of the
+// seed and the position, so tiles and bands of an image sample the same field.
+
+import {createRandom} from "./random.js";
+
+/**
+ * The noise types, by setting value. "sines" is the fixed sum of sines the covers used originally;
+ * it ignores the seed and the fBm parameters. (The grain's original sines are a field of their own,
+ * classicGrainField in pipeline.js.)
+ */
+export const noiseTypes = {
+    "simplex": "Simplex",
+    "perlin": "Perlin",
+    "worley": "Worley (cellular)",
+    "sines": "Sines (classic)"
+};
+
+// Gradient directions for Perlin and simplex noise
+const gradients = [[1, 1], [-1, 1], [1, -1], [-1, -1], [1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Skew factors between the square grid and the simplex (triangle) grid
+const skew = (Math.sqrt(3) - 1) / 2;
+const unskew = (3 - Math.sqrt(3)) / 6;
+
+/**
+ * Returns the noise field (x, y) → value in [0, 1] described by the options:
+ * {type, seed, frequency, octaves = 1, lacunarity = 2, gain = 0.5}. x and y are scaled by the frequency;
+ * octaves > 1 sums that many layers of noise, each `lacunarity` times finer and `gain` times weaker.
+ * The sines are marked `pointwise`: cheap enough to evaluate at every pixel (see generateBlurMap).
+ */
+export function createNoiseField({type, seed = 0, frequency, octaves = 1, lacunarity = 2, gain = 0.5}) {
+    if (type === "sines") {
+        return Object.assign((x, y) => {
+            const nx = x * frequency;
+            const ny = y * frequency;
+            const noise =
+                Math.sin(nx * 0.5) * Math.cos(ny * 0.7) +
+                Math.sin(nx * 1.3) * Math.cos(ny * 1.1) +
+                Math.sin(nx * 2.3 + ny * 1.5);
+            // Convert noise (-3 to 3) to a value between 0 and 1
+            return (noise + 3) / 6;
+        }, {pointwise: true});
+    }
+    const noise = fbm(createNoise2D(type, seed), octaves, lacunarity, gain);
+    return (x, y) => Math.max(0, Math.min(1, (noise(x * frequency, y * frequency) + 1) / 2));
+}
+
+/**
+ * Returns a seeded 2D noise function (x, y) → value in about [-1, 1] of the given type
+ * ("perlin", "simplex" or "worley") with features about one unit apart.
+ */
+export function createNoise2D(type, seed) {
+    const perm = permutation(seed);
+    switch (type) {
+        case "perlin":
+            return (x, y) => perlin(perm, x, y);
+        case "simplex":
+            return (x, y) => simplex(perm, x, y);
+        case "worley":
+            return (x, y) => worley(seed, x, y);
+        default:
+            throw new Error("Unknown noise type: " + type);
+    }
+}
+
+/**
+ * Fractal Brownian motion: the sum of `octaves` layers of the noise, each `lacunarity` times the frequency
+ * and `gain` times the amplitude of the previous one, scaled back to the noise's range.
+ */
+export function fbm(noise, octaves = 1, lacunarity = 2, gain = 0.5) {
+    const layers = Math.max(1, Math.round(octaves));
+    if (layers === 1) return noise;
+    let totalAmplitude = 0;
+    for (let i = 0, amplitude = 1; i < layers; i++, amplitude *= gain) {
+        totalAmplitude += amplitude;
+    }
+    return (x, y) => {
+        let sum = 0;
+        let frequency = 1;
+        let amplitude = 1;
+        for (let i = 0; i < layers; i++) {
+            // Shift every octave so the layers do not all line up at the origin.
+            sum += amplitude * noise(x * frequency + i * 19.19, y * frequency + i * 7.31);
+            frequency *= lacunarity;
+            amplitude *= gain;
+        }
+        return totalAmplitude > 0 ? sum / totalAmplitude : 0;
+    };
+}
+
+/**
+ * Returns a seeded permutation of 0-255, repeated to 512 entries so lookups need no wrapping.
+ */
+function permutation(seed) {
+    const random = createRandom(seed);
+    const values = Array.from({length: 256}, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [values[i], values[j]] = [values[j], values[i]];
+    }
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+        perm[i] = values[i & 255];
+    }
+    return perm;
+}
+
+function gradientDot(perm, ix, iy, x, y) {
+    const [gx, gy] = gradients[perm[(ix & 255) + perm[iy & 255]] & 7];
+    return gx * x + gy * y;
+}
+
+/**
+ * Improved Perlin noise (Perlin, 2002).
+ */
+function perlin(perm, x, y) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const fx = x - ix;
+    const fy = y - iy;
+    const u = fade(fx);
+    const v = fade(fy);
+    const n00 = gradientDot(perm, ix, iy, fx, fy);
+    const n10 = gradientDot(perm, ix + 1, iy, fx - 1, fy);
+    const n01 = gradientDot(perm, ix, iy + 1, fx, fy - 1);
+    const n11 = gradientDot(perm, ix + 1, iy + 1, fx - 1, fy - 1);
+    const top = n00 + u * (n10 - n00);
+    const bottom = n01 + u * (n11 - n01);
+    // The raw range is about ±0.7 with these gradients.
+    return Math.max(-1, Math.min(1, (top + v * (bottom - top)) * 1.4));
+}
+
+function fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * 2D simplex noise (Perlin, 2001; after Gustavson's reference implementation).
+ */
+function simplex(perm, x, y) {
+    // Find the simplex (triangle) cell and the position within it.
+    const s = (x + y) * skew;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const t = (i + j) * unskew;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    const i1 = x0 > y0 ? 1 : 0;
+    const j1 = 1 - i1;
+    const x1 = x0 - i1 + unskew;
+    const y1 = y0 - j1 + unskew;
+    const x2 = x0 - 1 + 2 * unskew;
+    const y2 = y0 - 1 + 2 * unskew;
+
+    // Sum the contributions of the three corners.
+    const total = simplexCorner(perm, i, j, x0, y0)
+        + simplexCorner(perm, i + i1, j + j1, x1, y1)
+        + simplexCorner(perm, i + 1, j + 1, x2, y2);
+    return Math.max(-1, Math.min(1, 70 * total));
+}
+
+function simplexCorner(perm, i, j, x, y) {
+    const falloff = 0.5 - x * x - y * y;
+    if (falloff <= 0) return 0;
+    const squared = falloff * falloff;
+    return squared * squared * gradientDot(perm, i, j, x, y);
+}
+
+/**
+ * Worley (cellular) noise: the distance to the nearest of the feature points scattered one per unit cell,
+ * mapped from [0, 1] to [-1, 1].
+ */
+function worley(seed, x, y) {
+    const cellX = Math.floor(x);
+    const cellY = Math.floor(y);
+    let nearest = Infinity;
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            const cx = cellX + dx;
+            const cy = cellY + dy;
+            const px = cx + cellHash(seed, cx, cy, 0) - x;
+            const py = cy + cellHash(seed, cx, cy, 1) - y;
+            nearest = Math.min(nearest, px * px + py * py);
+        }
+    }
+    return Math.min(1, Math.sqrt(nearest)) * 2 - 1;
+}
+
+/**
+ * Hashes a seed, a cell and a salt to a pseudo-random value in [0, 1).
+ */
+function cellHash(seed, x, y, salt) {
+    let h = seed ^ Math.imul(x, 0x27D4EB2D) ^ Math.imul(y, 0x165667B1) ^ Math.imul(salt + 1, 0x9E3779B1);
+    h = Math.imul(h ^ (h >>> 15), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
@@ -0,0 +1,82 @@
+// OKLab, a perceptual color space (Björn Ottosson, 2020): Euclidean distances between OKLab colors
+// follow perceived color differences far better than distances between RGB values.
+
+// sRGB channel value (0-255) to linear light, tabulated for whole values
+const linearTable = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+    linearTable[i] = srgbToLinear(i);
+}
+
+/**
+ * Converts an sRGB color (channels 0-255, not necessarily whole) to OKLab [L, a, b]; L runs from 0 to 1.
+ */
+export function rgbToOklab(r, g, b) {
+    const lr = channelToLinear(r);
+    const lg = channelToLinear(g);
+    const lb = channelToLinear(b);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+/**
+ * Converts an OKLab color back to sRGB [r, g, b] (channels 0-255, clamped, not rounded).
+ */
+export function oklabToRgb(L, a, b) {
+    return oklabToLinear(L, a, b).map(linearToSrgb);
+}
+
+/**
+ * Returns the OKLab color with the same lightness and hue as the given one and as much of its chroma as fits
+ * in the sRGB gamut, as [L, a, b].
+ */
+export function clampOklabChroma(L, a, b) {
+    const inGamut = factor =>
+        oklabToLinear(L, a * factor, b * factor).every(value => value >= -1e-4 && value <= 1 + 1e-4);
+    if (inGamut(1)) return [L, a, b];
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 16; i++) {
+        const factor = (low + high) / 2;
+        if (inGamut(factor)) {
+            low = factor;
+        } else {
+            high = factor;
+        }
+    }
+    return [L, a * low, b * low];
+}
+
+function oklabToLinear(L, a, b) {
+    const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+}
+
+function channelToLinear(value) {
+    const clamped = Math.max(0, Math.min(255, value));
+    return Number.isInteger(clamped) ? linearTable[clamped] : srgbToLinear(clamped);
+}
+
+function srgbToLinear(value) {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+function linearToSrgb(value) {
+    const c = Math.max(0, Math.min(1, value));
+    return 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055);
+}
@@ -0,0 +1,185 @@
+import {normalizeHex, paletteFormats, parsePalette, serializePalette} from "./palette-formats.js";
+import {downloadBlob} from "./download.js";
+
+// localStorage key of the user's saved palette presets ({name: colors})
+const presetsStorageKey = "albumArt.palettePresets";
+
+/**
+ * Wires up the palette editor: swatches with a color picker that can be added, removed and reordered,
+ * named presets saved in localStorage, and import/export as JSON, GIMP .gpl, Adobe .ase and .aco.
+ * builtInPalettes maps preset names to color lists that are always available and cannot be deleted.
+ * Calls onChange(palette) whenever the active palette changes and returns {getPalette, setPalette}.
+ */
+export function initPaletteEditor(elements, builtInPalettes, initialPalette, onChange) {
+    const {
+        swatches, addSwatchBtn, presetSelect, presetNameInput, savePresetBtn, deletePresetBtn,
+        importInput, exportFormatSelect, exportBtn
+    } = elements;
+
+    let palette = {name: initialPalette.name, colors: initialPalette.colors.slice()};
+
+    addSwatchBtn.addEventListener("click", () => {
+        // Start the new swatch from the last color so it is easy to tweak.
+        palette.colors.push(palette.colors[palette.colors.length - 1] || "#808080");
+        changed();
+    });
+
+    presetSelect.addEventListener("change", () => {
+        const name = presetSelect.value;
+        const colors = builtInPalettes[name] || loadSavedPresets()[name];
+        if (colors) {
+            palette = {name, colors: colors.slice()};
+            changed();
+        }
+    });
+
+    savePresetBtn.addEventListener("click", () => {
+        const name = presetNameInput.value.trim() || palette.name;
+        if (!name) return;
+        if (builtInPalettes[name]) {
+            alert("\"" + name + "\" is a built-in palette. Choose another name.");
+            return;
+        }
+        savePresets({...loadSavedPresets(), [name]: palette.colors.slice()});
+        palette.name = name;
+        presetNameInput.value = "";
+        renderPresetOptions();
+    });
+
+    deletePresetBtn.addEventListener("click", () => {
+        const presets = loadSavedPresets();
+        if (!presets[presetSelect.value]) return;
+        delete presets[presetSelect.value];
+        savePresets(presets);
+        renderPresetOptions();
+    });
+
+    importInput.addEventListener("change", async () => {
+        const file = importInput.files[0];
+        importInput.value = "";
+        if (!file) return;
+        try {
+            palette = parsePalette(new Uint8Array(await file.arrayBuffer()), file.name);
+            changed();
+        } catch (error) {
+            alert("Could not import the palette: " + error.message);
+        }
+    });
+
+    exportBtn.addEventListener("click", () => {
+        const format = paletteFormats[exportFormatSelect.value];
+        const bytes = serializePalette(palette, exportFormatSelect.value);
+        const fileName = (palette.name || "palette").replace(/[^\w-]+/g, "_") + "." + format.extension;
+        downloadBlob(new Blob([bytes], {type: format.mimeType}), fileName);
+    });
+
+    renderSwatches();
+    renderPresetOptions();
+
+    return {
+        getPalette: () => ({name: palette.name, colors: palette.colors.slice()}),
+        setPalette(newPalette) {
+            palette = {name: newPalette.name, colors: newPalette.colors.slice()};
+            changed();
+        }
+    };
+
+    /**
+     * Refreshes the editor after the palette changed and notifies the listener.
+     */
+    function changed() {
+        renderSwatches();
+        renderPresetOptions();
+        onChange({name: palette.name, colors: palette.colors.slice()});
+    }
+
+    /**
+     * Draws one swatch per color with a color picker and move/remove buttons.
+     */
+    function renderSwatches() {
+        swatches.replaceChildren();
+        palette.colors.forEach((color, index) => {
+            const swatch = document.createElement("div");
+            swatch.className = "swatch";
+
+            const picker = document.createElement("input");
+            picker.type = "color";
+            picker.value = normalizeHex(color) || "#000000";
+            picker.title = picker.value;
+            picker.addEventListener("input", () => {
+                palette.colors[index] = picker.value;
+                picker.title = picker.value;
+                onChange({name: palette.name, colors: palette.colors.slice()});
+            });
+
+            const moveLeft = swatchButton("◀", "Move left", index > 0, () => moveColor(index, index - 1));
+            const moveRight = swatchButton("▶", "Move right", index < palette.colors.length - 1, () => moveColor(index, index + 1));
+            // A palette always keeps at least one color.
+            const remove = swatchButton("✕", "Remove", palette.colors.length > 1, () => {
+                palette.colors.splice(index, 1);
+                changed();
+            });
+
+            swatch.append(picker, moveLeft, moveRight, remove);
+            swatches.appendChild(swatch);
+        });
+    }
+
+    function swatchButton(text, title, enabled, onClick) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = text;
+        button.title = title;
+        button.disabled = !enabled;
+        button.addEventListener("click", onClick);
+        return button;
+    }
+
+    function moveColor(from, to) {
+        const [color] = palette.colors.splice(from, 1);
+        palette.colors.splice(to, 0, color);
+        changed();
+    }
+
+    /**
+     * Lists the built-in and saved presets, selecting the active palette's name if it is one of them.
+     */
+    function renderPresetOptions() {
+        presetSelect.replaceChildren();
+        const groups = [["Built-in", Object.keys(builtInPalettes)], ["Saved", Object.keys(loadSavedPresets())]];
+        for (const [label, names] of groups) {
+            if (names.length === 0) continue;
+            const group = document.createElement("optgroup");
+            group.label = label;
+            for (const name of names) {
+                group.appendChild(new Option(name, name));
+            }
+            presetSelect.appendChild(group);
+        }
+        presetSelect.value = palette.name;
+        if (presetSelect.value !== palette.name) {
+            presetSelect.selectedIndex = -1;
+        }
+    }
+}
+
+/**
+ * Returns the saved presets from localStorage, ignoring anything unreadable.
+ */
+function loadSavedPresets() {
+    try {
+        const presets = JSON.parse(localStorage.getItem(presetsStorageKey)) || {};
+        const result = {};
+        for (const [name, colors] of Object.entries(presets)) {
+            const valid = Array.isArray(colors) ? colors.map(normalizeHex).filter(Boolean) : [];
+            if (valid.length > 0) result[name] = valid;
+        }
+        return result;
+    } catch {
+        return {};
+    }
+}
+
+function savePresets(presets) {
+    localStorage.setItem(presetsStorageKey, JSON.stringify(presets));
+}
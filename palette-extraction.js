@@ -0,0 +1,154 @@
+// Dominant color extraction (color quantization) for building a palette from a reference image.
+
+// Pixels with a lower alpha value are ignored.
+const minAlpha = 128;
+
+// Maximum number of k-means refinement iterations.
+const maxKMeansIterations = 12;
+
+/**
+ * Returns the `count` dominant colors of the given ImageData as hex strings, most common first.
+ * method is "median-cut" or "k-means" (k-means starts from the median-cut colors and refines them).
+ */
+export function extractPalette(imageData, count, method = "k-means") {
+    const pixels = collectPixels(imageData);
+    if (pixels.length === 0) return [];
+
+    let centroids = medianCut(pixels, count);
+    if (method === "k-means") {
+        centroids = kMeans(pixels, centroids);
+    }
+
+    // Count the pixels closest to each color so the result can be ordered by dominance.
+    const populations = new Array(centroids.length).fill(0);
+    for (const pixel of pixels) {
+        populations[nearestIndex(pixel, centroids)]++;
+    }
+    return centroids
+        .map((color, index) => ({color, population: populations[index]}))
+        .filter(({population}) => population > 0)
+        .sort((a, b) => b.population - a.population)
+        .map(({color}) => rgbToHex(color));
+}
+
+/**
+ * Returns the opaque pixels as [r, g, b] arrays.
+ */
+function collectPixels(imageData) {
+    const {data} = imageData;
+    const pixels = [];
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] >= minAlpha) {
+            pixels.push([data[i], data[i + 1], data[i + 2]]);
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Median-cut quantization: repeatedly splits the box with the widest (population-weighted) channel range
+ * at the median of that channel until there are `count` boxes, and returns each box's mean color.
+ */
+function medianCut(pixels, count) {
+    const boxes = [pixels];
+    while (boxes.length < count) {
+        let bestIndex = -1;
+        let bestScore = 0;
+        let bestChannel = 0;
+        boxes.forEach((box, index) => {
+            if (box.length < 2) return;
+            const {channel, range} = widestChannel(box);
+            const score = range * box.length;
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+                bestChannel = channel;
+            }
+        });
+        // Every remaining box holds a single color.
+        if (bestIndex === -1) break;
+
+        const box = boxes[bestIndex].slice().sort((a, b) => a[bestChannel] - b[bestChannel]);
+        const median = box.length >> 1;
+        boxes.splice(bestIndex, 1, box.slice(0, median), box.slice(median));
+    }
+    return boxes.map(meanColor);
+}
+
+function widestChannel(box) {
+    let channel = 0;
+    let range = -1;
+    for (let c = 0; c < 3; c++) {
+        let min = 255;
+        let max = 0;
+        for (const pixel of box) {
+            if (pixel[c] < min) min = pixel[c];
+            if (pixel[c] > max) max = pixel[c];
+        }
+        if (max - min > range) {
+            range = max - min;
+            channel = c;
+        }
+    }
+    return {channel, range};
+}
+
+/**
+ * Refines the given centroids with Lloyd's k-means algorithm. A centroid that loses all its pixels keeps its color.
+ */
+function kMeans(pixels, initialCentroids) {
+    let centroids = initialCentroids.map(color => color.slice());
+    for (let iteration = 0; iteration < maxKMeansIterations; iteration++) {
+        const sums = centroids.map(() => [0, 0, 0, 0]);
+        for (const pixel of pixels) {
+            const sum = sums[nearestIndex(pixel, centroids)];
+            sum[0] += pixel[0];
+            sum[1] += pixel[1];
+            sum[2] += pixel[2];
+            sum[3]++;
+        }
+
+        let moved = false;
+        centroids = centroids.map((color, index) => {
+            const [r, g, b, n] = sums[index];
+            if (n === 0) return color;
+            const next = [r / n, g / n, b / n];
+            if (Math.abs(next[0] - color[0]) + Math.abs(next[1] - color[1]) + Math.abs(next[2] - color[2]) > 0.5) {
+                moved = true;
+            }
+            return next;
+        });
+        if (!moved) break;
+    }
+    return centroids;
+}
+
+function nearestIndex(pixel, colors) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < colors.length; i++) {
+        const dr = pixel[0] - colors[i][0];
+        const dg = pixel[1] - colors[i][1];
+        const db = pixel[2] - colors[i][2];
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+        }
+    }
+    return best;
+}
+
+function meanColor(box) {
+    const sum = [0, 0, 0];
+    for (const pixel of box) {
+        sum[0] += pixel[0];
+        sum[1] += pixel[1];
+        sum[2] += pixel[2];
+    }
+    return sum.map(value => value / box.length);
+}
+
+function rgbToHex(color) {
+    return "#" + color.map(value => Math.round(value).toString(16).padStart(2, "0")).join("");
+}
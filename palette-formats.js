@@ -0,0 +1,434 @@
+// Reading and writing palettes in the file formats used by design tools.
+// A palette is a plain object: {name: "My palette", colors: ["#d8b12b", "#6493da", ...]}.
+
+// Formats a palette can be exported to, with their file extension and MIME type.
+export const paletteFormats = {
+    json: {extension: "json", mimeType: "application/json"},
+    gpl: {extension: "gpl", mimeType: "text/plain"},
+    ase: {extension: "ase", mimeType: "application/octet-stream"},
+    aco: {extension: "aco", mimeType: "application/octet-stream"}
+};
+
+/**
+ * Parses a palette file (JSON, GIMP .gpl, Adobe .ase or .aco) from its bytes.
+ * The format is detected from the content; the file name only provides the fallback palette name.
+ * Throws an Error if the content is not a palette in any supported format.
+ */
+export function parsePalette(bytes, fileName = "Imported") {
+    const fallbackName = fileName.replace(/\.[^.]*$/, "");
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let palette;
+    if (bytes.length >= 4 && readAscii(view, 0, 4) === "ASEF") {
+        palette = parseBinary(parseASE, view, fileName);
+    } else if (bytes.length >= 4 && (view.getUint16(0) === 1 || view.getUint16(0) === 2)) {
+        palette = parseBinary(parseACO, view, fileName);
+    } else {
+        const text = new TextDecoder().decode(bytes).replace(/^\uFEFF/, "").trim();
+        if (text.startsWith("GIMP Palette")) {
+            palette = parseGPL(text);
+        } else if (text.startsWith("{") || text.startsWith("[")) {
+            palette = parseJSON(text);
+        } else {
+            throw new Error("Unsupported palette file: " + fileName);
+        }
+    }
+    if (palette.colors.length === 0) {
+        throw new Error("The palette file contains no colours: " + fileName);
+    }
+    return {name: palette.name || fallbackName, colors: palette.colors};
+}
+
+/**
+ * Serializes a palette to the given format ("json", "gpl", "ase" or "aco") and returns the file bytes.
+ * A palette without a name is written with an empty one.
+ */
+export function serializePalette({name = "", colors}, format) {
+    const palette = {name, colors};
+    switch (format) {
+        case "json":
+            return new TextEncoder().encode(JSON.stringify({name: palette.name, colors: palette.colors}, null, 2) + "\n");
+        case "gpl":
+            return new TextEncoder().encode(serializeGPL(palette));
+        case "ase":
+            return serializeASE(palette);
+        case "aco":
+            return serializeACO(palette);
+        default:
+            throw new Error("Unknown palette format: " + format);
+    }
+}
+
+/**
+ * Normalizes a CSS hex color ("#abc", "abc", "#AABBCC") to the lowercase six-digit form "#aabbcc".
+ * Returns null for anything that is not a hex color.
+ */
+export function normalizeHex(color) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+    if (!match) return null;
+    let hex = match[1].toLowerCase();
+    if (hex.length === 3) {
+        hex = hex.split("").map(c => c + c).join("");
+    }
+    return "#" + hex;
+}
+
+/**
+ * Runs the parser of a binary format, reporting a file that ends in the middle of a block as damaged.
+ */
+function parseBinary(parse, view, fileName) {
+    try {
+        return parse(view);
+    } catch (error) {
+        if (error instanceof RangeError) {
+            throw new Error("The palette file is truncated or damaged: " + fileName);
+        }
+        throw error;
+    }
+}
+
+// --- JSON ---
+
+/**
+ * Parses {name, colors} JSON or a bare array of hex colors.
+ */
+function parseJSON(text) {
+    const json = JSON.parse(text);
+    const colors = Array.isArray(json) ? json : json.colors;
+    if (!Array.isArray(colors)) {
+        throw new Error("The JSON palette has no \"colors\" array.");
+    }
+    return {
+        name: Array.isArray(json) ? "" : String(json.name || ""),
+        colors: colors.map(normalizeHex).filter(Boolean)
+    };
+}
+
+// --- GIMP palette (.gpl) ---
+
+/**
+ * Parses a GIMP palette: a "GIMP Palette" header, optional Name/Columns lines and "R G B name" rows.
+ */
+function parseGPL(text) {
+    let name = "";
+    const colors = [];
+    for (const rawLine of text.split(/\r?\n/).slice(1)) {
+        const line = rawLine.trim();
+        if (line === "" || line.startsWith("#")) continue;
+        const header = /^(Name|Columns):\s*(.*)$/i.exec(line);
+        if (header) {
+            if (header[1].toLowerCase() === "name") name = header[2];
+            continue;
+        }
+        const match = /^(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+        if (match) {
+            colors.push(rgbToHex(Number(match[1]), Number(match[2]), Number(match[3])));
+        }
+    }
+    return {name, colors};
+}
+
+function serializeGPL(palette) {
+    const lines = ["GIMP Palette", "Name: " + palette.name, "Columns: 0", "#"];
+    for (const color of palette.colors) {
+        const {r, g, b} = hexToRGB(color);
+        lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${color}`);
+    }
+    return lines.join("\n") + "\n";
+}
+
+// --- Adobe Swatch Exchange (.ase) ---
+
+const aseGroupStart = 0xC001;
+const aseGroupEnd = 0xC002;
+const aseColorEntry = 0x0001;
+
+/**
+ * Parses an Adobe Swatch Exchange file (big-endian blocks of groups and RGB/CMYK/LAB/Gray colors).
+ */
+function parseASE(view) {
+    const blockCount = view.getUint32(8);
+    let offset = 12;
+    let name = "";
+    const colors = [];
+    for (let i = 0; i < blockCount && offset + 6 <= view.byteLength; i++) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const start = offset + 6;
+        offset = start + length;
+        if (type === aseGroupEnd) continue;
+
+        const nameLength = view.getUint16(start);
+        const blockName = readUTF16(view, start + 2, nameLength);
+        if (type === aseGroupStart) {
+            // Use the first group's name as the palette name.
+            name = name || blockName;
+            continue;
+        }
+        if (type !== aseColorEntry) continue;
+
+        let position = start + 2 + nameLength * 2;
+        const model = readAscii(view, position, 4);
+        position += 4;
+        const values = [];
+        const valueCount = {"RGB ": 3, "CMYK": 4, "LAB ": 3, "Gray": 1}[model] || 0;
+        for (let v = 0; v < valueCount; v++) {
+            values.push(view.getFloat32(position + v * 4));
+        }
+        if (model === "RGB ") {
+            colors.push(rgbToHex(values[0] * 255, values[1] * 255, values[2] * 255));
+        } else if (model === "CMYK") {
+            colors.push(cmykToHex(values[0], values[1], values[2], values[3]));
+        } else if (model === "LAB ") {
+            colors.push(labToHex(values[0] * 100, values[1], values[2]));
+        } else if (model === "Gray") {
+            colors.push(rgbToHex(values[0] * 255, values[0] * 255, values[0] * 255));
+        }
+    }
+    return {name, colors};
+}
+
+/**
+ * Writes the palette as one named group of RGB color entries.
+ */
+function serializeASE(palette) {
+    const blocks = [];
+    blocks.push(aseBlock(aseGroupStart, aseName(palette.name)));
+    for (const color of palette.colors) {
+        const {r, g, b} = hexToRGB(color);
+        const name = aseName(color);
+        const body = new Uint8Array(name.length + 4 + 12 + 2);
+        const view = new DataView(body.buffer);
+        body.set(name, 0);
+        writeAscii(view, name.length, "RGB ");
+        view.setFloat32(name.length + 4, r / 255);
+        view.setFloat32(name.length + 8, g / 255);
+        view.setFloat32(name.length + 12, b / 255);
+        view.setUint16(name.length + 16, 2); // Normal (non-global, non-spot) color
+        blocks.push(aseBlock(aseColorEntry, body));
+    }
+    blocks.push(aseBlock(aseGroupEnd, new Uint8Array(0)));
+
+    const header = new Uint8Array(12);
+    const headerView = new DataView(header.buffer);
+    writeAscii(headerView, 0, "ASEF");
+    headerView.setUint16(4, 1); // Version 1.0
+    headerView.setUint16(6, 0);
+    headerView.setUint32(8, blocks.length);
+    return concatBytes([header, ...blocks]);
+}
+
+function aseBlock(type, body) {
+    const block = new Uint8Array(6 + body.length);
+    const view = new DataView(block.buffer);
+    view.setUint16(0, type);
+    view.setUint32(2, body.length);
+    block.set(body, 6);
+    return block;
+}
+
+/**
+ * Encodes a block name: its length in UTF-16 code units (including the terminator) followed by the text.
+ */
+function aseName(text) {
+    const bytes = new Uint8Array(2 + (text.length + 1) * 2);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, text.length + 1);
+    writeUTF16(view, 2, text);
+    return bytes;
+}
+
+// --- Photoshop color swatches (.aco) ---
+
+const acoRGB = 0;
+const acoHSB = 1;
+const acoCMYK = 2;
+const acoLab = 7;
+const acoGray = 8;
+
+/**
+ * Parses a Photoshop swatch file. Version 2 data (which carries names) is preferred over version 1 when present.
+ */
+function parseACO(view) {
+    let offset = 0;
+    let colors = [];
+    while (offset + 4 <= view.byteLength) {
+        const version = view.getUint16(offset);
+        const count = view.getUint16(offset + 2);
+        offset += 4;
+        if (version !== 1 && version !== 2) break;
+
+        const sectionColors = [];
+        for (let i = 0; i < count && offset + 10 <= view.byteLength; i++) {
+            const space = view.getUint16(offset);
+            const w = view.getUint16(offset + 2);
+            const x = view.getUint16(offset + 4);
+            const y = view.getUint16(offset + 6);
+            const z = view.getUint16(offset + 8);
+            offset += 10;
+            if (version === 2) {
+                // Name: 32-bit length in UTF-16 code units (including the terminator), then the characters.
+                const nameLength = view.getUint32(offset);
+                offset += 4 + nameLength * 2;
+            }
+            const hex = acoColorToHex(space, w, x, y, z);
+            if (hex) sectionColors.push(hex);
+        }
+        colors = sectionColors;
+    }
+    return {name: "", colors};
+}
+
+function acoColorToHex(space, w, x, y, z) {
+    switch (space) {
+        case acoRGB:
+            return rgbToHex(w / 257, x / 257, y / 257);
+        case acoHSB:
+            return hsbToHex(w / 65535 * 360, x / 65535, y / 65535);
+        case acoCMYK:
+            // 0 means 100% ink in Photoshop's CMYK swatches.
+            return cmykToHex(1 - w / 65535, 1 - x / 65535, 1 - y / 65535, 1 - z / 65535);
+        case acoLab:
+            return labToHex(w / 100, toInt16(x) / 100, toInt16(y) / 100);
+        case acoGray: {
+            const gray = 255 - w / 10000 * 255;
+            return rgbToHex(gray, gray, gray);
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Writes a version 1 section followed by a version 2 section that repeats the colors with their names.
+ */
+function serializeACO(palette) {
+    const colors = palette.colors.map(hexToRGB);
+    const names = palette.colors;
+    const size = 4 + colors.length * 10 + 4 + colors.reduce((sum, _, i) => sum + 14 + (names[i].length + 1) * 2, 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    for (const version of [1, 2]) {
+        view.setUint16(offset, version);
+        view.setUint16(offset + 2, colors.length);
+        offset += 4;
+        colors.forEach(({r, g, b}, i) => {
+            view.setUint16(offset, acoRGB);
+            view.setUint16(offset + 2, r * 257);
+            view.setUint16(offset + 4, g * 257);
+            view.setUint16(offset + 6, b * 257);
+            view.setUint16(offset + 8, 0);
+            offset += 10;
+            if (version === 2) {
+                view.setUint32(offset, names[i].length + 1);
+                writeUTF16(view, offset + 4, names[i]);
+                offset += 4 + (names[i].length + 1) * 2;
+            }
+        });
+    }
+    return bytes;
+}
+
+// --- Color conversions ---
+
+function hexToRGB(hex) {
+    const num = parseInt(normalizeHex(hex).slice(1), 16);
+    return {
+        r: (num >> 16) & 255,
+        g: (num >> 8) & 255,
+        b: num & 255
+    };
+}
+
+function rgbToHex(r, g, b) {
+    return "#" + [r, g, b]
+        .map(value => Math.round(Math.max(0, Math.min(255, value))).toString(16).padStart(2, "0"))
+        .join("");
+}
+
+function cmykToHex(c, m, y, k) {
+    return rgbToHex(255 * (1 - c) * (1 - k), 255 * (1 - m) * (1 - k), 255 * (1 - y) * (1 - k));
+}
+
+function hsbToHex(hue, saturation, brightness) {
+    const f = n => {
+        const k = (n + hue / 60) % 6;
+        return brightness - brightness * saturation * Math.max(0, Math.min(k, 4 - k, 1));
+    };
+    return rgbToHex(f(5) * 255, f(3) * 255, f(1) * 255);
+}
+
+/**
+ * Converts CIE L*a*b* (D50, as used by Adobe) to an sRGB hex color.
+ */
+function labToHex(l, a, b) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inverse = t => (t > 6 / 29 ? t ** 3 : 3 * (6 / 29) ** 2 * (t - 4 / 29));
+    // D50 reference white
+    const x = 0.96422 * inverse(fx);
+    const y = 1.0 * inverse(fy);
+    const z = 0.82521 * inverse(fz);
+    // XYZ (D50) to linear sRGB with Bradford chromatic adaptation
+    const linear = [
+        3.1338561 * x - 1.6168667 * y - 0.4906146 * z,
+        -0.9787684 * x + 1.9161415 * y + 0.0334540 * z,
+        0.0719453 * x - 0.2289914 * y + 1.4052427 * z
+    ];
+    const [r, g, bl] = linear.map(c => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055));
+    return rgbToHex(r, g, bl);
+}
+
+function toInt16(value) {
+    return value > 0x7FFF ? value - 0x10000 : value;
+}
+
+// --- Binary helpers ---
+
+function readAscii(view, offset, length) {
+    let text = "";
+    for (let i = 0; i < length; i++) {
+        text += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return text;
+}
+
+function writeAscii(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+}
+
+/**
+ * Reads a big-endian UTF-16 string of the given length in code units, dropping the trailing terminator.
+ */
+function readUTF16(view, offset, length) {
+    let text = "";
+    for (let i = 0; i < length; i++) {
+        const code = view.getUint16(offset + i * 2);
+        if (code === 0) break;
+        text += String.fromCharCode(code);
+    }
+    return text;
+}
+
+/**
+ * Writes a big-endian UTF-16 string followed by a zero terminator.
+ */
+function writeUTF16(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint16(offset + i * 2, text.charCodeAt(i));
+    }
+    view.setUint16(offset + text.length * 2, 0);
+}
+
+function concatBytes(chunks) {
+    const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+}
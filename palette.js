@@ -0,0 +1,295 @@
+// Helper functions for refined color selection: brightness sorting, contrast measures and gradient stops
+// interpolated in sRGB, OKLab or its polar form OKLCH (see oklab.js).
+
+import {clampOklabChroma, oklabToRgb, rgbToOklab} from "./oklab.js";
+
+/**
+ * Converts a hex color string to an RGB object.
+ */
+export function hexToRGB(hex) {
+    // Remove the leading '#' if present.
+    hex = hex.replace(/^#/, '');
+    if (hex.length === 3) {
+        hex = hex.split('').map(c => c + c).join('');
+    }
+    const num = parseInt(hex, 16);
+    return {
+        r: (num >> 16) & 255,
+        g: (num >> 8) & 255,
+        b: num & 255
+    };
+}
+
+/**
+ * Calculates the brightness of a hex color.
+ * Uses the luminance formula.
+ */
+export function getBrightness(hex) {
+    const {r, g, b} = hexToRGB(hex);
+    // Standard luminance formula.
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+/**
+ * Returns a sorted copy of the palette based on brightness (ascending).
+ */
+export function getSortedPalette(palette) {
+    return palette.slice().sort((a, b) => getBrightness(a) - getBrightness(b));
+}
+
+/**
+ * Returns two adjacent colors from the sorted palette as gradient colors.
+ */
+export function getGradientColors(sortedPalette, random) {
+    // Ensure we have at least 2 colors.
+    if (sortedPalette.length < 2) return [sortedPalette[0], sortedPalette[0]];
+    // Choose a random index between 0 and length-2.
+    const index = Math.floor(random() * (sortedPalette.length - 1));
+    return [sortedPalette[index], sortedPalette[index + 1]];
+}
+
+/**
+ * Returns one or two contrasting colors from the sorted palette.
+ * If the average brightness of the gradient is below 128 (darker),
+ * choose from the brighter half; otherwise, choose from the darker half.
+ * Returns an array of two colors (possibly the same one twice); a palette with no color in the chosen half (a
+ * single color on a light gradient) gives its own colors instead of undefined.
+ */
+export function getContrastingColors(sortedPalette, gradientBrightness, random) {
+    const mid = sortedPalette.length / 2;
+    let candidatePalette;
+    if (gradientBrightness < 128) {
+        // Background is dark; choose brighter colors.
+        candidatePalette = sortedPalette.slice(Math.floor(mid));
+    } else {
+        // Background is light; choose darker colors.
+        candidatePalette = sortedPalette.slice(0, Math.floor(mid));
+    }
+    if (candidatePalette.length === 0) {
+        candidatePalette = sortedPalette;
+    }
+    // Return one or two colors randomly.
+    const color1 = candidatePalette[Math.floor(random() * candidatePalette.length)];
+    const color2 = candidatePalette[Math.floor(random() * candidatePalette.length)];
+    return [color1, color2];
+}
+
+/**
+ * Returns the WCAG relative luminance (0 for black to 1 for white) of an {r, g, b} color with channels 0-255.
+ */
+export function relativeLuminance({r, g, b}) {
+    const linear = value => {
+        const c = value / 255;
+        return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * Returns the WCAG contrast ratio (1 to 21) between two relative luminances.
+ */
+export function contrastRatio(luminanceA, luminanceB) {
+    return (Math.max(luminanceA, luminanceB) + 0.05) / (Math.min(luminanceA, luminanceB) + 0.05);
+}
+
+/**
+ * Returns the hex string of an {r, g, b} color with channels 0-255 (rounded and clamped).
+ */
+export function rgbToHex({r, g, b}) {
+    const channel = value => Math.max(0, Math.min(255, Math.round(value))).toString(16).padStart(2, "0");
+    return "#" + channel(r) + channel(g) + channel(b);
+}
+
+/**
+ * Returns the OKLab [L, a, b] of a hex color.
+ */
+function hexToOklab(hex) {
+    const {r, g, b} = hexToRGB(hex);
+    return rgbToOklab(r, g, b);
+}
+
+/**
+ * Returns the hex string of an OKLab color, reducing its chroma (keeping its lightness and hue) until it fits
+ * the sRGB gamut.
+ */
+function oklabToHex(L, a, b) {
+    const [r, g, blue] = oklabToRgb(...clampOklabChroma(L, a, b));
+    return rgbToHex({r, g, b: blue});
+}
+
+/**
+ * Color spaces gradients can be interpolated in. sRGB is what canvases do by themselves; OKLab keeps the
+ * perceived lightness even and avoids the muddy middle of sRGB, OKLCH also keeps the chroma and turns the hue
+ * the shorter way round.
+ */
+export const gradientSpaces = {
+    "srgb": "sRGB",
+    "oklab": "OKLab",
+    "oklch": "OKLCH"
+};
+
+// Stops a gradient segment between two colors is divided into outside sRGB; the canvas interpolates in sRGB
+// between them, which is close enough at this spacing.
+const gradientSteps = 8;
+
+/**
+ * Returns the color `t` (0 to 1) of the way from one hex color to another in one of gradientSpaces, as hex.
+ */
+export function interpolateColor(from, to, t, space = "srgb") {
+    if (space === "srgb") {
+        const a = hexToRGB(from);
+        const b = hexToRGB(to);
+        return rgbToHex({r: a.r + (b.r - a.r) * t, g: a.g + (b.g - a.g) * t, b: a.b + (b.b - a.b) * t});
+    }
+    const [lightnessA, aA, bA] = hexToOklab(from);
+    const [lightnessB, aB, bB] = hexToOklab(to);
+    const lightness = lightnessA + (lightnessB - lightnessA) * t;
+    if (space === "oklch") {
+        const chromaA = Math.hypot(aA, bA);
+        const chromaB = Math.hypot(aB, bB);
+        // A grey has no hue of its own and takes the other color's.
+        let hueA = Math.atan2(bA, aA);
+        let hueB = Math.atan2(bB, aB);
+        if (chromaA < 1e-4) hueA = hueB;
+        if (chromaB < 1e-4) hueB = hueA;
+        let turn = hueB - hueA;
+        if (turn > Math.PI) turn -= 2 * Math.PI;
+        if (turn < -Math.PI) turn += 2 * Math.PI;
+        const chroma = chromaA + (chromaB - chromaA) * t;
+        const hue = hueA + turn * t;
+        return oklabToHex(lightness, chroma * Math.cos(hue), chroma * Math.sin(hue));
+    }
+    return oklabToHex(lightness, aA + (aB - aA) * t, bA + (bB - bA) * t);
+}
+
+/**
+ * Returns the [offset, color] stops of a canvas gradient through the given colors, evenly spaced, interpolated
+ * in one of gradientSpaces.
+ */
+export function gradientStops(colors, space = "srgb") {
+    if (colors.length < 2) return colors.map(color => [0, color]);
+    const segments = colors.length - 1;
+    if (space === "srgb") return colors.map((color, index) => [index / segments, color]);
+    const stops = [[0, colors[0]]];
+    for (let segment = 0; segment < segments; segment++) {
+        for (let step = 1; step <= gradientSteps; step++) {
+            const t = step / gradientSteps;
+            stops.push([(segment + t) / segments, interpolateColor(colors[segment], colors[segment + 1], t, space)]);
+        }
+    }
+    return stops;
+}
+
+/**
+ * Returns the APCA lightness contrast Lc (about -108 to 106) of a color on a background, both hex: positive for
+ * dark on light, negative for light on dark. After the APCA 0.0.98G-4g constants.
+ */
+export function apcaContrast(foreground, background) {
+    const screenLuminance = hex => {
+        const {r, g, b} = hexToRGB(hex);
+        const y = 0.2126729 * (r / 255) ** 2.4 + 0.7151522 * (g / 255) ** 2.4 + 0.0721750 * (b / 255) ** 2.4;
+        // Soft clamp of near-black colors
+        return y < 0.022 ? y + (0.022 - y) ** 1.414 : y;
+    };
+    const text = screenLuminance(foreground);
+    const back = screenLuminance(background);
+    if (Math.abs(back - text) < 0.0005) return 0;
+    if (back > text) {
+        const contrast = (back ** 0.56 - text ** 0.57) * 1.14;
+        return contrast < 0.1 ? 0 : (contrast - 0.027) * 100;
+    }
+    const contrast = (back ** 0.65 - text ** 0.62) * 1.14;
+    return contrast > -0.1 ? 0 : (contrast + 0.027) * 100;
+}
+
+/**
+ * Ways of choosing the colors of shapes against the background. Each but "brightness" has a contrast(color,
+ * background) of two hex colors, in its own units, which the colors must reach: a WCAG ratio from 1 to 21,
+ * an APCA Lc from 0 to about 108 or an OKLab lightness difference from 0 to 100. As the scales differ, each
+ * method has its own minimum, the setting named by minContrastSetting.
+ */
+export const contrastMethods = {
+    "brightness": {label: "Opposite half by brightness (classic)"},
+    "wcag": {
+        label: "WCAG contrast ratio",
+        minContrastSetting: "minContrastWcag",
+        contrast: (color, background) =>
+            contrastRatio(relativeLuminance(hexToRGB(color)), relativeLuminance(hexToRGB(background)))
+    },
+    "apca": {
+        label: "APCA lightness contrast (Lc)",
+        minContrastSetting: "minContrastApca",
+        contrast: (color, background) => Math.abs(apcaContrast(color, background))
+    },
+    "oklab": {
+        label: "OKLab lightness difference",
+        minContrastSetting: "minContrastOklab",
+        contrast: (color, background) => Math.abs(hexToOklab(color)[0] - hexToOklab(background)[0]) * 100
+    }
+};
+
+/**
+ * What to do when no palette color reaches the minimum contrast.
+ */
+export const contrastFallbacks = {
+    "adjust": "Lighten or darken the best color",
+    "best": "Use the best palette color"
+};
+
+/**
+ * Returns two colors (possibly the same one twice) for a shape on a background of the given colors.
+ * options: {method, minContrast, fallback} (see contrastMethods and contrastFallbacks); "brightness" (or a
+ * missing method) is getContrastingColors. Otherwise the colors are picked at random from the palette colors
+ * whose contrast with every background color reaches minContrast. If there are none, the color with the most
+ * contrast is used, with its OKLab lightness moved away from the background until it does for "adjust".
+ * Always draws two random numbers, so the method does not change the rest of a cover.
+ */
+export function pickContrastingColors(sortedPalette, backgroundColors, random, options = {}) {
+    const method = contrastMethods[options.method];
+    if (!method?.contrast) {
+        const brightness = backgroundColors.reduce((sum, color) => sum + getBrightness(color), 0)
+            / backgroundColors.length;
+        return getContrastingColors(sortedPalette, brightness, random);
+    }
+    const minContrast = options.minContrast ?? 0;
+    const contrast = color => Math.min(...backgroundColors.map(background => method.contrast(color, background)));
+
+    const candidates = sortedPalette.filter(color => contrast(color) >= minContrast);
+    const first = random();
+    const second = random();
+    if (candidates.length > 0) {
+        return [candidates[Math.floor(first * candidates.length)], candidates[Math.floor(second * candidates.length)]];
+    }
+
+    let best = sortedPalette[0];
+    for (const color of sortedPalette) {
+        if (contrast(color) > contrast(best)) best = color;
+    }
+    if (options.fallback === "adjust") {
+        best = adjustLightness(best, backgroundColors, contrast, minContrast);
+    }
+    return [best, best];
+}
+
+/**
+ * Moves the OKLab lightness of a color away from the background's, in steps of 1%, until contrast(color)
+ * reaches minContrast. Tries the other direction if the first runs out, and settles for the most contrast if
+ * neither gets there.
+ */
+function adjustLightness(color, backgroundColors, contrast, minContrast) {
+    const [lightness, a, b] = hexToOklab(color);
+    const backgroundLightness = backgroundColors.reduce((sum, background) => sum + hexToOklab(background)[0], 0)
+        / backgroundColors.length;
+    const firstDirection = lightness >= backgroundLightness ? 1 : -1;
+    let best = color;
+    for (const direction of [firstDirection, -firstDirection]) {
+        for (let step = 1; step <= 100; step++) {
+            const adjustedLightness = Math.max(0, Math.min(1, lightness + direction * step * 0.01));
+            const adjusted = oklabToHex(adjustedLightness, a, b);
+            if (contrast(adjusted) >= minContrast) return adjusted;
+            if (contrast(adjusted) > contrast(best)) best = adjusted;
+            if (adjustedLightness === 0 || adjustedLightness === 1) break;
+        }
+    }
+    return best;
+}
@@ -0,0 +1,412 @@
+// The pixel pipeline: variable blur, contrast and grain (the dithering lives in dither.js).
+// Every function works on ImageData (or any {data, width, height} object) and has no DOM dependency,
+// so the pipeline runs in the render worker as well as on the main thread.
+
+import {createNoiseField} from "./noise.js";
+
+// Number of rows (or columns) between two progress reports of the blur.
+const progressInterval = 16;
+
+// The blur map's original noise, used when no other field is given
+const classicBlurField = createNoiseField({type: "sines", frequency: 0.01});
+
+// The grain's original structure, used when no other field is given
+export const classicGrainField = (x, y) =>
+    0.5 + (Math.sin(x * 0.07) * Math.cos(y * 0.05) * 15 + Math.sin(x * 0.15) * Math.cos(y * 0.12) * 10) / 50;
+
+/**
+ * Applies a variable box blur on the given ImageData where some regions are sharper and others more blurry.
+ * The blur radius varies based on a noise function to create an interesting organic effect.
+ * Each pixel is averaged over its (clipped) square window from a summed-area table, so the cost per pixel
+ * does not depend on the radius. With passes > 1, that many box blurs with proportionally smaller radii
+ * are chained, which approximates a Gaussian blur of the same overall strength.
+ *
+ * Options:
+ * - passes: number of chained box blurs (default 1).
+ * - onProgress: receives the completed fraction (0 to 1).
+ * - startRow, endRow: only these rows are returned (the result is endRow - startRow rows high); the rows
+ *   around them are still read, so a tile can be blurred seamlessly if it includes blurReach() extra rows.
+ * - mapOffsetX, mapOffsetY, mapScale: position and scale of this image within the blur map, see generateBlurMap.
+ * - mapField: the noise field of the blur map, see generateBlurMap.
+ */
+export function variableBoxBlurImageData(imageData, minRadius, maxRadius, options = {}) {
+    const {width, height} = imageData;
+    const {
+        passes = 1, onProgress = () => {}, startRow = 0, endRow = height,
+        mapOffsetX = 0, mapOffsetY = 0, mapScale = 1, mapField = classicBlurField
+    } = options;
+
+    // Generate a blur map that determines blur intensity for each pixel
+    const blurMap = generateBlurMap(width, height, minRadius, maxRadius, mapOffsetX, mapOffsetY, mapScale, mapField);
+    const passMap = passes > 1 ? blurMap.map(radius => boxPassRadius(radius, passes)) : blurMap;
+    // The map runs from minRadius to maxRadius, so the larger of the two bounds the windows either way round.
+    const largest = Math.floor(Math.max(minRadius, maxRadius));
+    const passReach = passes > 1 ? boxPassRadius(largest, passes) : largest;
+
+    let data = imageData.data;
+    for (let pass = 0; pass < passes; pass++) {
+        // Earlier passes also compute the rows the later passes will read.
+        const extraRows = (passes - 1 - pass) * passReach;
+        const fromRow = Math.max(0, startRow - extraRows);
+        const toRow = Math.min(height, endRow + extraRows);
+        data = summedAreaBoxBlur(data, width, height, passMap, passReach, fromRow, toRow,
+            fraction => onProgress((pass + fraction) / passes));
+    }
+
+    onProgress(1);
+    return createImageData(data.slice(startRow * width * 4, endRow * width * 4), width, endRow - startRow);
+}
+
+/**
+ * Returns how far (in pixels) a blur with the given largest radius (the larger of its min and max radius) and
+ * number of passes spreads a pixel, i.e. how many extra rows a tile needs on each side to be blurred like the
+ * whole image.
+ */
+export function blurReach(maxRadius, passes = 1) {
+    const radius = Math.floor(maxRadius);
+    return passes > 1 ? passes * boxPassRadius(radius, passes) : radius;
+}
+
+/**
+ * Returns the radius of each of `passes` chained box blurs whose combined variance matches
+ * a single box blur of the given radius.
+ */
+function boxPassRadius(radius, passes) {
+    const variance = ((2 * radius + 1) ** 2 - 1) / 12;
+    return Math.round((Math.sqrt(12 * variance / passes + 1) - 1) / 2);
+}
+
+/**
+ * One box blur pass with a per-pixel radius (at most maxRadius) over rows fromRow to toRow (other rows of the
+ * result stay empty). Builds a summed-area table (integral image) per channel, then averages each pixel's window
+ * with four lookups.
+ * The table is a Uint32Array that wraps around, which keeps window sums correct as long as they fit in 32 bits,
+ * i.e. for radii up to 2047 pixels; larger radii use an exact (and twice as large) Float64Array.
+ */
+function summedAreaBoxBlur(data, width, height, radiusMap, maxRadius, fromRow, toRow, onProgress) {
+    // table[(y + 1) * stride + (x + 1)] holds the sum of the channel over all pixels up to (x, y).
+    const stride = width + 1;
+    const wraps = (2 * maxRadius + 1) ** 2 * 255 < 2 ** 32;
+    const table = wraps ? new Uint32Array(stride * (height + 1)) : new Float64Array(stride * (height + 1));
+    const outputData = new Uint8ClampedArray(data.length);
+    const rows = toRow - fromRow;
+
+    for (let c = 0; c < 4; c++) {
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += data[(y * width + x) * 4 + c];
+                const cell = (y + 1) * stride + x + 1;
+                table[cell] = table[cell - stride] + rowSum;
+            }
+        }
+
+        for (let y = fromRow; y < toRow; y++) {
+            if ((y - fromRow) % progressInterval === 0) onProgress((c + (y - fromRow) / rows) / 4);
+            for (let x = 0; x < width; x++) {
+                const pixelRadius = radiusMap[y * width + x];
+                // Window bounds, clipped to the image (x1 and y1 are exclusive)
+                const x0 = Math.max(0, x - pixelRadius);
+                const x1 = Math.min(width, x + pixelRadius + 1);
+                const y0 = Math.max(0, y - pixelRadius);
+                const y1 = Math.min(height, y + pixelRadius + 1);
+                const count = (x1 - x0) * (y1 - y0);
+
+                let sum = table[y1 * stride + x1] - table[y0 * stride + x1]
+                    - table[y1 * stride + x0] + table[y0 * stride + x0];
+                if (wraps) sum >>>= 0;
+                outputData[(y * width + x) * 4 + c] = sum / count;
+            }
+        }
+    }
+
+    return outputData;
+}
+
+/**
+ * The original separable implementation of the variable box blur: a horizontal then a vertical pass that
+ * re-sum up to 2 * maxRadius + 1 samples per pixel. Its cost grows with the radius, so the pipeline uses
+ * variableBoxBlurImageData instead; this version is kept as the reference the faster one is tested against.
+ */
+export function separableBoxBlurImageData(imageData, minRadius, maxRadius, onProgress = () => {}) {
+    const {data, width, height} = imageData;
+    const tempData = new Uint8ClampedArray(data.length);
+    const outputData = new Uint8ClampedArray(data.length);
+
+    // Generate a blur map that determines blur intensity for each pixel
+    const blurMap = generateBlurMap(width, height, minRadius, maxRadius);
+
+    // Horizontal pass with variable radius
+    for (let y = 0; y < height; y++) {
+        if (y % progressInterval === 0) onProgress(y / height / 2);
+        for (let x = 0; x < width; x++) {
+            const pixelRadius = blurMap[y * width + x];
+            let r = 0, g = 0, b = 0, a = 0, count = 0;
+
+            for (let dx = -pixelRadius; dx <= pixelRadius; dx++) {
+                const nx = x + dx;
+                if (nx >= 0 && nx < width) {
+                    const index = (y * width + nx) * 4;
+                    r += data[index];
+                    g += data[index + 1];
+                    b += data[index + 2];
+                    a += data[index + 3];
+                    count++;
+                }
+            }
+
+            const index = (y * width + x) * 4;
+            tempData[index] = r / count;
+            tempData[index + 1] = g / count;
+            tempData[index + 2] = b / count;
+            tempData[index + 3] = a / count;
+        }
+    }
+
+    // Vertical pass with variable radius
+    for (let x = 0; x < width; x++) {
+        if (x % progressInterval === 0) onProgress(0.5 + x / width / 2);
+        for (let y = 0; y < height; y++) {
+            const pixelRadius = blurMap[y * width + x];
+            let r = 0, g = 0, b = 0, a = 0, count = 0;
+
+            for (let dy = -pixelRadius; dy <= pixelRadius; dy++) {
+                const ny = y + dy;
+                if (ny >= 0 && ny < height) {
+                    const index = (ny * width + x) * 4;
+                    r += tempData[index];
+                    g += tempData[index + 1];
+                    b += tempData[index + 2];
+                    a += tempData[index + 3];
+                    count++;
+                }
+            }
+
+            const index = (y * width + x) * 4;
+            outputData[index] = r / count;
+            outputData[index + 1] = g / count;
+            outputData[index + 2] = b / count;
+            outputData[index + 3] = a / count;
+        }
+    }
+
+    onProgress(1);
+    return createImageData(outputData, width, height);
+}
+
+/**
+ * Generates a blur map (an array of blur radii) for each pixel in the image.
+ * The radius follows a noise field (x, y) → [0, 1] (see noise.js; by default the classic sum of sines),
+ * evaluated at ((x + offsetX) / scale, (y + offsetY) / scale), so a tile of a larger image gets its part of
+ * the same map, and an image rendered at `scale` times the size gets the same pattern. The field is sampled
+ * on that whole-number grid and interpolated in between, so its cost does not grow with the output size,
+ * unless it is marked `pointwise` (the cheap classic sines, which covers have always sampled at every pixel).
+ */
+export function generateBlurMap(width, height, minRadius, maxRadius, offsetX = 0, offsetY = 0, scale = 1,
+                                field = classicBlurField) {
+    const map = new Uint16Array(width * height);
+    if (field.pointwise) {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const noise = field((x + offsetX) / scale, (y + offsetY) / scale);
+                map[y * width + x] = Math.floor(minRadius + noise * (maxRadius - minRadius));
+            }
+        }
+        return map;
+    }
+
+    const firstColumn = Math.floor(offsetX / scale);
+    const columns = Math.floor((width - 1 + offsetX) / scale) - firstColumn + 2;
+
+    // Field values of the grid rows above and below the current image row
+    let above = new Float64Array(columns);
+    let below = new Float64Array(columns);
+    let aboveRow = null;
+    const sampleRow = (row, gy) => {
+        for (let i = 0; i < columns; i++) {
+            row[i] = field(firstColumn + i, gy);
+        }
+    };
+
+    for (let y = 0; y < height; y++) {
+        const v = (y + offsetY) / scale;
+        const gy = Math.floor(v);
+        const fy = v - gy;
+        if (gy !== aboveRow) {
+            if (gy === aboveRow + 1) {
+                [above, below] = [below, above];
+            } else {
+                sampleRow(above, gy);
+            }
+            sampleRow(below, gy + 1);
+            aboveRow = gy;
+        }
+        for (let x = 0; x < width; x++) {
+            const u = (x + offsetX) / scale;
+            const gx = Math.floor(u);
+            const fx = u - gx;
+            const i = gx - firstColumn;
+            const top = above[i] + (above[i + 1] - above[i]) * fx;
+            const bottom = below[i] + (below[i + 1] - below[i]) * fx;
+            const noise = top + (bottom - top) * fy;
+
+            // Map the noise to our desired radius range
+            map[y * width + x] = Math.floor(minRadius + noise * (maxRadius - minRadius));
+        }
+    }
+
+    return map;
+}
+
+/**
+ * Enhances contrast of the provided ImageData.
+ */
+export function enhanceContrast(imageData, factor) {
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            let newVal = factor * (data[i + c] - 128) + 128;
+            data[i + c] = Math.max(0, Math.min(255, newVal));
+        }
+    }
+    return imageData;
+}
+
+/**
+ * Applies noise as the final step to the image for a grainy texture effect.
+ * Inspired by SVG turbulence filters but implemented directly on the pixels.
+ * The grain is a pure function of the seed and the pixel position, so tiles of an image get matching grain.
+ * The image is treated as the tile at (offsetX, offsetY) of an image rendered at `scale` times the preview
+ * size; the grain is then interpolated from the preview's pixel grid, so it looks the same at every size.
+ * `field` (x, y) → [0, 1] is a noise field in preview pixels giving the grain its structure (see noise.js).
+ * `blend` is how the grain is laid over the image: "add" (the original grain, lightening and darkening around
+ * mid grey) or one of grainBlendModes, mixed in at noiseOpacity.
+ */
+export function applyNoise(imageData, seed, noiseOpacity = 0.08, noiseScale = 50, offsetX = 0, offsetY = 0, scale = 1,
+                           field = classicGrainField, blend = "add") {
+    const blendChannel = grainBlendModes[blend]?.blend;
+    const {width, height} = imageData;
+    const originalData = imageData.data;
+
+    // Grain of the preview pixels in the grid rows above and below the current image row
+    const firstColumn = Math.floor((offsetX + 0.5) / scale - 0.5);
+    const columns = Math.floor((width - 1 + offsetX + 0.5) / scale - 0.5) - firstColumn + 2;
+    let above = new Float64Array(columns);
+    let below = new Float64Array(columns);
+    let aboveRow = null;
+    const sampleRow = (row, gy) => {
+        for (let i = 0; i < columns; i++) {
+            row[i] = grainValue(seed, firstColumn + i, gy, noiseScale, field);
+        }
+    };
+
+    for (let y = 0; y < height; y++) {
+        // Position in the preview's pixel grid, and the grid cell (gy, gy + 1) it lies in
+        const v = (y + offsetY + 0.5) / scale - 0.5;
+        const gy = Math.floor(v);
+        const fy = v - gy;
+        if (gy !== aboveRow) {
+            if (gy === aboveRow + 1) {
+                [above, below] = [below, above];
+            } else {
+                sampleRow(above, gy);
+            }
+            sampleRow(below, gy + 1);
+            aboveRow = gy;
+        }
+        for (let x = 0; x < width; x++) {
+            const u = (x + offsetX + 0.5) / scale - 0.5;
+            const gx = Math.floor(u);
+            const fx = u - gx;
+            const column = gx - firstColumn;
+
+            // Bilinear interpolation of the grain of the four surrounding preview pixels
+            let noiseVal = above[column];
+            if (fx !== 0 || fy !== 0) {
+                const top = noiseVal + (above[column + 1] - noiseVal) * fx;
+                const bottomLeft = below[column];
+                const bottom = bottomLeft + (below[column + 1] - bottomLeft) * fx;
+                noiseVal = top + (bottom - top) * fy;
+            }
+
+            const i = (y * width + x) * 4;
+            if (blendChannel) {
+                const grain = noiseVal / 255;
+                for (let c = 0; c < 3; c++) {
+                    const base = originalData[i + c] / 255;
+                    originalData[i + c] = (base + (blendChannel(base, grain) - base) * noiseOpacity) * 255;
+                }
+                continue;
+            }
+
+            // Blend noise with the original image
+            // Using screen blend mode for lighter noise on darker areas
+            for (let c = 0; c < 3; c++) {
+                // Apply noise with controlled opacity
+                originalData[i + c] = Math.min(255,
+                    originalData[i + c] + (noiseVal - 128) * noiseOpacity);
+            }
+        }
+    }
+
+    return imageData;
+}
+
+/**
+ * Film-grain blend modes besides "add": blend(base, grain) combines a channel and the grain (both 0 to 1) as
+ * the blend modes of the same names do.
+ */
+export const grainBlendModes = {
+    "overlay": {
+        label: "Overlay",
+        blend: (base, grain) => base < 0.5 ? 2 * base * grain : 1 - 2 * (1 - base) * (1 - grain)
+    },
+    "soft-light": {
+        label: "Soft light",
+        blend(base, grain) {
+            if (grain <= 0.5) return base - (1 - 2 * grain) * base * (1 - base);
+            const d = base <= 0.25 ? ((16 * base - 12) * base + 4) * base : Math.sqrt(base);
+            return base + (2 * grain - 1) * (d - base);
+        }
+    },
+    "multiply": {
+        label: "Multiply",
+        blend: (base, grain) => base * grain
+    }
+};
+
+/**
+ * Returns the grain value (0 to 255) of the preview pixel (x, y).
+ */
+function grainValue(seed, x, y, noiseScale, field) {
+    // Create more organic looking noise with some structure
+    const baseVal = hashUnit(seed, x, y, 0) * 255;
+    // Add some variation from the noise field (±25)
+    const noise =
+        (field(x, y) - 0.5) * 50 +
+        (hashUnit(seed, x, y, 1) - 0.5) * 255 * noiseScale;
+
+    return Math.max(0, Math.min(255, Math.floor(baseVal + noise)));
+}
+
+/**
+ * Hashes a seed, an integer position and a salt to a pseudo-random value in [0, 1).
+ */
+function hashUnit(seed, x, y, salt) {
+    let h = seed ^ Math.imul(x, 0x27D4EB2D) ^ Math.imul(y, 0x165667B1) ^ Math.imul(salt + 1, 0x9E3779B1);
+    h = Math.imul(h ^ (h >>> 15), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
+
+/**
+ * Creates an ImageData from raw RGBA pixels. Outside the browser (where ImageData does not exist)
+ * a plain object with the same data, width and height properties is returned.
+ */
+export function createImageData(data, width, height) {
+    if (typeof ImageData !== "undefined") {
+        return new ImageData(data, width, height);
+    }
+    return {data, width, height};
+}
@@ -0,0 +1,195 @@
+// Streaming PNG encoder. Rows are filtered and compressed as they arrive, so an image can be encoded
+// band by band without ever holding all of its pixels; only the compressed data is kept.
+// Also encodes animated PNGs (APNG) frame by frame in the same way.
+// Uses the standard CompressionStream, available in browsers, workers and Node 18+.
+
+import {crc32} from "./crc32.js";
+
+const pngSignature = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// PNG color type for 8-bit RGB (the covers are always opaque, so no alpha channel is written)
+const colorTypeRGB = 2;
+const bytesPerPixel = 3;
+
+/**
+ * Encodes an RGB PNG of width × height pixels from `bands`, an iterable of {y, imageData} objects holding
+ * consecutive RGBA rows from the top (such as renderCoverBands yields). Resolves with a Blob.
+ */
+export async function encodePNG(width, height, bands) {
+    const compressedChunks = await compressRows(width, bands);
+    return new Blob([
+        pngSignature,
+        pngChunk("IHDR", imageHeader(width, height)),
+        ...compressedChunks.map(chunk => pngChunk("IDAT", chunk)),
+        pngChunk("IEND", new Uint8Array(0))
+    ], {type: "image/png"});
+}
+
+/**
+ * Encodes an animated PNG (APNG) of width × height pixels that loops forever, from `frames`, an iterable of
+ * RGBA ImageData shown `fps` times a second. Frames are compressed as they arrive, so only the compressed
+ * data of the animation is held. Viewers without APNG support show the first frame. Resolves with a Blob.
+ */
+export async function encodeAPNG(width, height, frames, fps) {
+    const parts = [];
+    // fcTL and fdAT chunks share one sequence of numbers.
+    let sequence = 0;
+    let frameCount = 0;
+    for (const imageData of frames) {
+        const control = new Uint8Array(26);
+        const controlView = new DataView(control.buffer);
+        controlView.setUint32(0, sequence++);
+        controlView.setUint32(4, width);
+        controlView.setUint32(8, height);
+        // x and y offsets (bytes 12 to 19) stay 0: every frame covers the whole image.
+        controlView.setUint16(20, 1); // Delay numerator
+        controlView.setUint16(22, fps); // Delay denominator: each frame lasts 1 / fps seconds
+        control[24] = 0; // Dispose: none
+        control[25] = 0; // Blend: replace the previous frame's pixels
+        parts.push(pngChunk("fcTL", control));
+
+        for (const chunk of await compressRows(width, [{y: 0, imageData}])) {
+            if (frameCount === 0) {
+                // The first frame is also the still image.
+                parts.push(pngChunk("IDAT", chunk));
+            } else {
+                const data = new Uint8Array(4 + chunk.length);
+                new DataView(data.buffer).setUint32(0, sequence++);
+                data.set(chunk, 4);
+                parts.push(pngChunk("fdAT", data));
+            }
+        }
+        frameCount++;
+    }
+
+    const animationControl = new Uint8Array(8);
+    const animationView = new DataView(animationControl.buffer);
+    animationView.setUint32(0, frameCount);
+    animationView.setUint32(4, 0); // Number of plays: 0 loops forever
+
+    return new Blob([
+        pngSignature,
+        pngChunk("IHDR", imageHeader(width, height)),
+        pngChunk("acTL", animationControl),
+        ...parts,
+        pngChunk("IEND", new Uint8Array(0))
+    ], {type: "image/apng"});
+}
+
+/**
+ * Filters and compresses the rows of `bands` (see encodePNG). Resolves with the compressed data as chunks.
+ */
+async function compressRows(width, bands) {
+    const compressor = new CompressionStream("deflate");
+    const writer = compressor.writable.getWriter();
+    const compressedChunks = [];
+    const reading = (async () => {
+        const reader = compressor.readable.getReader();
+        for (let result = await reader.read(); !result.done; result = await reader.read()) {
+            compressedChunks.push(result.value);
+        }
+    })();
+
+    let previousRow = new Uint8Array(width * bytesPerPixel);
+    for (const {imageData} of bands) {
+        const filtered = new Uint8Array(imageData.height * (1 + width * bytesPerPixel));
+        for (let y = 0; y < imageData.height; y++) {
+            const row = rgbRow(imageData.data, y * width * 4, width);
+            filterRow(row, previousRow, filtered, y * (1 + row.length));
+            previousRow = row;
+        }
+        // Waiting for each write keeps the uncompressed data queued in the stream small.
+        await writer.write(filtered);
+    }
+    await writer.close();
+    await reading;
+    return compressedChunks;
+}
+
+/**
+ * Returns the data of the IHDR chunk of an 8-bit RGB image.
+ */
+function imageHeader(width, height) {
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8; // Bit depth
+    header[9] = colorTypeRGB;
+    header[10] = 0; // Compression method (deflate)
+    header[11] = 0; // Filter method (adaptive)
+    header[12] = 0; // No interlacing
+    return header;
+}
+
+/**
+ * Builds a PNG chunk: length, type, data and the CRC of type and data.
+ */
+export function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Returns the RGB bytes of the RGBA row starting at `offset`.
+ */
+function rgbRow(data, offset, width) {
+    const row = new Uint8Array(width * bytesPerPixel);
+    for (let x = 0; x < width; x++) {
+        row[x * 3] = data[offset + x * 4];
+        row[x * 3 + 1] = data[offset + x * 4 + 1];
+        row[x * 3 + 2] = data[offset + x * 4 + 2];
+    }
+    return row;
+}
+
+/**
+ * Writes the filter type byte and the filtered row to `output` at `offset`. Every PNG filter is tried and
+ * the one with the smallest sum of absolute (signed) values is kept, the usual heuristic for good compression.
+ */
+function filterRow(row, previousRow, output, offset) {
+    let bestType = 0;
+    let bestScore = Infinity;
+    let best = null;
+    const candidate = new Uint8Array(row.length);
+    for (let type = 0; type < 5; type++) {
+        let score = 0;
+        for (let i = 0; i < row.length; i++) {
+            const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+            const up = previousRow[i];
+            const upLeft = i >= bytesPerPixel ? previousRow[i - bytesPerPixel] : 0;
+            let predictor = 0;
+            if (type === 1) predictor = left;
+            else if (type === 2) predictor = up;
+            else if (type === 3) predictor = (left + up) >> 1;
+            else if (type === 4) predictor = paeth(left, up, upLeft);
+            const value = (row[i] - predictor) & 0xFF;
+            candidate[i] = value;
+            score += value < 128 ? value : 256 - value;
+        }
+        if (score < bestScore) {
+            bestScore = score;
+            bestType = type;
+            best = candidate.slice();
+        }
+    }
+    output[offset] = bestType;
+    output.set(best, offset + 1);
+}
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distanceLeft = Math.abs(estimate - left);
+    const distanceUp = Math.abs(estimate - up);
+    const distanceUpLeft = Math.abs(estimate - upLeft);
+    if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+    if (distanceUp <= distanceUpLeft) return up;
+    return upLeft;
+}
@@ -0,0 +1,54 @@
+// Seeded random number generation. Every random decision of a render draws from one seeded generator,
+// so the same seed always reproduces the same image.
+
+/**
+ * Creates a deterministic random number generator (mulberry32) from a 32-bit integer seed.
+ * The returned function behaves like Math.random and yields values in [0, 1).
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hashes a seed string (any text, e.g. "42" or "summer-ep") to a 32-bit integer (FNV-1a).
+ */
+export function hashSeed(seed) {
+    let hash = 0x811C9DC5;
+    for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Returns a new random seed as a short string.
+ */
+export function randomSeed() {
+    const values = new Uint32Array(1);
+    crypto.getRandomValues(values);
+    return String(values[0]);
+}
+
+/**
+ * Returns `count` consecutive seeds starting at `seed`: "41", "42", … for a number,
+ * otherwise "summer-ep", "summer-ep-1", "summer-ep-2", ….
+ */
+export function consecutiveSeeds(seed, count) {
+    const seeds = [];
+    for (let i = 0; i < count; i++) {
+        if (/^\d+$/.test(seed)) {
+            seeds.push(String(BigInt(seed) + BigInt(i)));
+        } else {
+            seeds.push(i === 0 ? seed : seed + "-" + i);
+        }
+    }
+    return seeds;
+}
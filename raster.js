@@ -0,0 +1,565 @@
+// A pure-JavaScript stand-in for the canvas 2D context, for rendering where there is no canvas (Node).
+// It implements the part of the CanvasRenderingContext2D API that drawing a composition uses: transforms,
+// paths of lines, Bézier curves and ellipses filled with the nonzero or even-odd rule, flat colors and
+// linear, radial and conic gradients, the globalCompositeOperation blend modes and getImageData.
+// Paths are flattened to polygons and filled with 4 sub-scanlines per pixel row (with exact horizontal
+// coverage) for anti-aliasing. Pixels are stored like ImageData, as unpremultiplied RGBA bytes.
+
+import {createImageData} from "./pipeline.js";
+
+// Sub-scanlines sampled per pixel row
+const subsamples = 4;
+
+// Greatest distance (in pixels) between a flattened curve and the true one
+const flatness = 0.1;
+
+/**
+ * Returns a canvas-like {width, height, getContext("2d")} object of the given size, initially transparent
+ * black, that can be passed wherever the renderer takes a createCanvas(width, height) factory.
+ */
+export function createRasterCanvas(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    let context = null;
+    return {
+        width,
+        height,
+        getContext(type) {
+            if (type !== "2d") return null;
+            context ??= createRasterContext(data, width, height);
+            return context;
+        }
+    };
+}
+
+function createRasterContext(data, width, height) {
+    let state = {
+        transform: [1, 0, 0, 1, 0, 0],
+        fillStyle: "#000000",
+        globalAlpha: 1,
+        globalCompositeOperation: "source-over"
+    };
+    const stack = [];
+    // The current path: subpaths of points in pixel coordinates
+    let subpaths = [];
+    let current = null;
+
+    const ctx = {
+        get fillStyle() {
+            return state.fillStyle;
+        },
+        set fillStyle(value) {
+            if (typeof value === "string" ? parseColor(value) : value?.colorAt) {
+                state.fillStyle = value;
+            }
+        },
+        get globalAlpha() {
+            return state.globalAlpha;
+        },
+        set globalAlpha(value) {
+            if (Number.isFinite(value) && value >= 0 && value <= 1) {
+                state.globalAlpha = value;
+            }
+        },
+        get globalCompositeOperation() {
+            return state.globalCompositeOperation;
+        },
+        set globalCompositeOperation(value) {
+            if (value === "source-over" || blendFunctions[value]) {
+                state.globalCompositeOperation = value;
+            }
+        },
+
+        save() {
+            stack.push(state);
+            state = {...state};
+        },
+        restore() {
+            if (stack.length > 0) {
+                state = stack.pop();
+            }
+        },
+        setTransform(a, b, c, d, e, f) {
+            state.transform = [a, b, c, d, e, f];
+        },
+        resetTransform() {
+            state.transform = [1, 0, 0, 1, 0, 0];
+        },
+        transform(a, b, c, d, e, f) {
+            const [ta, tb, tc, td, te, tf] = state.transform;
+            state.transform = [
+                ta * a + tc * b, tb * a + td * b,
+                ta * c + tc * d, tb * c + td * d,
+                ta * e + tc * f + te, tb * e + td * f + tf
+            ];
+        },
+        translate(x, y) {
+            ctx.transform(1, 0, 0, 1, x, y);
+        },
+        scale(x, y) {
+            ctx.transform(x, 0, 0, y, 0, 0);
+        },
+        rotate(angle) {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            ctx.transform(cos, sin, -sin, cos, 0, 0);
+        },
+
+        beginPath() {
+            subpaths = [];
+            current = null;
+        },
+        moveTo(x, y) {
+            current = [toPixels(x, y)];
+            subpaths.push(current);
+        },
+        lineTo(x, y) {
+            if (!current) {
+                ctx.moveTo(x, y);
+            } else {
+                current.push(toPixels(x, y));
+            }
+        },
+        bezierCurveTo(x1, y1, x2, y2, x, y) {
+            if (!current) ctx.moveTo(x1, y1);
+            const p0 = current[current.length - 1];
+            const p1 = toPixels(x1, y1);
+            const p2 = toPixels(x2, y2);
+            const p3 = toPixels(x, y);
+            // Enough segments that the control polygon's length is split into pieces of a few pixels
+            const length = distance(p0, p1) + distance(p1, p2) + distance(p2, p3);
+            const steps = Math.max(1, Math.min(1024, Math.ceil(Math.sqrt(length / flatness))));
+            for (let i = 1; i <= steps; i++) {
+                const t = i / steps;
+                const u = 1 - t;
+                const a = u * u * u, b = 3 * u * u * t, c = 3 * u * t * t, d = t * t * t;
+                current.push([
+                    a * p0[0] + b * p1[0] + c * p2[0] + d * p3[0],
+                    a * p0[1] + b * p1[1] + c * p2[1] + d * p3[1]
+                ]);
+            }
+        },
+        ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+            if (radiusX < 0 || radiusY < 0) {
+                throw new RangeError("The radii provided are negative.");
+            }
+            let sweep = endAngle - startAngle;
+            if (!counterclockwise && sweep >= 2 * Math.PI || counterclockwise && sweep <= -2 * Math.PI) {
+                sweep = counterclockwise ? -2 * Math.PI : 2 * Math.PI;
+            } else {
+                sweep %= 2 * Math.PI;
+                if (!counterclockwise && sweep < 0) sweep += 2 * Math.PI;
+                if (counterclockwise && sweep > 0) sweep -= 2 * Math.PI;
+            }
+            // Segments short enough for the flattening error, measured at the largest radius in pixels
+            const [a, b, c, d] = state.transform;
+            const pixelRadius = Math.max(radiusX, radiusY) * Math.sqrt(Math.max(a * a + b * b, c * c + d * d));
+            const segmentAngle = pixelRadius > flatness ? 2 * Math.acos(1 - flatness / pixelRadius) : Math.PI / 2;
+            const steps = Math.max(4, Math.min(4096, Math.ceil(Math.abs(sweep) / segmentAngle)));
+            const cos = Math.cos(rotation);
+            const sin = Math.sin(rotation);
+            for (let i = 0; i <= steps; i++) {
+                const angle = startAngle + sweep * i / steps;
+                const px = radiusX * Math.cos(angle);
+                const py = radiusY * Math.sin(angle);
+                // The start joins the current subpath with a line, or begins one.
+                ctx.lineTo(x + px * cos - py * sin, y + px * sin + py * cos);
+            }
+        },
+        rect(x, y, w, h) {
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + w, y);
+            ctx.lineTo(x + w, y + h);
+            ctx.lineTo(x, y + h);
+            ctx.closePath();
+        },
+        closePath() {
+            if (current) {
+                // Drawing continues from the subpath's start.
+                const start = current[0];
+                current.push(start);
+                current = [start];
+                subpaths.push(current);
+            }
+        },
+
+        fill(fillRule = "nonzero") {
+            fillPolygons(subpaths, fillRule);
+        },
+        fillRect(x, y, w, h) {
+            const corners = [[x, y], [x + w, y], [x + w, y + h], [x, y + h]];
+            fillPolygons([corners.map(([px, py]) => toPixels(px, py))], "nonzero");
+        },
+
+        createLinearGradient(x0, y0, x1, y1) {
+            const dx = x1 - x0;
+            const dy = y1 - y0;
+            const lengthSquared = dx * dx + dy * dy;
+            return createGradient(lengthSquared === 0 ? () => null
+                : (x, y) => ((x - x0) * dx + (y - y0) * dy) / lengthSquared);
+        },
+        createRadialGradient(x0, y0, r0, x1, y1, r1) {
+            if (r0 < 0 || r1 < 0) {
+                throw new RangeError("The radii provided are negative.");
+            }
+            return createGradient((x, y) => radialPosition(x - x0, y - y0, x1 - x0, y1 - y0, r0, r1));
+        },
+        createConicGradient(startAngle, x0, y0) {
+            return createGradient((x, y) => {
+                const turn = (Math.atan2(y - y0, x - x0) - startAngle) / (2 * Math.PI);
+                return turn - Math.floor(turn);
+            });
+        },
+
+        getImageData(x, y, w, h) {
+            const output = new Uint8ClampedArray(w * h * 4);
+            for (let row = 0; row < h; row++) {
+                const sourceY = y + row;
+                if (sourceY < 0 || sourceY >= height) continue;
+                const from = Math.max(0, x);
+                const to = Math.min(width, x + w);
+                if (to <= from) continue;
+                output.set(data.subarray((sourceY * width + from) * 4, (sourceY * width + to) * 4),
+                    (row * w + from - x) * 4);
+            }
+            return createImageData(output, w, h);
+        },
+        putImageData(imageData, x, y) {
+            for (let row = 0; row < imageData.height; row++) {
+                const targetY = y + row;
+                if (targetY < 0 || targetY >= height) continue;
+                const from = Math.max(0, x);
+                const to = Math.min(width, x + imageData.width);
+                if (to <= from) continue;
+                const start = (row * imageData.width + from - x) * 4;
+                data.set(imageData.data.subarray(start, start + (to - from) * 4), (targetY * width + from) * 4);
+            }
+        }
+    };
+    return ctx;
+
+    function toPixels(x, y) {
+        const [a, b, c, d, e, f] = state.transform;
+        return [a * x + c * y + e, b * x + d * y + f];
+    }
+
+    /**
+     * Returns the inverse of the current transform, which maps pixels back to user space, or null if there is none.
+     */
+    function inverseTransform() {
+        const [a, b, c, d, e, f] = state.transform;
+        const determinant = a * d - b * c;
+        if (determinant === 0) return null;
+        return [d / determinant, -b / determinant, -c / determinant, a / determinant,
+            (c * f - d * e) / determinant, (b * e - a * f) / determinant];
+    }
+
+    /**
+     * Fills the polygons with the current fill style, blend mode and alpha.
+     */
+    function fillPolygons(polygons, fillRule) {
+        const edges = polygonEdges(polygons);
+        if (edges.length === 0) return;
+        const style = state.fillStyle;
+        const alpha = state.globalAlpha;
+        const blend = blendFunctions[state.globalCompositeOperation] || null;
+        const flatColor = typeof style === "string" ? parseColor(style) : null;
+        const inverse = flatColor ? null : inverseTransform();
+        if (!flatColor && !inverse) return;
+        const [a, b, c, d, e, f] = inverse || [];
+        const color = [0, 0, 0, 0];
+
+        rasterize(edges, fillRule, width, height, (y, coverage, minX, maxX) => {
+            for (let x = minX; x <= maxX; x++) {
+                const cover = Math.min(1, coverage[x]);
+                if (cover <= 0) continue;
+                let source = flatColor;
+                if (!source) {
+                    // Gradients are evaluated at the pixel's center, in user space.
+                    const px = x + 0.5;
+                    const py = y + 0.5;
+                    source = style.colorAt(a * px + c * py + e, b * px + d * py + f, color);
+                    if (!source) continue;
+                }
+                const offset = (y * width + x) * 4;
+                const sourceAlpha = cover * alpha * source[3] / 255;
+                if (sourceAlpha >= 1 && !blend) {
+                    // An opaque source simply replaces the pixel.
+                    data[offset] = source[0];
+                    data[offset + 1] = source[1];
+                    data[offset + 2] = source[2];
+                    data[offset + 3] = 255;
+                } else {
+                    composite(data, offset, source, sourceAlpha, blend);
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Returns a gradient object (like CanvasGradient) whose color at a point depends on its position t along the
+ * gradient, given by position(x, y) in user space (null where the gradient paints nothing).
+ */
+function createGradient(position) {
+    const stops = [];
+    return {
+        addColorStop(offset, color) {
+            const rgba = parseColor(color);
+            if (!(offset >= 0 && offset <= 1)) {
+                throw new RangeError("The offset provided is outside the range [0, 1].");
+            }
+            if (!rgba) {
+                throw new SyntaxError("The value provided could not be parsed as a color: " + color);
+            }
+            // Stops at the same offset keep the order they were added in.
+            const index = stops.findIndex(stop => stop.offset > offset);
+            stops.splice(index < 0 ? stops.length : index, 0, {offset, rgba});
+        },
+        colorAt(x, y, output) {
+            const t = position(x, y);
+            if (t === null || stops.length === 0) return null;
+            if (t <= stops[0].offset) return stops[0].rgba;
+            const last = stops[stops.length - 1];
+            if (t >= last.offset) return last.rgba;
+            let i = 1;
+            while (stops[i].offset <= t) i++;
+            const from = stops[i - 1];
+            const to = stops[i];
+            const mix = (t - from.offset) / (to.offset - from.offset);
+            for (let c = 0; c < 4; c++) {
+                output[c] = from.rgba[c] + (to.rgba[c] - from.rgba[c]) * mix;
+            }
+            return output;
+        }
+    };
+}
+
+/**
+ * Position along a radial gradient between the circles (0, 0, r0) and (cx, cy, r1) of the point (x, y):
+ * the largest ω whose interpolated circle (with a radius ≥ 0) passes through the point, or null.
+ */
+function radialPosition(x, y, cx, cy, r0, r1) {
+    const dr = r1 - r0;
+    const a = cx * cx + cy * cy - dr * dr;
+    const b = x * cx + y * cy + r0 * dr;
+    const c = x * x + y * y - r0 * r0;
+    if (a === 0) {
+        if (b === 0) return null;
+        const omega = c / (2 * b);
+        return r0 + omega * dr >= 0 ? omega : null;
+    }
+    const discriminant = b * b - a * c;
+    if (discriminant < 0) return null;
+    const root = Math.sqrt(discriminant);
+    for (const omega of [(b + root) / a, (b - root) / a].sort((p, q) => q - p)) {
+        if (r0 + omega * dr >= 0) return omega;
+    }
+    return null;
+}
+
+/**
+ * Returns the non-horizontal edges of the (implicitly closed) polygons as {x0, y0, x1, y1, direction},
+ * with y0 < y1, sorted by y0.
+ */
+function polygonEdges(polygons) {
+    const edges = [];
+    for (const points of polygons) {
+        for (let i = 0; i < points.length; i++) {
+            const [ax, ay] = points[i];
+            const [bx, by] = points[(i + 1) % points.length];
+            if (ay === by || !Number.isFinite(ax + ay + bx + by)) continue;
+            edges.push(ay < by
+                ? {x0: ax, y0: ay, x1: bx, y1: by, direction: 1}
+                : {x0: bx, y0: by, x1: ax, y1: ay, direction: -1});
+        }
+    }
+    return edges.sort((a, b) => a.y0 - b.y0);
+}
+
+/**
+ * Scan-converts the edges. For each pixel row the polygons touch, calls paintRow(y, coverage, minX, maxX)
+ * with the covered share (0 to 1) of each pixel in coverage[minX..maxX].
+ */
+function rasterize(edges, fillRule, width, height, paintRow) {
+    // Per row: the partly covered share of each pixel, and the changes of the fully covered share from
+    // each pixel on, so a span costs the same whatever its length.
+    const partial = new Float32Array(width + 1);
+    const steps = new Float32Array(width + 1);
+    const coverage = new Float32Array(width);
+    const firstRow = Math.max(0, Math.floor(edges[0].y0));
+    let bottom = -Infinity;
+    for (const edge of edges) {
+        bottom = Math.max(bottom, edge.y1);
+    }
+    const lastRow = Math.min(height - 1, Math.ceil(bottom));
+    let active = [];
+    let next = 0;
+    const crossings = [];
+
+    for (let y = firstRow; y <= lastRow; y++) {
+        let minX = width;
+        let maxX = -1;
+        for (let s = 0; s < subsamples; s++) {
+            const sampleY = y + (s + 0.5) / subsamples;
+            while (next < edges.length && edges[next].y0 <= sampleY) {
+                active.push(edges[next++]);
+            }
+            active = active.filter(edge => edge.y1 > sampleY);
+
+            crossings.length = 0;
+            for (const edge of active) {
+                const x = edge.x0 + (sampleY - edge.y0) * (edge.x1 - edge.x0) / (edge.y1 - edge.y0);
+                crossings.push({x, direction: edge.direction});
+            }
+            crossings.sort((a, b) => a.x - b.x);
+
+            let winding = 0;
+            for (let i = 0; i < crossings.length - 1; i++) {
+                winding += fillRule === "evenodd" ? 1 : crossings[i].direction;
+                const inside = fillRule === "evenodd" ? winding % 2 !== 0 : winding !== 0;
+                if (!inside) continue;
+                const from = Math.max(0, crossings[i].x);
+                const to = Math.min(width, crossings[i + 1].x);
+                if (to <= from) continue;
+                addSpan(partial, steps, from, to);
+                minX = Math.min(minX, Math.floor(from));
+                maxX = Math.max(maxX, Math.min(width - 1, Math.floor(to)));
+            }
+        }
+        if (maxX >= minX) {
+            let full = 0;
+            for (let x = minX; x <= maxX; x++) {
+                full += steps[x];
+                coverage[x] = partial[x] + full;
+            }
+            paintRow(y, coverage, minX, maxX);
+            partial.fill(0, minX, maxX + 2);
+            steps.fill(0, minX, maxX + 2);
+        }
+    }
+}
+
+/**
+ * Adds the coverage of one sub-scanline's span [from, to): its partly covered end pixels, and the pixels
+ * between them as a step up after the first and a step down at the last.
+ */
+function addSpan(partial, steps, from, to) {
+    const weight = 1 / subsamples;
+    const first = Math.floor(from);
+    const last = Math.floor(to);
+    if (first === last) {
+        partial[first] += (to - from) * weight;
+        return;
+    }
+    partial[first] += (first + 1 - from) * weight;
+    steps[first + 1] += weight;
+    steps[last] -= weight;
+    partial[last] += (to - last) * weight;
+}
+
+/**
+ * Composites a source color with the given alpha over the pixel at `offset`, using the W3C compositing
+ * model: the blend function (null for normal) mixes source and backdrop where the backdrop is opaque.
+ */
+function composite(data, offset, source, alpha, blend) {
+    const backdropAlpha = data[offset + 3] / 255;
+    const outputAlpha = alpha + backdropAlpha * (1 - alpha);
+    if (outputAlpha <= 0) return;
+    let blended = source;
+    if (blend && backdropAlpha > 0) {
+        const backdrop = [data[offset] / 255, data[offset + 1] / 255, data[offset + 2] / 255];
+        const mixed = blend(backdrop, [source[0] / 255, source[1] / 255, source[2] / 255]);
+        blended = mixed.map((value, c) => (1 - backdropAlpha) * source[c] + backdropAlpha * value * 255);
+    }
+    for (let c = 0; c < 3; c++) {
+        data[offset + c] = (alpha * blended[c] + backdropAlpha * (1 - alpha) * data[offset + c]) / outputAlpha;
+    }
+    data[offset + 3] = outputAlpha * 255;
+}
+
+/**
+ * Parses a CSS color in hex ("#rgb", "#rgba", "#rrggbb", "#rrggbbaa") or rgb()/rgba() notation to
+ * [r, g, b, a] with every channel 0-255, or returns null.
+ */
+function parseColor(color) {
+    const text = String(color).trim().toLowerCase();
+    let match = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text);
+    if (match) {
+        let hex = match[1];
+        if (hex.length <= 4) {
+            hex = hex.split("").map(c => c + c).join("");
+        }
+        const rgba = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+        rgba.push(hex.length === 8 ? parseInt(hex.slice(6), 16) : 255);
+        return rgba;
+    }
+    match = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(text);
+    if (match) {
+        const [r, g, b] = match.slice(1, 4).map(value => Math.min(255, Number(value)));
+        const a = match[4] === undefined ? 1 : Math.min(1, Number(match[4]));
+        return [r, g, b, a * 255];
+    }
+    return null;
+}
+
+function distance([ax, ay], [bx, by]) {
+    return Math.hypot(bx - ax, by - ay);
+}
+
+// --- Blend modes (W3C Compositing and Blending), on [r, g, b] colors with channels 0-1 ---
+
+const separable = mix => (backdrop, source) => backdrop.map((b, c) => mix(b, source[c]));
+
+const hardLight = (b, s) => s <= 0.5 ? b * 2 * s : screen(b, 2 * s - 1);
+const screen = (b, s) => b + s - b * s;
+
+const blendFunctions = {
+    "multiply": separable((b, s) => b * s),
+    "screen": separable(screen),
+    "overlay": separable((b, s) => hardLight(s, b)),
+    "darken": separable(Math.min),
+    "lighten": separable(Math.max),
+    "color-dodge": separable((b, s) => b === 0 ? 0 : s >= 1 ? 1 : Math.min(1, b / (1 - s))),
+    "color-burn": separable((b, s) => b >= 1 ? 1 : s <= 0 ? 0 : 1 - Math.min(1, (1 - b) / s)),
+    "hard-light": separable(hardLight),
+    "soft-light": separable((b, s) => {
+        if (s <= 0.5) return b - (1 - 2 * s) * b * (1 - b);
+        const d = b <= 0.25 ? ((16 * b - 12) * b + 4) * b : Math.sqrt(b);
+        return b + (2 * s - 1) * (d - b);
+    }),
+    "difference": separable((b, s) => Math.abs(b - s)),
+    "exclusion": separable((b, s) => b + s - 2 * b * s),
+    "hue": (backdrop, source) => setLuminosity(setSaturation(source, saturation(backdrop)), luminosity(backdrop)),
+    "saturation": (backdrop, source) => setLuminosity(setSaturation(backdrop, saturation(source)), luminosity(backdrop)),
+    "color": (backdrop, source) => setLuminosity(source, luminosity(backdrop)),
+    "luminosity": (backdrop, source) => setLuminosity(backdrop, luminosity(source))
+};
+
+function luminosity([r, g, b]) {
+    return 0.3 * r + 0.59 * g + 0.11 * b;
+}
+
+function setLuminosity(color, target) {
+    const shift = target - luminosity(color);
+    const shifted = color.map(c => c + shift);
+    // Clip the color into range while keeping its luminosity.
+    const lum = luminosity(shifted);
+    const min = Math.min(...shifted);
+    const max = Math.max(...shifted);
+    return shifted.map(c => {
+        if (min < 0) c = lum + (c - lum) * lum / (lum - min);
+        if (max > 1) c = lum + (c - lum) * (1 - lum) / (max - lum);
+        return c;
+    });
+}
+
+function saturation(color) {
+    return Math.max(...color) - Math.min(...color);
+}
+
+function setSaturation(color, target) {
+    const max = Math.max(...color);
+    const min = Math.min(...color);
+    if (max === min) return [0, 0, 0];
+    return color.map(c => (c - min) * target / (max - min));
+}
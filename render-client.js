@@ -0,0 +1,72 @@
+// Main-thread side of the render worker.
+
+/**
+ * Creates a renderer backed by its own module worker.
+ * render(job, onProgress) resolves with the rendered ImageData. exportImage(job, {format, quality}, onProgress)
+ * resolves with a Blob of the (possibly much larger) image as "png", "jpeg" or "webp"; PNGs are encoded in the
+ * worker band by band. exportAnimation(job, {format, duration, fps}, onProgress) resolves with a Blob of the job's
+ * loop as a "gif" or "apng" (see animation.js).
+ * Starting a new task, or calling cancel(), while one is still running terminates that worker and rejects
+ * the pending promise with an "AbortError".
+ * addFont(family, data) makes a font file (an ArrayBuffer) available to the text of every later task.
+ */
+export function createRenderer() {
+    let worker = null;
+    let pending = null;
+    // Fonts added so far, sent again to every new worker
+    const fonts = [];
+
+    return {
+        render: (job, onProgress) => run("render", job, {}, onProgress),
+        exportImage: (job, options, onProgress) => run("export", job, options, onProgress),
+        exportAnimation: (job, options, onProgress) => run("animation", job, options, onProgress),
+        addFont,
+        cancel
+    };
+
+    function addFont(family, data) {
+        fonts.push({family, data});
+        worker?.postMessage({type: "font", family, data});
+    }
+
+    function run(type, job, options, onProgress = () => {}) {
+        cancel();
+        if (!worker) {
+            worker = new Worker(new URL("./render-worker.js", import.meta.url), {type: "module"});
+            for (const {family, data} of fonts) {
+                worker.postMessage({type: "font", family, data});
+            }
+        }
+        return new Promise((resolve, reject) => {
+            pending = {reject};
+            worker.onmessage = ({data}) => {
+                if (data.type === "progress") {
+                    onProgress(data.progress);
+                    return;
+                }
+                pending = null;
+                if (data.type === "done") {
+                    resolve(data.result);
+                } else {
+                    reject(new Error(data.message));
+                }
+            };
+            worker.onerror = event => {
+                pending = null;
+                reject(new Error(event.message || "The render worker failed."));
+            };
+            worker.postMessage({type, job, options});
+        });
+    }
+
+    /**
+     * Stops the running task, if any. The next task starts a fresh worker.
+     */
+    function cancel() {
+        if (!pending) return;
+        worker.terminate();
+        worker = null;
+        pending.reject(new DOMException("The render was cancelled.", "AbortError"));
+        pending = null;
+    }
+}
@@ -0,0 +1,63 @@
+// Module worker that renders covers off the main thread.
+// Receives {type, job, options} where job is {seed, palette, settings, width, height, artist, title} and type is
+// "render" (answered with the ImageData) or "export" (answered with an image Blob in options.format,
+// "png", "jpeg" or "webp", at options.quality) or "animation" (answered with the Blob of the job's loop in
+// options.format, "gif" or "apng", lasting options.duration seconds at options.fps frames a second; see
+// animation.js). While working it posts {type: "progress", progress},
+// then {type: "done", result} or {type: "error", message}.
+// {type: "font", family, data} adds a font file (an ArrayBuffer) for the text; it is not answered.
+// A render cannot be interrupted from inside; the main thread cancels it by terminating the worker.
+
+import {renderCover, renderCoverBands} from "./render.js";
+import {encodePNG} from "./png-encoder.js";
+import {encodeAnimation} from "./animation.js";
+
+// Minimum change of the progress fraction before another progress message is posted.
+const progressStep = 0.01;
+
+const createCanvas = (width, height) => new OffscreenCanvas(width, height);
+
+// Settles once every font sent so far has loaded (or failed to).
+let fontsLoaded = Promise.resolve();
+
+self.addEventListener("message", async event => {
+    const {type, job, options} = event.data;
+    if (type === "font") {
+        const font = new FontFace(event.data.family, event.data.data);
+        fontsLoaded = fontsLoaded.then(() => font.load()).then(() => self.fonts.add(font), () => {});
+        return;
+    }
+    let lastProgress = 0;
+    const onProgress = progress => {
+        if (progress - lastProgress >= progressStep) {
+            lastProgress = progress;
+            self.postMessage({type: "progress", progress});
+        }
+    };
+
+    try {
+        await fontsLoaded;
+        if (type === "animation") {
+            const blob = await encodeAnimation(job, options, createCanvas, onProgress);
+            self.postMessage({type: "done", result: blob});
+        } else if (type === "export" && options.format === "png") {
+            // Encode band by band so a large export never holds the whole image uncompressed.
+            const blob = await encodePNG(job.width, job.height, renderCoverBands(job, createCanvas, onProgress));
+            self.postMessage({type: "done", result: blob});
+        } else if (type === "export") {
+            // The browser's JPEG and WebP encoders need the whole image on one canvas.
+            const canvas = new OffscreenCanvas(job.width, job.height);
+            const ctx = canvas.getContext("2d");
+            for (const {y, imageData} of renderCoverBands(job, createCanvas, onProgress)) {
+                ctx.putImageData(imageData, 0, y);
+            }
+            const blob = await canvas.convertToBlob({type: "image/" + options.format, quality: options.quality});
+            self.postMessage({type: "done", result: blob});
+        } else {
+            const imageData = renderCover(job, createCanvas, onProgress);
+            self.postMessage({type: "done", result: imageData}, [imageData.data.buffer]);
+        }
+    } catch (error) {
+        self.postMessage({type: "error", message: error.message});
+    }
+});
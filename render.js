@@ -0,0 +1,357 @@
+// Renders a complete cover: shapes, then the chain of post-processing stages (see filters.js; by default
+// blur → contrast → dither → reblur → grain), and the artist and title on top (or, on request, under the
+// first dither or grain).
+// Has no DOM dependency; the caller provides a canvas factory for the shape drawing.
+//
+// A job may carry a `phase` (0 to 1, 0 by default) for a frame of a looping animation: the shapes, the blur
+// map and the grain move round closed paths as the phase goes from 0 to 1, so the last frame leads back into
+// the first. Phase 0 is the still cover.
+//
+// The image is produced in horizontal bands, top to bottom, so the memory needed stays bounded by the
+// image width and the blur radii rather than the image area. Each stage reads the rows around a band that
+// it needs, and state such as the dithering error is carried from band to band, so the bands join without
+// seams.
+
+import {createRandom, hashSeed} from "./random.js";
+import {getSortedPalette} from "./palette.js";
+import {animateComposition, drawComposition, generateLimitedPaletteComposition} from "./shapes.js";
+import {classicGrainField, createImageData, generateBlurMap, variableBoxBlurImageData} from "./pipeline.js";
+import {filters} from "./filters.js";
+import {createNoiseField} from "./noise.js";
+import {drawText, layoutText, pickTextColor} from "./text.js";
+
+// Size (in pixels) of the square preview. Settings such as blur radii and ellipse sizes are expressed
+// in preview pixels; any other output size renders the same composition scaled accordingly.
+export const previewSize = 512;
+
+/**
+ * Returns the output pixels per preview pixel of a cover of width × height pixels. Settings are measured
+ * against the shorter side, so frames of other aspect ratios show the same shapes in more or less room.
+ */
+export function previewScale(width, height) {
+    return Math.min(width, height) / previewSize;
+}
+
+// Minimum height (in output rows) of the bands the image is rendered in.
+const minBandHeight = 256;
+
+// Width (in pixels) of the small render the automatic text color is picked from
+const textAnalysisSize = 128;
+
+/**
+ * Renders the cover for the given seed, palette and settings at width × height pixels and returns its ImageData.
+ * createCanvas(width, height) must return a canvas-like object with a 2D context (e.g. an OffscreenCanvas).
+ * onProgress receives the completed fraction of the whole render (0 to 1).
+ */
+export function renderCover(job, createCanvas, onProgress = () => {}) {
+    const {width, height} = job;
+    const output = new Uint8ClampedArray(width * height * 4);
+    for (const band of renderCoverBands(job, createCanvas, onProgress)) {
+        output.set(band.imageData.data, band.y * width * 4);
+    }
+    return createImageData(output, width, height);
+}
+
+/**
+ * Renders the cover band by band and yields {y, imageData} for each band of rows, top to bottom.
+ * Arguments are the same as for renderCover.
+ */
+export function* renderCoverBands(job, createCanvas, onProgress = () => {}) {
+    const {palette, settings, width, height} = job;
+    const {scale, composition, margin: compositionMargin, grainSeed, blurField, grainField, grainShift} =
+        planCover(job);
+    const text = planText(job, createCanvas);
+
+    // 2) A blur right after the shapes blurs them together with the shapes beyond the image's edges.
+    let stages = settings.stages.filter(stage => stage.enabled);
+    const leadingBlur = stages[0]?.filter === "blur" ? stages[0] : null;
+    if (leadingBlur) {
+        stages = stages.slice(1);
+    }
+    const firstReach = leadingBlur ? filters.blur.reach(leadingBlur, scale) : 0;
+
+    // Hidden image dimensions (providing a buffer for the blur around the final image)
+    const margin = Math.ceil(compositionMargin * scale);
+    const hiddenWidth = width + 2 * margin;
+    const hiddenHeight = height + 2 * margin;
+    const bandHeight = Math.max(minBandHeight, margin);
+
+    // 3) The rest of the chain, each stage with its own state (the first grain keeps the cover's grain seed,
+    // repeated ones get grain of their own).
+    let grainCount = 0;
+    const steps = stages.map(stage => {
+        const filter = filters[stage.filter];
+        const context = {
+            width, height, scale, palette, blurField, grainField, grainShift,
+            grainSeed: stage.filter === "grain" ? (grainSeed ^ Math.imul(grainCount++, 0x9E3779B1)) >>> 0 : grainSeed
+        };
+        context.state = filter.createState ? filter.createState(context) : null;
+        return {
+            reach: filter.reach ? filter.reach(stage, scale) : 0,
+            cost: filter.cost ?? 0.1,
+            apply: (imageData, band) => filter.apply(imageData, stage, {...context, ...band})
+        };
+    });
+
+    // 4) Set the artist and title on top, or under the first dither or grain on request.
+    if (text) {
+        const under = settings.textUnderGrain
+            ? stages.findIndex(stage => stage.filter === "dither" || stage.filter === "grain") : -1;
+        steps.splice(under === -1 ? steps.length : under, 0, {
+            reach: 0,
+            cost: 0,
+            apply: (imageData, band) => drawTextOnRows(imageData, band.y, text, createCanvas)
+        });
+    }
+
+    // The rows of the shapes (output 0) and of every step (output i for step i) the next step still needs,
+    // and how far each output has got
+    const outputs = Array.from({length: steps.length + 1}, () => ({start: 0, width, data: new Uint8ClampedArray(0)}));
+    const ends = new Array(steps.length + 1).fill(0);
+    const costs = [leadingBlur ? filters.blur.cost : 0.1, ...steps.map(step => step.cost)];
+    const totalCost = costs.reduce((sum, cost) => sum + cost, 0) || 1;
+    const report = (index, fraction, rowCount) => {
+        let done = fraction * rowCount * costs[index];
+        ends.forEach((end, i) => done += end * costs[i]);
+        onProgress(done / (height * totalCost));
+    };
+
+    for (let bandStart = 0; bandStart < height; bandStart += bandHeight) {
+        const bandEnd = Math.min(height, bandStart + bandHeight);
+        produce(steps.length, bandEnd);
+        const last = outputs[steps.length];
+        yield {y: bandStart, imageData: sliceRows(last, bandStart, bandEnd)};
+        outputs[steps.length] = sliceRowsFrom(last, bandEnd);
+    }
+
+    /**
+     * Makes output `index` (0 for the shapes, i for step i) reach row `end`, a band at a time. A step reads the
+     * rows within its reach around each band from the output before it, which is produced ahead as needed.
+     */
+    function produce(index, end) {
+        while (ends[index] < end) {
+            const start = ends[index];
+            const bandEnd = Math.min(height, start + bandHeight);
+            let rows;
+            if (index === 0) {
+                rows = shapeRows(start, bandEnd, fraction => report(0, fraction, bandEnd - start));
+            } else {
+                const step = steps[index - 1];
+                const windowEnd = Math.min(height, bandEnd + step.reach);
+                produce(index - 1, windowEnd);
+                const windowStart = Math.max(0, start - step.reach);
+                rows = step.apply(sliceRows(outputs[index - 1], windowStart, windowEnd), {
+                    y: windowStart,
+                    startRow: start - windowStart,
+                    endRow: bandEnd - windowStart,
+                    onProgress: fraction => report(index, fraction, bandEnd - start)
+                });
+                // The next band only reads from its own start minus the reach.
+                outputs[index - 1] = sliceRowsFrom(outputs[index - 1], Math.max(0, bandEnd - step.reach));
+            }
+            outputs[index] = appendRows(outputs[index], rows);
+            ends[index] = bandEnd;
+            report(index, 0, 0);
+        }
+    }
+
+    /**
+     * Returns final-image rows [start, end) of the shapes, blurred by the leading blur if there is one. Hidden
+     * rows [start, end) + margin are drawn with the rows within the blur's reach around them.
+     */
+    function shapeRows(start, end, onBandProgress) {
+        const windowStart = Math.max(0, start + margin - firstReach);
+        const windowEnd = Math.min(hiddenHeight, end + margin + firstReach);
+
+        const canvas = createCanvas(hiddenWidth, windowEnd - windowStart);
+        const ctx = canvas.getContext("2d");
+        // Align the composition's margin with the hidden image's (whole-pixel) margin, then move to the window.
+        const offset = margin - compositionMargin * scale;
+        ctx.translate(offset, offset - windowStart);
+        drawComposition(ctx, composition, scale);
+        let shapes = ctx.getImageData(0, 0, hiddenWidth, windowEnd - windowStart);
+
+        if (leadingBlur) {
+            shapes = variableBoxBlurImageData(shapes, leadingBlur.minRadius * scale, leadingBlur.maxRadius * scale, {
+                passes: leadingBlur.passes,
+                startRow: start + margin - windowStart,
+                endRow: end + margin - windowStart,
+                mapOffsetY: windowStart,
+                mapScale: scale,
+                mapField: blurField,
+                onProgress: onBandProgress
+            });
+        }
+
+        // Crop the central columns (the margin ensures the blur buffer is sufficient).
+        return cropColumns(shapes, margin, width);
+    }
+}
+
+/**
+ * Returns the blur map of the first blur over the final image as a greyscale ImageData of the job's size:
+ * black where the blur is weakest, white where it is strongest.
+ */
+export function renderBlurMap(job) {
+    const {width, height} = job;
+    const {scale, margin: compositionMargin, blurField} = planCover(job);
+    // Final pixels sit at the blur margin within the hidden image the map covers.
+    const margin = Math.ceil(compositionMargin * scale);
+    const map = generateBlurMap(width, height, 0, 255, margin, margin, scale, blurField);
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < map.length; i++) {
+        data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = map[i];
+        data[i * 4 + 3] = 255;
+    }
+    return createImageData(data, width, height);
+}
+
+/**
+ * Makes every random decision of a render: the composition (in preview pixels, with the blur margin around
+ * the image) and the seeds of the grain and of the noise fields of the blur map and the grain.
+ * The margin is the larger radius of the chain's leading blur (see renderCoverBands), or 0 without one.
+ * For an animation frame, also moves the composition and the blur map to the job's phase and returns the
+ * grain's shift (in preview pixels).
+ */
+function planCover({seed, palette, settings, width, height, phase = 0}) {
+    const random = createRandom(hashSeed(seed));
+    const scale = previewScale(width, height);
+    const first = settings.stages.find(stage => stage.enabled);
+    const margin = first?.filter === "blur" ? Math.max(first.minRadius, first.maxRadius) : 0;
+
+    // 1) Generate the composition of the hidden image (in preview pixels).
+    // Use our refined gradient colors from the palette sorted by brightness.
+    const composition = generateLimitedPaletteComposition(
+        width / scale + 2 * margin,
+        height / scale + 2 * margin,
+        getSortedPalette(palette),
+        settings,
+        random,
+        margin
+    );
+    const grainSeed = Math.floor(random() * 4294967296);
+    const noiseSeed = Math.floor(random() * 4294967296);
+
+    const fractal = {octaves: settings.noiseOctaves, lacunarity: settings.noiseLacunarity, gain: settings.noiseGain};
+    const blurField = createNoiseField({
+        type: settings.blurNoiseType, seed: noiseSeed, frequency: settings.blurNoiseFrequency, ...fractal
+    });
+    // The grain's "sines" are its original structure.
+    const grainField = settings.grainNoiseType === "sines" ? classicGrainField : createNoiseField({
+        type: settings.grainNoiseType, seed: noiseSeed ^ 0x5BD1E995, frequency: settings.grainNoiseFrequency, ...fractal
+    });
+    if (phase === 0) {
+        return {scale, composition, margin, grainSeed, blurField, grainField, grainShift: {x: 0, y: 0}};
+    }
+
+    // The motion draws from a generator of its own, so the still cover's random sequence stays the same.
+    const motionRandom = createRandom(noiseSeed ^ 0x2F6B3C1D);
+    const blurDrift = loopOffset(phase, settings.animationBlurDrift);
+    const grainDrift = loopOffset(phase, settings.animationGrainDrift);
+    return {
+        scale,
+        composition: animateComposition(composition, phase, settings.animationMotion, motionRandom),
+        margin,
+        grainSeed,
+        blurField: Object.assign((x, y) => blurField(x + blurDrift.x, y + blurDrift.y),
+            {pointwise: blurField.pointwise}),
+        grainField,
+        grainShift: {x: Math.round(grainDrift.x), y: Math.round(grainDrift.y)}
+    };
+}
+
+/**
+ * Returns the point `phase` of the way round a circle of the given radius that passes through the origin
+ * (starting and ending there), as the offset {x, y} a field or the grain is sampled at.
+ */
+function loopOffset(phase, radius) {
+    const angle = phase * 2 * Math.PI;
+    return {x: radius * (Math.cos(angle) - 1), y: radius * Math.sin(angle)};
+}
+
+/**
+ * Lays out the artist and title of a job and picks their color. Returns null when there is no text, otherwise
+ * {layout, color, top, bottom} with the rows [top, bottom) the text may paint.
+ * The automatic color is picked from a small render of the cover without text, so it is the same at any size.
+ */
+function planText(job, createCanvas) {
+    const {palette, settings, width, height} = job;
+    const layout = layoutText(createCanvas(1, 1).getContext("2d"), job, previewScale(width, height));
+    if (!layout) return null;
+
+    let analysis = null;
+    let region = null;
+    if (settings.textColor === "auto") {
+        const factor = textAnalysisSize / width;
+        analysis = renderCover({
+            ...job,
+            settings: {...settings, textEnabled: false},
+            // The still cover's, so the color stays the same in every frame of an animation
+            phase: 0,
+            width: textAnalysisSize,
+            height: Math.max(1, Math.round(height * factor))
+        }, createCanvas);
+        const {x, y, width: boxWidth, height: boxHeight} = layout.box;
+        region = {x: x * factor, y: y * factor, width: boxWidth * factor, height: boxHeight * factor};
+    }
+    const color = pickTextColor(palette, settings.textColor, analysis, region);
+
+    // Glyphs may reach a little beyond their line box.
+    const overhang = layout.box.height / 2;
+    return {
+        layout,
+        color,
+        top: Math.floor(layout.box.y - overhang),
+        bottom: Math.ceil(layout.box.y + layout.box.height + overhang)
+    };
+}
+
+/**
+ * Draws the planned text (or nothing, for null) on an ImageData holding the image rows from y on.
+ */
+function drawTextOnRows(imageData, y, text, createCanvas) {
+    if (!text || y >= text.bottom || y + imageData.height <= text.top) return imageData;
+    const canvas = createCanvas(imageData.width, imageData.height);
+    const ctx = canvas.getContext("2d");
+    ctx.putImageData(imageData, 0, 0);
+    ctx.translate(0, -y);
+    drawText(ctx, text.layout, text.color);
+    return ctx.getImageData(0, 0, imageData.width, imageData.height);
+}
+
+/**
+ * Copies the columns [x, x + width) of the given ImageData.
+ */
+function cropColumns(imageData, x, width) {
+    const {height} = imageData;
+    const output = new Uint8ClampedArray(width * height * 4);
+    for (let row = 0; row < height; row++) {
+        const start = (row * imageData.width + x) * 4;
+        output.set(imageData.data.subarray(start, start + width * 4), row * width * 4);
+    }
+    return createImageData(output, width, height);
+}
+
+// --- Row buffers: {start, width, data} holding the RGBA pixels of image rows from `start` on ---
+
+function appendRows(rows, imageData) {
+    const data = new Uint8ClampedArray(rows.data.length + imageData.data.length);
+    data.set(rows.data);
+    data.set(imageData.data, rows.data.length);
+    return {start: rows.start, width: rows.width, data};
+}
+
+/**
+ * Returns rows [start, end) as an {data, width, height} image.
+ */
+function sliceRows(rows, start, end) {
+    const from = (start - rows.start) * rows.width * 4;
+    return {data: rows.data.slice(from, from + (end - start) * rows.width * 4), width: rows.width, height: end - start};
+}
+
+/**
+ * Drops the rows before `start`.
+ */
+function sliceRowsFrom(rows, start) {
+    return {start, width: rows.width, data: rows.data.slice((start - rows.start) * rows.width * 4)};
+}
@@ -1,515 +1,774 @@
+import {normalizeHex} from "./palette-formats.js";
+import {initPaletteEditor} from "./palette-editor.js";
+import {initLayerEditor} from "./layer-editor.js";
+import {initChainEditor} from "./chain-editor.js";
+import {lookPresets} from "./filters.js";
+import {layoutPresets} from "./shapes.js";
+import {builtInPalettes, defaultSettings, normalizeSettings, settingControls} from "./settings.js";
+import {extractPalette} from "./palette-extraction.js";
+import {randomSeed} from "./random.js";
+import {createRenderer} from "./render-client.js";
+import {previewScale, previewSize, renderBlurMap} from "./render.js";
+import {fitSize, formatName, formatSet, outputFormats, parseSize} from "./formats.js";
+import {createZip} from "./zip.js";
+import {downloadBlob} from "./download.js";
+import {initBatchPanel} from "./batch-panel.js";
+import {embedMetadata, readMetadata} from "./metadata.js";
+import {initHistoryPanel} from "./history-panel.js";
+import {initAnimationPanel} from "./animation-panel.js";
+import {registerFontFamily} from "./text.js";
+
 document.addEventListener("DOMContentLoaded", () => {
-    // Final (visible) canvas dimensions
-    const finalWidth = 512;
-    const finalHeight = 512;
-
-    // Variable blur radius parameters
-    const minBlurRadius = 2;
-    const maxBlurRadius = 80;
-
-    // Contrast factor (1.0 = no change, >1.0 increases contrast)
-    const contrastFactor = 1.1;
-    // Hidden canvas dimensions (providing a buffer for the blur)
-    const hiddenWidth = finalWidth + 2 * maxBlurRadius;
-    const hiddenHeight = finalHeight + 2 * maxBlurRadius;
-
-    // Global ellipse parameters:
-    const minEllipseSize = 160 * 2;         // Minimum base size (in pixels)
-    const maxEllipseSize = 200 * 2;        // Maximum base size (in pixels)
-    // Donut parameters: ellipse center will be between these radii from canvas center.
-    const donutInnerRadius = 150 * 2;       // Minimum offset from the center (in pixels)
-    const donutOuterRadius = 210 * 2;       // Maximum offset from the center (in pixels)
-    const ellipseDeviationFactor = 0.3; // 0 = perfect circle; higher values allow more deviation
-
-    // Second (lighter) blur radius parameters for reblurring after dithering
-    const secondMinBlurRadius = 2;
-    const secondMaxBlurRadius = 6;
-
-    // Number of shades per channel for dithering
-    const ditherShades = 80;
+    // Export size of a fresh page
+    const defaultFrame = {width: outputFormats["square"].width, height: outputFormats["square"].height};
+    // Smallest and largest width and height of a frame (in pixels), as in the size inputs
+    const minFrameSize = 16;
+    const maxFrameSize = 12000;
+
+    // The export size {width, height} of the cover, and the final (visible) canvas dimensions: the frame's
+    // aspect ratio, at most previewSize wide and high
+    let frame = defaultFrame;
+    let finalWidth = previewSize;
+    let finalHeight = previewSize;
+
+    // Delay between the last settings change and the re-render (in milliseconds)
+    const rerenderDelay = 250;
+
+    // File name extensions of the export formats
+    const exportExtensions = {png: "png", jpeg: "jpg", webp: "webp"};
+
+    // Reference images are scaled down to at most this size (in pixels) before extracting their colors.
+    const referenceImageMaxSize = 128;
+
+    // The active settings; starts from the defaults overridden by any values in the page URL.
+    let settings = readSettingsFromURL();
 
     // Get canvas references and contexts
-    const hiddenCanvas = document.getElementById("hiddenCanvas");
     const finalCanvas = document.getElementById("finalCanvas");
-    hiddenCanvas.width = hiddenWidth;
-    hiddenCanvas.height = hiddenHeight;
-    const ctxHidden = hiddenCanvas.getContext("2d");
     const ctxFinal = finalCanvas.getContext("2d");
-
-    // Create an offscreen temporary canvas for our blurred image
-    const tempCanvas = document.createElement("canvas");
-    tempCanvas.width = hiddenWidth;
-    tempCanvas.height = hiddenHeight;
-    const tempCtx = tempCanvas.getContext("2d");
+    const blurMapCanvas = document.getElementById("blurMapCanvas");
+    const showBlurMapInput = document.getElementById("showBlurMapInput");
+    const guidesCanvas = document.getElementById("guidesCanvas");
+    const showSafeAreaInput = document.getElementById("showSafeAreaInput");
+
+    // Renders in a worker so the page stays responsive; a new render cancels the one in progress.
+    const renderer = createRenderer();
+    // Exports run in their own worker so re-rendering the preview does not cancel them.
+    const exportRenderer = createRenderer();
+    // Batch thumbnails too, so the preview and the batch can render side by side.
+    const batchRenderer = createRenderer();
+    // And the history entry compared with the preview.
+    const compareRenderer = createRenderer();
+    // And the frames of animations.
+    const animationRenderer = createRenderer();
+    // Every worker above; each of them needs the uploaded fonts.
+    const renderers = [renderer, exportRenderer, batchRenderer, compareRenderer, animationRenderer];
 
     const generateBtn = document.getElementById("generateBtn");
     const downloadBtn = document.getElementById("downloadBtn");
+    const downloadSetBtn = document.getElementById("downloadSetBtn");
+    const seedInput = document.getElementById("seedInput");
+    const renderProgress = document.getElementById("renderProgress");
+    const frameFormatSelect = document.getElementById("frameFormatSelect");
+    const exportWidthInput = document.getElementById("exportWidthInput");
+    const exportHeightInput = document.getElementById("exportHeightInput");
+    const exportProgress = document.getElementById("exportProgress");
+    const exportFormatSelect = document.getElementById("exportFormatSelect");
+    const exportQualityLabel = document.getElementById("exportQualityLabel");
+    const exportQualityInput = document.getElementById("exportQualityInput");
+    const artistInput = document.getElementById("artistInput");
+    const titleInput = document.getElementById("titleInput");
+    const fileNameTemplateInput = document.getElementById("fileNameTemplateInput");
+    const loadSettingsInput = document.getElementById("loadSettingsInput");
+    const settingsControls = document.getElementById("settingsControls");
+    const textControls = document.getElementById("textControls");
+    const animationControls = document.getElementById("animationControls");
+    const fontUploadInput = document.getElementById("fontUploadInput");
+    const resetSettingsBtn = document.getElementById("resetSettingsBtn");
+    const referenceImageInput = document.getElementById("referenceImageInput");
+    const extractCountInput = document.getElementById("extractCountInput");
+    const extractMethodSelect = document.getElementById("extractMethodSelect");
+
+    // The active limited color palette; the page URL may carry a shared one.
+    let colorPalette = readPaletteFromURL() || builtInPalettes["Default"];
+
+    // The frame: a format's size or a custom one, the page URL may carry one ("?size=1080x1920").
+    for (const [name, {label, width, height}] of Object.entries(outputFormats)) {
+        frameFormatSelect.appendChild(new Option(`${label}, ${width}×${height}`, name));
+    }
+    frameFormatSelect.appendChild(new Option("Custom size", "custom"));
+    const sharedFrame = parseSize(new URLSearchParams(window.location.search).get("size") || "");
+    setFrame(sharedFrame && isFrameSize(sharedFrame) ? sharedFrame : defaultFrame);
+    frameFormatSelect.addEventListener("change", () => {
+        const format = outputFormats[frameFormatSelect.value];
+        if (format) {
+            setFrame(format);
+            scheduleRerender();
+        }
+    });
+    for (const input of [exportWidthInput, exportHeightInput]) {
+        input.addEventListener("input", () => {
+            const size = {width: Number(exportWidthInput.value), height: Number(exportHeightInput.value)};
+            if (isFrameSize(size)) {
+                setFrame(size, false);
+                scheduleRerender();
+            }
+        });
+    }
+
+    generateBtn.addEventListener("click", () => {
+        // A new click always starts from a fresh seed.
+        renderWithSeed(randomSeed());
+    });
 
-    // A limited color palette.
-    const colorPalette = [
-        // "#d3dbd8",
-        // "#a0bdca",
-        // "#65948b",
-        // "#365b67",
-        // "#303a47",
-        // "#384e53",
-        // "#2a3639",
-        // "#080c10",
-        "#d8b12b",
-        "#6493da",
-        "#5d5ac9",
-        "#4dab6d",
-
-    ];
-
-    // Convert palette to a sorted palette (by brightness)
-    const sortedPalette = getSortedPalette(colorPalette);
-
-    // Store the first ellipse properties for reference when drawing the second one
-    let firstEllipseProps = {
-        centerX: 0,
-        centerY: 0,
-        radiusX: 0,
-        radiusY: 0
+    seedInput.addEventListener("change", () => {
+        renderWithSeed(seedInput.value.trim() || randomSeed());
+    });
+
+    // Build the settings panel and re-render (with the current seed) shortly after a value changes.
+    const scheduleRerender = debounce(() => renderWithSeed(seedInput.value.trim() || randomSeed()), rerenderDelay);
+    const changeSetting = (key, value) => {
+        settings = {...settings, [key]: value};
+        scheduleRerender();
+    };
+    const settingInputs = {
+        ...buildSettingsPanel(settingsControls, settingControls.filter(control => !control.group), changeSetting),
+        ...buildSettingsPanel(textControls, settingControls.filter(control => control.group === "text"), changeSetting),
+        ...buildSettingsPanel(animationControls,
+            settingControls.filter(control => control.group === "animation"), changeSetting)
     };
 
-    generateBtn.addEventListener("click", () => {
-        // 1) Generate the image on the hidden canvas.
-        // Use our refined gradient colors.
-        generateLimitedPaletteImageFull(ctxHidden, hiddenWidth, hiddenHeight, sortedPalette);
-
-        // 2) Get the hidden canvas image data and apply our variable box blur.
-        const hiddenImageData = ctxHidden.getImageData(0, 0, hiddenWidth, hiddenHeight);
-        const blurredImageData = variableBoxBlurImageData(hiddenImageData, minBlurRadius, maxBlurRadius);
-        tempCtx.putImageData(blurredImageData, 0, 0);
-
-        // 3) Crop the central region from the blurred temp canvas to the final canvas.
-        ctxFinal.clearRect(0, 0, finalWidth, finalHeight);
-        ctxFinal.drawImage(
-            tempCanvas,
-            maxBlurRadius,   // source x offset (use max to ensure buffer is sufficient)
-            maxBlurRadius,   // source y offset
-            finalWidth,      // source width
-            finalHeight,     // source height
-            0,               // destination x
-            0,               // destination y
-            finalWidth,      // destination width
-            finalHeight      // destination height
-        );
-
-        // 4) Enhance the contrast of the final image.
-        let imageData = ctxFinal.getImageData(0, 0, finalWidth, finalHeight);
-        imageData = enhanceContrast(imageData, contrastFactor);
-        ctxFinal.putImageData(imageData, 0, 0);
-
-        // 5) Apply Floyd–Steinberg dithering.
-        imageData = ctxFinal.getImageData(0, 0, finalWidth, finalHeight);
-        const ditheredData = floydSteinbergDitherImageData(imageData, ditherShades);
-        ctxFinal.putImageData(ditheredData, 0, 0);
-
-        // 6) Reblur the dithered image with a variable smaller blur radius.
-        imageData = ctxFinal.getImageData(0, 0, finalWidth, finalHeight);
-        const reblurredData = variableBoxBlurImageData(imageData, secondMinBlurRadius, secondMaxBlurRadius);
-        ctxFinal.putImageData(reblurredData, 0, 0);
-
-        // 7) Apply noise as a final step
-        applyNoise(ctxFinal, finalWidth, finalHeight);
+    const paletteEditor = initPaletteEditor({
+        swatches: document.getElementById("paletteSwatches"),
+        addSwatchBtn: document.getElementById("addSwatchBtn"),
+        presetSelect: document.getElementById("palettePresetSelect"),
+        presetNameInput: document.getElementById("presetNameInput"),
+        savePresetBtn: document.getElementById("savePresetBtn"),
+        deletePresetBtn: document.getElementById("deletePresetBtn"),
+        importInput: document.getElementById("paletteImportInput"),
+        exportFormatSelect: document.getElementById("paletteExportFormat"),
+        exportBtn: document.getElementById("paletteExportBtn")
+    }, builtInPalettes, {
+        name: colorPalette === builtInPalettes["Default"] ? "Default" : "Shared",
+        colors: colorPalette
+    }, palette => {
+        colorPalette = palette.colors;
+        scheduleRerender();
     });
 
-    downloadBtn.addEventListener("click", () => {
-        const dataURL = finalCanvas.toDataURL("image/png");
-        const link = document.createElement("a");
-        link.href = dataURL;
-        link.download = "variable_blurred_image.png";
-        link.click();
+    const layerEditor = initLayerEditor({
+        list: document.getElementById("layerList"),
+        addLayerBtn: document.getElementById("addLayerBtn"),
+        presetSelect: document.getElementById("layoutPresetSelect")
+    }, layoutPresets, settings.layers, layers => {
+        settings = {...settings, layers};
+        scheduleRerender();
     });
 
-    /**
-     * Applies a variable box blur on the given ImageData where some regions are sharper and others more blurry.
-     * The blur radius varies based on a noise function to create an interesting organic effect.
-     */
-    function variableBoxBlurImageData(imageData, minRadius, maxRadius) {
-        const {data, width, height} = imageData;
-        const tempData = new Uint8ClampedArray(data.length);
-        const outputData = new Uint8ClampedArray(data.length);
-
-        // Generate a blur map that determines blur intensity for each pixel
-        const blurMap = generateBlurMap(width, height, minRadius, maxRadius);
-
-        // Horizontal pass with variable radius
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const pixelRadius = blurMap[y * width + x];
-                let r = 0, g = 0, b = 0, a = 0, count = 0;
-
-                for (let dx = -pixelRadius; dx <= pixelRadius; dx++) {
-                    const nx = x + dx;
-                    if (nx >= 0 && nx < width) {
-                        const index = (y * width + nx) * 4;
-                        r += data[index];
-                        g += data[index + 1];
-                        b += data[index + 2];
-                        a += data[index + 3];
-                        count++;
-                    }
-                }
+    const chainEditor = initChainEditor({
+        list: document.getElementById("stageList"),
+        addFilterSelect: document.getElementById("addFilterSelect"),
+        addStageBtn: document.getElementById("addStageBtn"),
+        lookSelect: document.getElementById("lookSelect"),
+        lookNameInput: document.getElementById("lookNameInput"),
+        saveLookBtn: document.getElementById("saveLookBtn"),
+        deleteLookBtn: document.getElementById("deleteLookBtn")
+    }, lookPresets, settings.stages, stages => {
+        settings = {...settings, stages};
+        scheduleRerender();
+    });
 
-                const index = (y * width + x) * 4;
-                tempData[index] = r / count;
-                tempData[index + 1] = g / count;
-                tempData[index + 2] = b / count;
-                tempData[index + 3] = a / count;
+    // The artist and title are only part of the picture while the text is drawn.
+    for (const input of [artistInput, titleInput]) {
+        input.addEventListener("input", () => {
+            if (settings.textEnabled) {
+                scheduleRerender();
             }
+        });
+    }
+    fontUploadInput.addEventListener("change", () => {
+        const file = fontUploadInput.files[0];
+        fontUploadInput.value = "";
+        if (file) {
+            loadFontFile(file);
         }
+    });
 
-        // Vertical pass with variable radius
-        for (let x = 0; x < width; x++) {
-            for (let y = 0; y < height; y++) {
-                const pixelRadius = blurMap[y * width + x];
-                let r = 0, g = 0, b = 0, a = 0, count = 0;
-
-                for (let dy = -pixelRadius; dy <= pixelRadius; dy++) {
-                    const ny = y + dy;
-                    if (ny >= 0 && ny < height) {
-                        const index = (ny * width + x) * 4;
-                        r += tempData[index];
-                        g += tempData[index + 1];
-                        b += tempData[index + 2];
-                        a += tempData[index + 3];
-                        count++;
-                    }
-                }
+    // Pixels of the last reference image, kept so the color count can be tweaked afterwards.
+    let referenceImage = null;
 
-                const index = (y * width + x) * 4;
-                outputData[index] = r / count;
-                outputData[index + 1] = g / count;
-                outputData[index + 2] = b / count;
-                outputData[index + 3] = a / count;
-            }
+    referenceImageInput.addEventListener("change", () => {
+        if (referenceImageInput.files[0]) {
+            loadReferenceImage(referenceImageInput.files[0]);
         }
+    });
+    extractCountInput.addEventListener("input", extractReferencePalette);
+    extractMethodSelect.addEventListener("change", extractReferencePalette);
+
+    // An image dropped anywhere on the page becomes the reference image.
+    document.addEventListener("dragover", event => {
+        if (event.dataTransfer.types.includes("Files")) {
+            event.preventDefault();
+        }
+    });
+    document.addEventListener("drop", event => {
+        const file = [...event.dataTransfer.files].find(f => f.type.startsWith("image/"));
+        if (file) {
+            event.preventDefault();
+            loadReferenceImage(file);
+        }
+    });
+
+    resetSettingsBtn.addEventListener("click", () => {
+        settings = {...defaultSettings};
+        updateSettingsPanel();
+        // Also schedules the re-render.
+        layerEditor.setLayers(settings.layers);
+        chainEditor.setStages(settings.stages);
+    });
 
-        return new ImageData(outputData, width, height);
+    // Render the seed (and text) from a shared link right away.
+    const initialParams = new URLSearchParams(window.location.search);
+    artistInput.value = initialParams.get("artist") || artistInput.value;
+    titleInput.value = initialParams.get("title") || titleInput.value;
+    const initialSeed = initialParams.get("seed");
+    if (initialSeed) {
+        renderWithSeed(initialSeed);
     }
 
     /**
-     * Generates a blur map (an array of blur radii) for each pixel in the image.
-     * Uses Perlin-like noise to create natural-looking variation in blur intensity.
+     * Renders the image for the given seed, shows the seed in the UI and stores it in the page URL
+     * together with the palette and every setting that differs from its default.
      */
-    function generateBlurMap(width, height, minRadius, maxRadius) {
-        const map = new Array(width * height);
-        const scale = 0.01; // Controls the "frequency" of the noise
-
-        // Using a simplified noise approach for variation
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                // Create some noise using sine functions at different frequencies
-                const noise =
-                    Math.sin(x * scale * 0.5) * Math.cos(y * scale * 0.7) +
-                    Math.sin(x * scale * 1.3) * Math.cos(y * scale * 1.1) +
-                    Math.sin(x * scale * 2.3 + y * scale * 1.5);
-
-                // Convert noise (-3 to 3) to a value between 0 and 1
-                const normalizedNoise = (noise + 3) / 6;
-
-                // Map the noise to our desired radius range
-                map[y * width + x] = Math.floor(minRadius + normalizedNoise * (maxRadius - minRadius));
+    function renderWithSeed(seed) {
+        seedInput.value = seed;
+        const url = new URL(window.location.href);
+        url.searchParams.set("seed", seed);
+        if (frame.width === defaultFrame.width && frame.height === defaultFrame.height) {
+            url.searchParams.delete("size");
+        } else {
+            url.searchParams.set("size", sizeLabel(frame));
+        }
+        for (const [key, input] of [["artist", artistInput], ["title", titleInput]]) {
+            if (input.value.trim()) {
+                url.searchParams.set(key, input.value.trim());
+            } else {
+                url.searchParams.delete(key);
+            }
+        }
+        for (const {key} of settingControls) {
+            if (settings[key] === defaultSettings[key]) {
+                url.searchParams.delete(key);
+            } else {
+                url.searchParams.set(key, String(settings[key]));
             }
         }
+        for (const key of ["layers", "stages"]) {
+            if (JSON.stringify(settings[key]) === JSON.stringify(defaultSettings[key])) {
+                url.searchParams.delete(key);
+            } else {
+                url.searchParams.set(key, JSON.stringify(settings[key]));
+            }
+        }
+        if (colorPalette.join() === builtInPalettes["Default"].join()) {
+            url.searchParams.delete("palette");
+        } else {
+            url.searchParams.set("palette", colorPalette.map(color => color.slice(1)).join("-"));
+        }
+        window.history.replaceState(null, "", url);
 
-        return map;
+        render(seed, settings);
+        updateBlurMapOverlay();
+        updateGuidesOverlay();
     }
 
+    showBlurMapInput.addEventListener("change", updateBlurMapOverlay);
+    showSafeAreaInput.addEventListener("change", updateGuidesOverlay);
+
     /**
-     * Generates an image on the entire hidden canvas using a limited palette.
-     * It fills the canvas with a gradient background and draws two ellipses.
-     * For the gradient background, two similar (adjacent) colors are chosen.
-     * For the ellipses, contrasting colors are used (from the opposite end of the brightness spectrum).
+     * Shows the blur map of the current seed and settings over the preview while "Show blur map" is checked.
      */
-    function generateLimitedPaletteImageFull(ctx, width, height, sortedPalette) {
-        ctx.clearRect(0, 0, width, height);
-        // Choose two adjacent colors for the gradient.
-        const gradientColors = getGradientColors(sortedPalette);
-        const grad = ctx.createLinearGradient(0, 0, width, height);
-        grad.addColorStop(0, gradientColors[0]);
-        grad.addColorStop(1, gradientColors[1]);
-        ctx.fillStyle = grad;
-        ctx.fillRect(0, 0, width, height);
-
-        // Determine the average brightness of the gradient.
-        const avgBrightness = (getBrightness(gradientColors[0]) + getBrightness(gradientColors[1])) / 2;
-
-        // Draw first ellipse with gradient fill using contrasting colors.
-        firstEllipseProps = drawRandomEllipse(ctx, width, height, sortedPalette, true, avgBrightness);
-
-        // Draw second ellipse with flat contrasting color and origin inside the first ellipse.
-        drawSecondEllipseInsideFirst(ctx, sortedPalette, avgBrightness, firstEllipseProps);
+    function updateBlurMapOverlay() {
+        const seed = seedInput.value.trim();
+        blurMapCanvas.hidden = !showBlurMapInput.checked || !seed;
+        if (blurMapCanvas.hidden) return;
+        const imageData = renderBlurMap({
+            seed,
+            palette: colorPalette,
+            settings,
+            width: finalWidth,
+            height: finalHeight
+        });
+        blurMapCanvas.getContext("2d").putImageData(imageData, 0, 0);
     }
 
     /**
-     * Draws a random ellipse on the provided context.
-     * The ellipse's center is chosen from a donut-shaped region around the canvas center.
-     * If useGradient is true, the ellipse is filled with a radial gradient;
-     * otherwise, it is filled with a flat contrasting color.
-     * The contrast is determined by the gradient's average brightness.
-     * Returns the properties of the drawn ellipse.
+     * Outlines the safe area the text is kept in over the preview while "Show safe area" is checked.
      */
-    function drawRandomEllipse(ctx, width, height, sortedPalette, useGradient, gradientBrightness) {
-        const canvasCenterX = width / 2;
-        const canvasCenterY = height / 2;
-        const offsetRadius = donutInnerRadius + Math.random() * (donutOuterRadius - donutInnerRadius);
-        const angle = Math.random() * 2 * Math.PI;
-        const centerX = canvasCenterX + offsetRadius * Math.cos(angle);
-        const centerY = canvasCenterY + offsetRadius * Math.sin(angle);
-        const baseSize = minEllipseSize + Math.random() * (maxEllipseSize - minEllipseSize);
-        const deviation = (Math.random() * 2 - 1) * ellipseDeviationFactor * baseSize;
-        const radiusX = baseSize;
-        const radiusY = baseSize + deviation;
-
-        ctx.beginPath();
-        ctx.ellipse(centerX, centerY, radiusX, radiusY, 0, 0, 2 * Math.PI);
-        if (useGradient) {
-            // For gradient fill, choose contrasting colors.
-            const contrastColors = getContrastingColors(sortedPalette, gradientBrightness);
-            const outerRadius = (radiusX + radiusY) / 2;
-            const radialGrad = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, outerRadius);
-            radialGrad.addColorStop(0, contrastColors[0]);
-            radialGrad.addColorStop(1, contrastColors[1]);
-            ctx.fillStyle = radialGrad;
-        } else {
-            // For flat fill, choose a contrasting color.
-            const contrastColors = getContrastingColors(sortedPalette, gradientBrightness);
-            ctx.fillStyle = contrastColors[0];
+    function updateGuidesOverlay() {
+        guidesCanvas.hidden = !showSafeAreaInput.checked;
+        if (guidesCanvas.hidden) return;
+        const ctx = guidesCanvas.getContext("2d");
+        const margin = settings.textSafeArea * previewScale(finalWidth, finalHeight);
+        ctx.clearRect(0, 0, finalWidth, finalHeight);
+        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = 1;
+        // A light and a dark outline, so the guide shows on any cover
+        for (const [color, offset] of [["rgba(255, 255, 255, 0.9)", 0], ["rgba(0, 0, 0, 0.6)", 5]]) {
+            ctx.strokeStyle = color;
+            ctx.lineDashOffset = offset;
+            ctx.strokeRect(margin + 0.5, margin + 0.5, finalWidth - 2 * margin - 1, finalHeight - 2 * margin - 1);
         }
-        ctx.fill();
-
-        // Return properties of this ellipse
-        return {
-            centerX,
-            centerY,
-            radiusX,
-            radiusY
-        };
     }
 
     /**
-     * Draws the second ellipse with its origin (center) inside the first ellipse.
+     * Runs the full generation pipeline in the render worker, draws the result on the final canvas and
+     * records it (with the frame's export size) in the history. A render still in progress is cancelled.
      */
-    function drawSecondEllipseInsideFirst(ctx, sortedPalette, gradientBrightness, firstEllipse) {
-        // Calculate a random point inside the first ellipse
-        // For an ellipse, we need to use a special approach to ensure the point is uniformly distributed
-
-        // Step 1: Generate a random angle
-        const angle = Math.random() * 2 * Math.PI;
-
-        // Step 2: Generate a random radius factor (less than 1 to ensure it's inside)
-        // Using square root for uniform distribution within the ellipse
-        const radiusFactor = Math.sqrt(Math.random()) * 0.8; // 0.8 to keep it visibly inside
-
-        // Step 3: Calculate the point inside the ellipse
-        const centerX = firstEllipse.centerX + radiusFactor * firstEllipse.radiusX * Math.cos(angle);
-        const centerY = firstEllipse.centerY + radiusFactor * firstEllipse.radiusY * Math.sin(angle);
-
-        // Step 4: Ensure the second ellipse is smaller than the first
-        const maxSecondSize = Math.min(firstEllipse.radiusX, firstEllipse.radiusY) * 0.6;
-        const baseSize = maxSecondSize * (0.4 + Math.random() * 0.6); // Between 40-100% of maxSecondSize
-        const deviation = (Math.random() * 2 - 1) * ellipseDeviationFactor * baseSize;
-        const radiusX = baseSize;
-        const radiusY = baseSize + deviation;
-
-        ctx.beginPath();
-        ctx.ellipse(centerX, centerY, radiusX, radiusY, 0, 0, 2 * Math.PI);
-
-        // Choose a contrasting color for the second ellipse
-        const contrastColors = getContrastingColors(sortedPalette, gradientBrightness);
-        ctx.fillStyle = contrastColors[0];
-        ctx.fill();
+    async function render(seed, config) {
+        renderProgress.value = 0;
+        renderProgress.hidden = false;
+        const job = {seed, palette: colorPalette, settings: config, ...currentText(), ...frame};
+        try {
+            const imageData = await renderer.render({...job, width: finalWidth, height: finalHeight}, progress => {
+                renderProgress.value = progress;
+            });
+            ctxFinal.putImageData(imageData, 0, 0);
+            renderProgress.hidden = true;
+            historyPanel.record(job, finalCanvas);
+        } catch (error) {
+            // A cancelled render has already been replaced by a newer one.
+            if (error.name === "AbortError") return;
+            renderProgress.hidden = true;
+            alert("Rendering failed: " + error.message);
+        }
     }
 
-    /**
-     * Enhances contrast of the provided ImageData.
-     */
-    function enhanceContrast(imageData, factor) {
-        const data = imageData.data;
-        for (let i = 0; i < data.length; i += 4) {
-            for (let c = 0; c < 3; c++) {
-                let newVal = factor * (data[i + c] - 128) + 128;
-                data[i + c] = Math.max(0, Math.min(255, newVal));
+    downloadBtn.addEventListener("click", async () => {
+        const seed = seedInput.value.trim();
+        if (!seed) {
+            alert("Generate an image first.");
+            return;
+        }
+        exportProgress.value = 0;
+        exportProgress.hidden = false;
+        try {
+            const {fileName, bytes, type} = await exportFile({seed, palette: colorPalette, settings}, progress => {
+                exportProgress.value = progress;
+            });
+            exportProgress.hidden = true;
+            downloadBlob(new Blob([bytes], {type}), fileName);
+        } catch (error) {
+            // A cancelled export has already been replaced by a newer one.
+            if (error.name === "AbortError") return;
+            exportProgress.hidden = true;
+            alert("Export failed: " + error.message);
+        }
+    });
+
+    // The same cover in every output format, as one ZIP
+    downloadSetBtn.addEventListener("click", async () => {
+        const seed = seedInput.value.trim();
+        if (!seed) {
+            alert("Generate an image first.");
+            return;
+        }
+        const set = formatSet({seed, palette: colorPalette, settings});
+        exportProgress.value = 0;
+        exportProgress.hidden = false;
+        try {
+            const files = [];
+            for (let i = 0; i < set.length; i++) {
+                const {format, job} = set[i];
+                const {fileName, bytes} = await exportFile(job, progress => {
+                    exportProgress.value = (i + progress) / set.length;
+                }, job);
+                // The format keeps the file names apart when the template has no {size}.
+                files.push({name: fileName.replace(/(\.\w+)$/, "-" + format + "$1"), bytes});
             }
+            exportProgress.hidden = true;
+            downloadBlob(createZip(files), "album-art-" + seed + "-formats.zip");
+        } catch (error) {
+            if (error.name === "AbortError") return;
+            exportProgress.hidden = true;
+            alert("Export failed: " + error.message);
         }
-        return imageData;
+    });
+
+    initBatchPanel({
+        countInput: document.getElementById("batchCountInput"),
+        renderBtn: document.getElementById("batchRenderBtn"),
+        grid: document.getElementById("batchGrid"),
+        progress: document.getElementById("batchProgress"),
+        downloadStarredBtn: document.getElementById("batchDownloadStarredBtn"),
+        downloadAllBtn: document.getElementById("batchDownloadAllBtn")
+    }, {
+        getJob: () => ({
+            seed: seedInput.value.trim() || randomSeed(),
+            palette: colorPalette,
+            settings,
+            ...currentText(),
+            ...frame
+        }),
+        renderThumbnail: (job, onProgress) => batchRenderer.render(job, onProgress),
+        open: job => {
+            applyJob(job, "Batch");
+            window.scrollTo({top: 0, behavior: "smooth"});
+        },
+        exportFile
+    });
+
+    const historyPanel = initHistoryPanel({
+        backBtn: document.getElementById("historyBackBtn"),
+        forwardBtn: document.getElementById("historyForwardBtn"),
+        position: document.getElementById("historyPosition"),
+        strip: document.getElementById("historyStrip"),
+        clearBtn: document.getElementById("historyClearBtn"),
+        compareCanvas: document.getElementById("compareCanvas"),
+        compareControls: document.getElementById("compareControls"),
+        compareSlider: document.getElementById("compareSlider"),
+        compareLabel: document.getElementById("compareLabel"),
+        stopCompareBtn: document.getElementById("stopCompareBtn")
+    }, {
+        restore: job => applyJob(job, "History"),
+        // At the preview size of the entry's own frame (entries from before frames are square)
+        renderCompare: job => compareRenderer.render({
+            ...job,
+            ...fitSize(job.width >= 1 ? job.width : 1, job.height >= 1 ? job.height : 1, previewSize)
+        })
+    });
+
+    initAnimationPanel({
+        formatSelect: document.getElementById("animationFormatSelect"),
+        durationInput: document.getElementById("animationDurationInput"),
+        fpsInput: document.getElementById("animationFpsInput"),
+        sizeInput: document.getElementById("animationSizeInput"),
+        renderBtn: document.getElementById("animationRenderBtn"),
+        downloadBtn: document.getElementById("animationDownloadBtn"),
+        progress: document.getElementById("animationProgress"),
+        preview: document.getElementById("animationPreview")
+    }, {
+        getJob: () => ({
+            seed: seedInput.value.trim() || randomSeed(),
+            palette: colorPalette,
+            settings,
+            ...currentText(),
+            ...frame
+        }),
+        exportAnimation: (job, options, onProgress) => animationRenderer.exportAnimation(job, options, onProgress),
+        renderFrame: (job, onProgress) => animationRenderer.render(job, onProgress),
+        fileName: job => formatFileName(fileNameTemplateInput.value,
+            {artist: job.artist, title: job.title, seed: job.seed, size: sizeLabel(job)})
+    });
+
+    /**
+     * Re-renders the given {seed, palette, settings} at the {width, height} given (the frame's by default) in
+     * the export format, with its generation metadata written into the file.
+     * Resolves with {fileName, bytes, type, metadata}.
+     */
+    async function exportFile(job, onProgress, {width, height} = frame) {
+        const format = exportFormatSelect.value;
+        const quality = Number(exportQualityInput.value);
+        const artist = artistInput.value.trim();
+        const title = titleInput.value.trim();
+
+        // Re-render the same composition at the export size; large sizes are rendered and encoded in bands.
+        const sizedJob = {...job, artist, title, width, height};
+        const blob = await exportRenderer.exportImage(sizedJob, {format, quality}, onProgress);
+        // Write everything needed to render the image again into the file itself.
+        const bytes = embedMetadata(new Uint8Array(await blob.arrayBuffer()), sizedJob);
+        const fileName = formatFileName(fileNameTemplateInput.value,
+            {artist, title, seed: job.seed, size: sizeLabel(sizedJob)});
+        return {fileName: fileName + "." + exportExtensions[format], bytes, type: blob.type, metadata: sizedJob};
     }
 
+    exportFormatSelect.addEventListener("change", () => {
+        // PNG is lossless, so only the other formats have a quality.
+        exportQualityLabel.hidden = exportFormatSelect.value === "png";
+    });
+
+    loadSettingsInput.addEventListener("change", async () => {
+        const file = loadSettingsInput.files[0];
+        loadSettingsInput.value = "";
+        if (!file) return;
+        const metadata = readMetadata(new Uint8Array(await file.arrayBuffer()));
+        if (!metadata || typeof metadata.seed !== "string") {
+            alert(file.name + " does not contain generation settings.");
+            return;
+        }
+        applyMetadata(metadata);
+    });
+
     /**
-     * Applies Floyd–Steinberg dithering to the provided ImageData while preserving colors.
+     * Builds the input(s) of the given setting controls inside the container.
+     * Calls onChange(key, value) whenever the user changes a value; returns, by setting key,
+     * a function that shows a value in the setting's input(s).
      */
-    function floydSteinbergDitherImageData(imageData, shades) {
-        const {width, height} = imageData;
-        const data = new Float32Array(imageData.data);
-        const step = 4000 / (shades - 1);
-
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const index = (y * width + x) * 4;
-                for (let c = 0; c < 3; c++) {
-                    const oldVal = data[index + c];
-                    const newVal = Math.round(oldVal / step) * step;
-                    data[index + c] = newVal;
-                    const error = oldVal - newVal;
-
-                    if (x + 1 < width) {
-                        data[index + 4 + c] += error * (7 / 16);
-                    }
-                    if (x - 1 >= 0 && y + 1 < height) {
-                        data[index - 4 + width * 4 + c] += error * (3 / 16);
-                    }
-                    if (y + 1 < height) {
-                        data[index + width * 4 + c] += error * (5 / 16);
-                    }
-                    if (x + 1 < width && y + 1 < height) {
-                        data[index + 4 + width * 4 + c] += error * (1 / 16);
+    function buildSettingsPanel(container, controls, onChange) {
+        const inputs = {};
+        for (const control of controls) {
+            const {key, label, min, max, step} = control;
+            const row = document.createElement("label");
+            row.className = "setting";
+            row.textContent = label;
+
+            if (control.options) {
+                const select = document.createElement("select");
+                for (const [value, optionLabel] of control.options) {
+                    select.appendChild(new Option(optionLabel, value));
+                }
+                select.value = settings[key];
+                select.addEventListener("change", () => onChange(key, select.value));
+                row.append(select);
+                inputs[key] = value => {
+                    // Options may have been added since (e.g. uploaded fonts).
+                    for (const [option, optionLabel] of control.options.slice(select.options.length)) {
+                        select.appendChild(new Option(optionLabel, option));
                     }
+                    select.value = value;
+                };
+            } else if (control.type === "checkbox") {
+                const checkbox = document.createElement("input");
+                checkbox.type = "checkbox";
+                checkbox.checked = settings[key];
+                checkbox.addEventListener("change", () => onChange(key, checkbox.checked));
+                row.append(checkbox);
+                inputs[key] = value => {
+                    checkbox.checked = value;
+                };
+            } else {
+                const slider = document.createElement("input");
+                slider.type = "range";
+                const number = document.createElement("input");
+                number.type = "number";
+                for (const input of [slider, number]) {
+                    input.min = String(min);
+                    input.max = String(max);
+                    input.step = String(step);
+                    input.value = String(settings[key]);
+                    input.addEventListener("input", () => {
+                        const value = Number(input.value);
+                        if (input.value === "" || !Number.isFinite(value)) return;
+                        // Keep the other input of the pair in sync.
+                        slider.value = number.value = input.value;
+                        onChange(key, value);
+                    });
                 }
+                row.append(slider, number);
+                inputs[key] = value => {
+                    slider.value = number.value = String(value);
+                };
             }
+            container.appendChild(row);
         }
-        const output = new Uint8ClampedArray(data.length);
-        for (let i = 0; i < data.length; i++) {
-            output[i] = Math.max(0, Math.min(255, data[i]));
-        }
-        return new ImageData(output, width, height);
+        return inputs;
     }
 
     /**
-     * Applies noise as the final step to the image for a grainy texture effect.
-     * Inspired by SVG turbulence filters but implemented directly with canvas.
+     * Shows the values of the active settings in the settings panel.
      */
-    function applyNoise(ctx, width, height, noiseOpacity = 0.08, noiseScale = 50) {
-        // Create a temporary canvas for the noise
-        const noiseCanvas = document.createElement('canvas');
-        noiseCanvas.width = width;
-        noiseCanvas.height = height;
-        const noiseCtx = noiseCanvas.getContext('2d');
-
-        // Generate a noise pattern
-        const noiseData = noiseCtx.createImageData(width, height);
-        const data = noiseData.data;
-
-        // Create Perlin-like noise
-        for (let i = 0; i < data.length; i += 4) {
-            // Generate random RGB values with a fine-grain texture
-            // We use Perlin-like noise by combining multiple frequencies
-            const x = (i / 4) % width;
-            const y = Math.floor((i / 4) / width);
-
-            // Create more organic looking noise with some structure
-            const baseVal = Math.random() * 255;
-            // Add some variation with sine functions at different frequencies
-            const noise =
-                Math.sin(x * 0.07) * Math.cos(y * 0.05) * 15 +
-                Math.sin(x * 0.15) * Math.cos(y * 0.12) * 10 +
-                (Math.random() - 0.5) * 255 * noiseScale;
-
-            const noiseVal = Math.floor(baseVal + noise);
-
-            // Keep RGB values the same for a grayscale effect
-            data[i] = noiseVal;     // Red
-            data[i + 1] = noiseVal; // Green
-            data[i + 2] = noiseVal; // Blue
-
-            // Set alpha for the noise intensity
-            data[i + 3] = 255;
+    function updateSettingsPanel() {
+        for (const [key, show] of Object.entries(settingInputs)) {
+            show(settings[key]);
         }
+    }
 
-        // Apply the noise to the noise canvas
-        noiseCtx.putImageData(noiseData, 0, 0);
+    /**
+     * Returns the default settings overridden by any valid setting found in the page URL.
+     * The layers and stages are stored as JSON. Links from before the chain of stages carry the settings of
+     * the fixed pipeline instead, which are read into the default chain.
+     */
+    function readSettingsFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const values = {};
+        for (const [key, param] of params) {
+            const control = settingControls.find(candidate => candidate.key === key);
+            if (key === "layers" || key === "stages") {
+                try {
+                    values[key] = JSON.parse(param);
+                } catch {
+                    // Keep the defaults.
+                }
+            } else if (control?.options) {
+                values[key] = param;
+            } else if (param === "true" || param === "false") {
+                // Checkboxes are stored as "true" or "false", numbers as text.
+                values[key] = param === "true";
+            } else {
+                values[key] = param.trim() !== "" && Number.isFinite(Number(param)) ? Number(param) : param;
+            }
+        }
+        return normalizeSettings(values);
+    }
 
-        // Get the original image from the final canvas
-        const originalImageData = ctx.getImageData(0, 0, width, height);
-        const originalData = originalImageData.data;
+    /**
+     * Restores the seed, palette, settings, export size, artist and title read from an exported image
+     * and renders it again.
+     */
+    function applyMetadata(metadata) {
+        artistInput.value = metadata.artist || "";
+        titleInput.value = metadata.title || "";
+        applyJob(metadata, "From image");
+    }
 
-        // Blend the noise with the original image
-        for (let i = 0; i < originalData.length; i += 4) {
-            // Get noise pixel value (grayscale, so just use R channel)
-            const noiseVal = data[i];
+    /**
+     * Makes the seed, palette, settings and frame (if it has a width and height) of a job the active ones and
+     * renders it. A palette that differs from the active one is loaded into the palette editor under the given
+     * name. Unknown or invalid settings keep their default values.
+     */
+    function applyJob(job, paletteName) {
+        if (isFrameSize(job)) {
+            setFrame({width: job.width, height: job.height});
+        }
+        if (typeof job.artist === "string" && typeof job.title === "string") {
+            artistInput.value = job.artist;
+            titleInput.value = job.title;
+        }
+        settings = normalizeSettings(job.settings);
+        updateSettingsPanel();
+        layerEditor.setLayers(settings.layers);
+        chainEditor.setStages(settings.stages);
+
+        const colors = Array.isArray(job.palette) ? job.palette.map(normalizeHex).filter(Boolean) : [];
+        if (colors.length > 0 && colors.join() !== colorPalette.join()) {
+            // Also sets colorPalette (and schedules a render, replaced by the one below).
+            paletteEditor.setPalette({name: paletteName, colors});
+        }
+        renderWithSeed(job.seed);
+    }
 
-            // Blend noise with the original image
-            // Using screen blend mode for lighter noise on darker areas
-            for (let c = 0; c < 3; c++) {
-                // Apply noise with controlled opacity
-                originalData[i + c] = Math.min(255,
-                    originalData[i + c] + (noiseVal - 128) * noiseOpacity);
+    /**
+     * Makes {width, height} the frame covers are rendered and exported in: selects its format and, unless
+     * the size is being typed in, shows it in the size inputs, and sizes the preview canvases to its aspect
+     * ratio. The next render shows it.
+     */
+    function setFrame({width, height}, showSize = true) {
+        frame = {width, height};
+        frameFormatSelect.value = formatName(width, height);
+        if (showSize) {
+            exportWidthInput.value = String(width);
+            exportHeightInput.value = String(height);
+        }
+        ({width: finalWidth, height: finalHeight} = fitSize(width, height, previewSize));
+        for (const canvas of [finalCanvas, blurMapCanvas, guidesCanvas]) {
+            if (canvas.width !== finalWidth || canvas.height !== finalHeight) {
+                canvas.width = finalWidth;
+                canvas.height = finalHeight;
             }
         }
+    }
 
-        // Apply the final blended image back to the canvas
-        ctx.putImageData(originalImageData, 0, 0);
+    /**
+     * Returns whether {width, height} is a whole number of pixels from minFrameSize to maxFrameSize each.
+     */
+    function isFrameSize({width, height}) {
+        return [width, height].every(side => Number.isInteger(side) && side >= minFrameSize && side <= maxFrameSize);
+    }
+
+    /**
+     * Returns the {size} of a file name: the width of a square {width, height}, otherwise "<width>x<height>".
+     */
+    function sizeLabel({width, height}) {
+        return width === height ? String(width) : width + "x" + height;
     }
 
-    // --- Helper functions for refined color selection ---
+    /**
+     * Fills in the {artist}, {title}, {seed} and {size} placeholders of a file name template. Characters that
+     * are not allowed in file names are replaced, and separators left over by empty values are removed.
+     */
+    function formatFileName(template, values) {
+        const name = template
+            .replace(/\{(\w+)\}/g, (match, key) => key in values ? String(values[key]) : match)
+            .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, "_")
+            .replace(/([-_ .])[-_ .]+/g, "$1")
+            .replace(/^[-_ .]+|[-_ .]+$/g, "");
+        return name || "album-art-" + values.seed;
+    }
 
     /**
-     * Converts a hex color string to an RGB object.
+     * Reads a reference image file at a reduced size and makes its dominant colors the active palette.
      */
-    function hexToRGB(hex) {
-        // Remove the leading '#' if present.
-        hex = hex.replace(/^#/, '');
-        if (hex.length === 3) {
-            hex = hex.split('').map(c => c + c).join('');
+    async function loadReferenceImage(file) {
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(file);
+        } catch {
+            alert("Could not read the image " + file.name);
+            return;
         }
-        const num = parseInt(hex, 16);
-        return {
-            r: (num >> 16) & 255,
-            g: (num >> 8) & 255,
-            b: num & 255
+        const scale = Math.min(1, referenceImageMaxSize / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        referenceImage = {
+            name: file.name.replace(/\.[^.]*$/, ""),
+            imageData: ctx.getImageData(0, 0, canvas.width, canvas.height)
         };
+        extractReferencePalette();
+    }
+
+    /**
+     * Extracts the requested number of colors from the reference image into the palette editor.
+     */
+    function extractReferencePalette() {
+        const count = Math.round(Number(extractCountInput.value));
+        if (!referenceImage || !(count >= 1)) return;
+        const colors = extractPalette(referenceImage.imageData, count, extractMethodSelect.value);
+        if (colors.length > 0) {
+            paletteEditor.setPalette({name: referenceImage.name, colors});
+        }
     }
 
     /**
-     * Calculates the brightness of a hex color.
-     * Uses the luminance formula.
+     * Returns the artist and title set on the cover (and written into exported files).
      */
-    function getBrightness(hex) {
-        const {r, g, b} = hexToRGB(hex);
-        // Standard luminance formula.
-        return 0.299 * r + 0.587 * g + 0.114 * b;
+    function currentText() {
+        return {artist: artistInput.value.trim(), title: titleInput.value.trim()};
     }
 
     /**
-     * Returns a sorted copy of the palette based on brightness (ascending).
+     * Makes an uploaded font file available for the text: checks that it loads, sends it to every renderer
+     * and selects it. The font is named after its file and kept for the session.
      */
-    function getSortedPalette(palette) {
-        return palette.slice().sort((a, b) => getBrightness(a) - getBrightness(b));
+    async function loadFontFile(file) {
+        const family = file.name.replace(/\.[^.]*$/, "").replace(/['"\\]/g, "").trim() || "Uploaded font";
+        const data = await file.arrayBuffer();
+        try {
+            await new FontFace(family, data).load();
+        } catch {
+            alert("The file is not a font the browser can read: " + file.name);
+            return;
+        }
+        for (const target of renderers) {
+            target.addFont(family, data);
+        }
+        const value = `'${family}', sans-serif`;
+        registerFontFamily(value, family + " (uploaded)");
+        settingInputs.textFont(value);
+        changeSetting("textFont", value);
     }
 
     /**
-     * Returns two adjacent colors from the sorted palette as gradient colors.
+     * Returns the palette shared in the page URL ("?palette=d8b12b-6493da-…"), or null if there is none.
      */
-    function getGradientColors(sortedPalette) {
-        // Ensure we have at least 2 colors.
-        if (sortedPalette.length < 2) return [sortedPalette[0], sortedPalette[0]];
-        // Choose a random index between 0 and length-2.
-        const index = Math.floor(Math.random() * (sortedPalette.length - 1));
-        return [sortedPalette[index], sortedPalette[index + 1]];
+    function readPaletteFromURL() {
+        const param = new URLSearchParams(window.location.search).get("palette");
+        const colors = param ? param.split("-").map(normalizeHex).filter(Boolean) : [];
+        return colors.length > 0 ? colors : null;
     }
 
     /**
-     * Returns one or two contrasting colors from the sorted palette.
-     * If the average brightness of the gradient is below 128 (darker),
-     * choose from the brighter half; otherwise, choose from the darker half.
-     * Returns an array of one or two colors.
+     * Returns a function that runs fn only once no call has happened for the given delay (in milliseconds).
      */
-    function getContrastingColors(sortedPalette, gradientBrightness) {
-        const mid = sortedPalette.length / 2;
-        let candidatePalette;
-        if (gradientBrightness < 128) {
-            // Background is dark; choose brighter colors.
-            candidatePalette = sortedPalette.slice(Math.floor(mid));
-        } else {
-            // Background is light; choose darker colors.
-            candidatePalette = sortedPalette.slice(0, Math.floor(mid));
-        }
-        // Return one or two colors randomly.
-        const color1 = candidatePalette[Math.floor(Math.random() * candidatePalette.length)];
-        const color2 = candidatePalette[Math.floor(Math.random() * candidatePalette.length)];
-        return [color1, color2];
+    function debounce(fn, delay) {
+        let timer = null;
+        return (...args) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => fn(...args), delay);
+        };
     }
-});
\ No newline at end of file
+});
@@ -0,0 +1,219 @@
+// The look-defining settings of a cover: their defaults, the controls that edit them and validation of
+// settings read from URLs, files and embedded metadata. Shared by the page and the command line.
+
+import {defaultLayout, normalizeLayout} from "./shapes.js";
+import {noiseTypes} from "./noise.js";
+import {contrastFallbacks, contrastMethods, gradientSpaces} from "./palette.js";
+import {fontFamilies, textAnchors, textColorModes} from "./text.js";
+import {defaultChain, normalizeChain} from "./filters.js";
+
+// Default values of every look-defining setting. The pipeline reads them from the `settings` object.
+export const defaultSettings = {
+    // Post-processing stages the shapes go through (see filters.js): blur, contrast, dither, reblur and grain
+    stages: defaultChain,
+
+    // Noise field the blur radius of every blur follows (see noise.js), and its frequency (per preview pixel).
+    // The original sines by default, so covers shared before the other noise types existed look the same.
+    blurNoiseType: "sines",
+    blurNoiseFrequency: 0.01,
+
+    // Layers of shapes (the two-ellipse layout by default)
+    layers: defaultLayout,
+
+    // Global shape parameters:
+    minEllipseSize: 160 * 2,        // Minimum base size (in pixels)
+    maxEllipseSize: 200 * 2,        // Maximum base size (in pixels)
+    // Donut parameters: a shape's center will be between these radii from canvas center.
+    donutInnerRadius: 150 * 2,      // Minimum offset from the center (in pixels)
+    donutOuterRadius: 210 * 2,      // Maximum offset from the center (in pixels)
+    ellipseDeviationFactor: 0.3,    // 0 = perfect circle; higher values allow more deviation
+
+    // Colors of the shapes against the background (see palette.js): how their contrast is measured, the
+    // minimum they must reach by each method (a WCAG ratio, an APCA Lc and an OKLab lightness difference)
+    // and what happens when no palette color does. The classic method by default, so covers shared before
+    // the other methods existed look the same.
+    contrastMethod: "brightness",
+    minContrastWcag: 3,
+    minContrastApca: 30,
+    minContrastOklab: 30,
+    contrastFallback: "adjust",
+    // Color space the background and shape gradients are interpolated in (sRGB, the original, by default)
+    gradientSpace: "srgb",
+
+    // Noise field giving the grain its structure, and its frequency (per preview pixel); "sines" is the
+    // original grain, which has fixed frequencies
+    grainNoiseType: "sines",
+    grainNoiseFrequency: 0.1,
+
+    // Fractal layers (fBm) of both noise fields: count, frequency ratio and amplitude ratio between layers
+    noiseOctaves: 4,
+    noiseLacunarity: 2,
+    noiseGain: 0.5,
+
+    // Artist and title set on the cover (see text.js): font, weight, sizes (in pixels) and tracking
+    // (in thousandths of an em)
+    textEnabled: false,
+    textFont: "sans-serif",
+    textWeight: "700",
+    artistSize: 28,
+    titleSize: 44,
+    textTracking: 0,
+    // Alignment of the lines, position of the block in the safe area and the safe area's margin (in pixels)
+    textAlign: "left",
+    textAnchor: "bottom-left",
+    textSafeArea: 40,
+    textColor: "auto",
+    // Draw the text before the first dither or grain stage, so it gets dithered and grained like the shapes
+    textUnderGrain: false,
+
+    // Movement over one loop of an animation (in pixels): the largest radius of the shapes' circles, and the
+    // radius of the circles the blur map and the grain drift round
+    animationMotion: 24,
+    animationBlurDrift: 80,
+    animationGrainDrift: 12
+};
+
+// Controls shown in the settings panel, one per setting: a slider and a number input for a number,
+// a select for a setting with `options` ([value, label] pairs), a checkbox for a "checkbox" setting.
+// Controls with a `group` are shown in that group's panel instead.
+export const settingControls = [
+    {key: "blurNoiseType", label: "Blur map noise", options: Object.entries(noiseTypes)},
+    {key: "blurNoiseFrequency", label: "Blur map frequency", min: 0.001, max: 0.05, step: 0.001},
+    {key: "minEllipseSize", label: "Min shape size", min: 0, max: 800, step: 1},
+    {key: "maxEllipseSize", label: "Max shape size", min: 0, max: 800, step: 1},
+    {key: "donutInnerRadius", label: "Donut inner radius", min: 0, max: 800, step: 1},
+    {key: "donutOuterRadius", label: "Donut outer radius", min: 0, max: 800, step: 1},
+    {key: "ellipseDeviationFactor", label: "Shape deviation", min: 0, max: 1, step: 0.01},
+    {key: "contrastMethod", label: "Shape contrast",
+        options: Object.entries(contrastMethods).map(([value, {label}]) => [value, label])},
+    {key: "minContrastWcag", label: "Minimum WCAG ratio", min: 1, max: 21, step: 0.1},
+    {key: "minContrastApca", label: "Minimum APCA Lc", min: 0, max: 108, step: 0.5},
+    {key: "minContrastOklab", label: "Minimum OKLab difference", min: 0, max: 100, step: 0.5},
+    {key: "contrastFallback", label: "Below the minimum", options: Object.entries(contrastFallbacks)},
+    {key: "gradientSpace", label: "Gradient interpolation", options: Object.entries(gradientSpaces)},
+    {key: "grainNoiseType", label: "Grain noise", options: Object.entries(noiseTypes)},
+    {key: "grainNoiseFrequency", label: "Grain frequency", min: 0.005, max: 0.5, step: 0.005},
+    {key: "noiseOctaves", label: "Noise octaves", min: 1, max: 8, step: 1},
+    {key: "noiseLacunarity", label: "Noise lacunarity", min: 1, max: 4, step: 0.05},
+    {key: "noiseGain", label: "Noise gain", min: 0, max: 1, step: 0.01},
+    {key: "textEnabled", label: "Draw artist and title", type: "checkbox", group: "text"},
+    // Uploaded fonts are added to the same list.
+    {key: "textFont", label: "Font", options: fontFamilies, group: "text"},
+    {key: "textWeight", label: "Weight", options: [["400", "Regular"], ["700", "Bold"]], group: "text"},
+    {key: "artistSize", label: "Artist size", min: 4, max: 200, step: 1, group: "text"},
+    {key: "titleSize", label: "Title size", min: 4, max: 200, step: 1, group: "text"},
+    {key: "textTracking", label: "Tracking", min: -100, max: 500, step: 5, group: "text"},
+    {key: "textAlign", label: "Alignment", options: [["left", "Left"], ["center", "Center"], ["right", "Right"]],
+        group: "text"},
+    {key: "textAnchor", label: "Position",
+        options: Object.entries(textAnchors).map(([value, {label}]) => [value, label]), group: "text"},
+    {key: "textSafeArea", label: "Safe area margin", min: 0, max: 200, step: 1, group: "text"},
+    {key: "textColor", label: "Color", options: Object.entries(textColorModes), group: "text"},
+    {key: "textUnderGrain", label: "Under grain and dither", type: "checkbox", group: "text"},
+    {key: "animationMotion", label: "Shape motion", min: 0, max: 200, step: 1, group: "animation"},
+    {key: "animationBlurDrift", label: "Blur map drift", min: 0, max: 400, step: 1, group: "animation"},
+    {key: "animationGrainDrift", label: "Grain drift", min: 0, max: 100, step: 1, group: "animation"}
+];
+
+// Settings of the fixed pipeline that came before the chain of stages, as [setting, indices of the stages of
+// the default chain it maps to, parameter]. Older links and files are read through them.
+const legacySettings = [
+    ["minBlurRadius", [0], "minRadius"],
+    ["maxBlurRadius", [0], "maxRadius"],
+    ["blurPasses", [0, 3], "passes"],
+    ["contrastFactor", [1], "factor"],
+    ["ditherMethod", [2], "method"],
+    ["ditherSerpentine", [2], "serpentine"],
+    ["ditherShades", [2], "shades"],
+    ["ditherToPalette", [2], "toPalette"],
+    ["secondMinBlurRadius", [3], "minRadius"],
+    ["secondMaxBlurRadius", [3], "maxRadius"],
+    ["noiseOpacity", [4], "opacity"],
+    ["noiseScale", [4], "noiseScale"]
+];
+
+// Palettes that are always available in the palette editor; "Default" is the palette of a fresh page.
+export const builtInPalettes = {
+    "Default": [
+        "#d8b12b",
+        "#6493da",
+        "#5d5ac9",
+        "#4dab6d"
+    ],
+    "Slate": [
+        "#d3dbd8",
+        "#a0bdca",
+        "#65948b",
+        "#365b67",
+        "#303a47",
+        "#384e53",
+        "#2a3639",
+        "#080c10"
+    ]
+};
+
+/**
+ * Returns the value if it is valid for the given setting control, otherwise undefined. Numbers are clamped to
+ * the control's range, and rounded if its step is a whole number.
+ */
+export function validSettingValue(control, value) {
+    if (control.options) {
+        return control.options.some(([option]) => option === value) ? value : undefined;
+    }
+    if (control.type === "checkbox") {
+        return typeof value === "boolean" ? value : undefined;
+    }
+    if (typeof value !== "number" || !Number.isFinite(value)) return undefined;
+    const clamped = Math.max(control.min, Math.min(control.max, value));
+    return Number.isInteger(control.step) ? Math.round(clamped) : clamped;
+}
+
+/**
+ * Returns the default settings overridden by every valid setting of the given object (which may be missing).
+ * Unknown or invalid settings keep their default values, and numbers are kept within their control's range.
+ * Settings without stages get the default chain with the settings of the fixed pipeline that came before it. The single minContrast of older settings becomes the
+ * minimum of their contrast method, within its range.
+ */
+export function normalizeSettings(values) {
+    const result = {...defaultSettings};
+    for (const control of settingControls) {
+        const value = validSettingValue(control, values?.[control.key]);
+        if (value !== undefined) {
+            result[control.key] = value;
+        }
+    }
+    const minContrastSetting = contrastMethods[result.contrastMethod].minContrastSetting;
+    if (minContrastSetting && values?.[minContrastSetting] === undefined) {
+        const control = settingControls.find(control => control.key === minContrastSetting);
+        result[minContrastSetting] = validSettingValue(control, values?.minContrast) ?? result[minContrastSetting];
+    }
+    result.layers = normalizeLayout(values?.layers) || defaultSettings.layers;
+    result.stages = normalizeChain(values?.stages) || legacyChain(values);
+    return result;
+}
+
+/**
+ * Returns the default chain with the stages' parameters taken from the settings of the fixed pipeline.
+ */
+function legacyChain(values) {
+    const stages = defaultChain.map(stage => ({...stage}));
+    for (const [key, indices, param] of legacySettings) {
+        if (values?.[key] === undefined) continue;
+        for (const index of indices) {
+            stages[index][param] = key === "ditherShades" ? legacyDitherShades(values) : values[key];
+        }
+    }
+    return normalizeChain(stages);
+}
+
+/**
+ * Returns the number of dither levels of the settings' ditherShades. It started out as the divisor of the
+ * quantisation step (4000 / (ditherShades - 1), so 80 gave 6 levels) and became the number of levels together
+ * with the other dither settings; settings without any of those are read as the divisor.
+ */
+function legacyDitherShades(values) {
+    const shades = values.ditherShades;
+    const levels = ["ditherMethod", "ditherSerpentine", "ditherToPalette"].some(key => values[key] !== undefined);
+    if (levels || typeof shades !== "number" || !(shades > 1)) return shades;
+    return Math.max(2, Math.floor(255 * (shades - 1) / 4000) + 1);
+}
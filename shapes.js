@@ -0,0 +1,495 @@
+// Shapes of a cover: the gradient background and the layers of shapes drawn on it.
+// All random decisions are made once, when the composition is generated; drawing a composition is
+// deterministic, so it can be redrawn at any scale or in tiles and always gives the same picture.
+// Drawing works with any 2D context (a canvas, an OffscreenCanvas in the render worker, ...).
+//
+// A layout is a list of layers, each {shape, placement, fill, blend, count, size}: `count` shapes of one
+// type, positioned by a placement rule, filled with a flat color or a gradient and composited with a blend
+// mode. Shape types, placements and fills live in registries, so new ones can be added with register*().
+
+import {contrastMethods, getGradientColors, gradientStops, pickContrastingColors} from "./palette.js";
+
+/**
+ * Shape types by name. create(placed, context, random) turns a placed {x, y, size} into a shape
+ * {centerX, centerY, radiusX, radiusY, ...} (radiusX and radiusY give its extent before any rotation);
+ * trace(ctx, shape) adds its outline to the current path. fillRule is "nonzero" unless given.
+ */
+export const shapeTypes = {};
+
+/**
+ * Placement rules by name: place(context, random) returns {x, y, size}, the center and base radius of a
+ * shape. context is {width, height, config, parent, index, count, layer}; parent is the shape of the
+ * previous layer this one is placed relative to (or null).
+ */
+export const placements = {};
+
+/**
+ * Fill modes by name: create(colors, shape, random) returns the fill of a shape from two contrasting colors.
+ */
+export const fillModes = {};
+
+/**
+ * Blend modes offered for layers, mapped to canvas composite operations.
+ */
+export const blendModes = {
+    "normal": "source-over",
+    "multiply": "multiply",
+    "screen": "screen",
+    "overlay": "overlay",
+    "darken": "darken",
+    "lighten": "lighten",
+    "color-dodge": "color-dodge",
+    "color-burn": "color-burn",
+    "hard-light": "hard-light",
+    "soft-light": "soft-light",
+    "difference": "difference",
+    "exclusion": "exclusion",
+    "hue": "hue",
+    "saturation": "saturation",
+    "color": "color",
+    "luminosity": "luminosity"
+};
+
+export function registerShapeType(name, definition) {
+    shapeTypes[name] = definition;
+}
+
+export function registerPlacement(name, definition) {
+    placements[name] = definition;
+}
+
+export function registerFillMode(name, definition) {
+    fillModes[name] = definition;
+}
+
+// Largest number of shapes in one layer
+export const maxLayerCount = 64;
+
+/**
+ * Built-in layouts. "Two ellipses" is the original cover: a gradient ellipse around the center and
+ * a smaller flat ellipse inside it.
+ */
+export const layoutPresets = {
+    "Two ellipses": [
+        {shape: "ellipse", placement: "donut", fill: "radial", blend: "normal", count: 1, size: 1},
+        {shape: "ellipse", placement: "inside-parent", fill: "flat", blend: "normal", count: 1, size: 1}
+    ],
+    "Rings": [
+        {shape: "ring", placement: "donut", fill: "conic", blend: "normal", count: 2, size: 0.8},
+        {shape: "ellipse", placement: "inside-parent", fill: "radial", blend: "screen", count: 2, size: 1}
+    ],
+    "Grid": [
+        {shape: "rect", placement: "grid", fill: "linear", blend: "normal", count: 9, size: 1},
+        {shape: "ellipse", placement: "inside-parent", fill: "flat", blend: "multiply", count: 9, size: 1}
+    ],
+    "Blobs": [
+        {shape: "blob", placement: "random", fill: "radial", blend: "normal", count: 3, size: 0.7},
+        {shape: "blob", placement: "inside-parent", fill: "flat", blend: "overlay", count: 3, size: 1}
+    ],
+    "Stripes": [
+        {shape: "stripes", placement: "random", fill: "linear", blend: "normal", count: 1, size: 0.6},
+        {shape: "polygon", placement: "donut", fill: "radial", blend: "normal", count: 1, size: 1}
+    ],
+    "Shards": [
+        {shape: "polygon", placement: "random", fill: "conic", blend: "normal", count: 5, size: 0.6},
+        {shape: "rect", placement: "random", fill: "flat", blend: "difference", count: 3, size: 0.4}
+    ]
+};
+
+export const defaultLayout = layoutPresets["Two ellipses"];
+
+/**
+ * Returns a valid copy of the given layout (e.g. read from a URL or a file): unknown shape types are dropped,
+ * other unknown or missing values fall back to their defaults. Returns null if no layer is left.
+ */
+export function normalizeLayout(layers) {
+    if (!Array.isArray(layers)) return null;
+    const result = [];
+    for (const layer of layers) {
+        if (!layer || !shapeTypes[layer.shape]) continue;
+        const count = Math.round(Number(layer.count));
+        const size = Number(layer.size);
+        result.push({
+            shape: layer.shape,
+            placement: placements[layer.placement] ? layer.placement : "random",
+            fill: fillModes[layer.fill] ? layer.fill : "flat",
+            blend: blendModes[layer.blend] ? layer.blend : "normal",
+            count: count >= 1 ? Math.min(count, maxLayerCount) : 1,
+            size: size > 0 ? size : 1
+        });
+    }
+    return result.length > 0 ? result : null;
+}
+
+/**
+ * Generates the composition of the entire hidden canvas using a limited palette.
+ * It fills the canvas with a gradient background and places the shapes of every layer of config.layers
+ * (the two-ellipse layout by default).
+ * For the gradient background, two similar (adjacent) colors are chosen.
+ * For the shapes, contrasting colors are used: ones reaching the method's minimum (e.g. config.minContrastApca)
+ * against the background by config.contrastMethod, or from the opposite half of the palette (see
+ * pickContrastingColors).
+ * Gradients are interpolated in config.gradientSpace (sRGB if missing).
+ * The visible frame lies `margin` pixels inside the canvas on every side; placements adapt to its shape.
+ * Returns {width, height, gradientSpace, background, layers}; coordinates are in pixels of the given width and
+ * height.
+ */
+export function generateLimitedPaletteComposition(width, height, sortedPalette, config, random, margin = 0) {
+    const frame = {width: width - 2 * margin, height: height - 2 * margin};
+    // Choose two adjacent colors for the gradient.
+    const gradientColors = getGradientColors(sortedPalette, random);
+
+    const contrastOptions = {
+        method: config.contrastMethod,
+        minContrast: config[contrastMethods[config.contrastMethod]?.minContrastSetting],
+        fallback: config.contrastFallback
+    };
+
+    const layers = [];
+    let previousShapes = [];
+    for (const layer of config.layers || defaultLayout) {
+        const shapes = [];
+        for (let index = 0; index < layer.count; index++) {
+            // Shapes placed inside a parent cycle through the previous layer's shapes.
+            const parent = previousShapes.length > 0 ? previousShapes[index % previousShapes.length] : null;
+            const context = {width, height, frame, config, parent, index, count: layer.count, layer};
+            const placed = placements[layer.placement].place(context, random);
+            placed.size *= layer.size;
+            const shape = {type: layer.shape, ...shapeTypes[layer.shape].create(placed, context, random)};
+            const contrastColors = pickContrastingColors(sortedPalette, gradientColors, random, contrastOptions);
+            shape.fill = fillModes[layer.fill].create(contrastColors, shape, random);
+            shapes.push(shape);
+        }
+        layers.push({blend: layer.blend, shapes});
+        previousShapes = shapes;
+    }
+
+    return {
+        width,
+        height,
+        gradientSpace: config.gradientSpace || "srgb",
+        background: {colors: gradientColors},
+        layers
+    };
+}
+
+/**
+ * Returns a copy of a composition with every shape moved `phase` (0 to 1) of the way round a small circle of
+ * its own, for animation. Each circle passes through the shape's place, so phase 0 and phase 1 both give the
+ * composition itself and an animation looping the phase is seamless. random picks each circle's radius (up
+ * to `amplitude`), direction and starting angle; the same sequence gives the same circles at every phase.
+ * Fills are positioned relative to their shape's center, so they move along.
+ */
+export function animateComposition(composition, phase, amplitude, random) {
+    const layers = composition.layers.map(({blend, shapes}) => ({
+        blend,
+        shapes: shapes.map(shape => {
+            const radius = amplitude * (0.5 + random() * 0.5);
+            const direction = random() < 0.5 ? -1 : 1;
+            const start = random() * 2 * Math.PI;
+            const angle = start + direction * phase * 2 * Math.PI;
+            return {
+                ...shape,
+                centerX: shape.centerX + radius * (Math.cos(angle) - Math.cos(start)),
+                centerY: shape.centerY + radius * (Math.sin(angle) - Math.sin(start))
+            };
+        })
+    }));
+    return {...composition, layers};
+}
+
+/**
+ * Draws a composition on the provided context, scaled by the given factor.
+ * The context's current transform is kept, so a caller can translate it to draw only a tile.
+ */
+export function drawComposition(ctx, composition, scale = 1) {
+    const {width, height, gradientSpace, background, layers} = composition;
+    ctx.save();
+    ctx.scale(scale, scale);
+
+    // Fill the canvas with the diagonal background gradient.
+    const grad = ctx.createLinearGradient(0, 0, width, height);
+    for (const [offset, color] of gradientStops(background.colors, gradientSpace)) {
+        grad.addColorStop(offset, color);
+    }
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, width, height);
+
+    for (const {blend, shapes} of layers) {
+        ctx.globalCompositeOperation = blendModes[blend] || "source-over";
+        for (const shape of shapes) {
+            const type = shapeTypes[shape.type];
+            ctx.beginPath();
+            type.trace(ctx, shape);
+            ctx.fillStyle = fillStyle(ctx, shape, gradientSpace);
+            ctx.fill(type.fillRule || "nonzero");
+        }
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Returns the canvas fill style (a color or a gradient interpolated in gradientSpace) of a shape's fill.
+ */
+function fillStyle(ctx, shape, gradientSpace) {
+    const {centerX, centerY, fill} = shape;
+    let gradient;
+    if (fill.type === "radial") {
+        gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, fill.radius);
+    } else if (fill.type === "linear") {
+        const dx = Math.cos(fill.angle) * fill.radius;
+        const dy = Math.sin(fill.angle) * fill.radius;
+        gradient = ctx.createLinearGradient(centerX - dx, centerY - dy, centerX + dx, centerY + dy);
+    } else if (fill.type === "conic") {
+        gradient = ctx.createConicGradient(fill.angle, centerX, centerY);
+    } else {
+        return fill.color;
+    }
+    for (const [offset, color] of gradientStops(fill.colors, gradientSpace)) {
+        gradient.addColorStop(offset, color);
+    }
+    return gradient;
+}
+
+// --- Shape types ---
+
+registerShapeType("ellipse", {
+    label: "Ellipse",
+    create: ({x, y, size}, {config}, random) => ({
+        centerX: x,
+        centerY: y,
+        ...deviatedRadii(size, config, random)
+    }),
+    trace(ctx, {centerX, centerY, radiusX, radiusY}) {
+        ctx.ellipse(centerX, centerY, radiusX, radiusY, 0, 0, 2 * Math.PI);
+    }
+});
+
+registerShapeType("rect", {
+    label: "Rotated rectangle",
+    create: ({x, y, size}, {config}, random) => ({
+        centerX: x,
+        centerY: y,
+        ...deviatedRadii(size, config, random),
+        rotation: random() * Math.PI
+    }),
+    trace(ctx, shape) {
+        const {radiusX, radiusY} = shape;
+        tracePoints(ctx, shape, [[-radiusX, -radiusY], [radiusX, -radiusY], [radiusX, radiusY], [-radiusX, radiusY]]);
+    }
+});
+
+registerShapeType("polygon", {
+    label: "Polygon",
+    create: ({x, y, size}, {config}, random) => ({
+        centerX: x,
+        centerY: y,
+        ...deviatedRadii(size, config, random),
+        rotation: random() * 2 * Math.PI,
+        // 3 to 8 corners
+        sides: 3 + Math.floor(random() * 6)
+    }),
+    trace(ctx, shape) {
+        const {radiusX, radiusY, sides} = shape;
+        const points = [];
+        for (let i = 0; i < sides; i++) {
+            const angle = i / sides * 2 * Math.PI;
+            points.push([radiusX * Math.cos(angle), radiusY * Math.sin(angle)]);
+        }
+        tracePoints(ctx, shape, points);
+    }
+});
+
+registerShapeType("blob", {
+    label: "Bezier blob",
+    create({x, y, size}, {config}, random) {
+        const radii = deviatedRadii(size, config, random);
+        // The outline passes through 5 to 8 points at irregular distances from the center.
+        const pointCount = 5 + Math.floor(random() * 4);
+        const offsets = [];
+        for (let i = 0; i < pointCount; i++) {
+            offsets.push(0.7 + random() * 0.45);
+        }
+        return {centerX: x, centerY: y, ...radii, rotation: random() * 2 * Math.PI, offsets};
+    },
+    trace(ctx, shape) {
+        const {radiusX, radiusY, offsets} = shape;
+        const points = offsets.map((offset, i) => {
+            const angle = i / offsets.length * 2 * Math.PI;
+            return transformPoint(shape, radiusX * offset * Math.cos(angle), radiusY * offset * Math.sin(angle));
+        });
+        // A closed Catmull-Rom spline through the points, drawn as cubic Bézier curves.
+        const n = points.length;
+        ctx.moveTo(points[0][0], points[0][1]);
+        for (let i = 0; i < n; i++) {
+            const [x0, y0] = points[(i - 1 + n) % n];
+            const [x1, y1] = points[i];
+            const [x2, y2] = points[(i + 1) % n];
+            const [x3, y3] = points[(i + 2) % n];
+            ctx.bezierCurveTo(x1 + (x2 - x0) / 6, y1 + (y2 - y0) / 6, x2 - (x3 - x1) / 6, y2 - (y3 - y1) / 6, x2, y2);
+        }
+        ctx.closePath();
+    }
+});
+
+registerShapeType("ring", {
+    label: "Ring",
+    fillRule: "evenodd",
+    create: ({x, y, size}, {config}, random) => ({
+        centerX: x,
+        centerY: y,
+        ...deviatedRadii(size, config, random),
+        // Inner radius as a share of the outer one
+        innerRatio: 0.4 + random() * 0.45
+    }),
+    trace(ctx, {centerX, centerY, radiusX, radiusY, innerRatio}) {
+        ctx.ellipse(centerX, centerY, radiusX, radiusY, 0, 0, 2 * Math.PI);
+        ctx.moveTo(centerX + radiusX * innerRatio, centerY);
+        ctx.ellipse(centerX, centerY, radiusX * innerRatio, radiusY * innerRatio, 0, 0, 2 * Math.PI);
+    }
+});
+
+registerShapeType("stripes", {
+    label: "Stripes",
+    create: ({x, y, size}, {width, height}, random) => ({
+        centerX: x,
+        centerY: y,
+        // The stripes run across the whole canvas whatever their angle.
+        radiusX: size,
+        radiusY: Math.hypot(width, height),
+        rotation: random() * Math.PI,
+        stripeCount: 3 + Math.floor(random() * 5),
+        // Share of each stripe's period that is filled
+        duty: 0.3 + random() * 0.4
+    }),
+    trace(ctx, shape) {
+        const {radiusX, radiusY, stripeCount, duty} = shape;
+        const period = 2 * radiusX / stripeCount;
+        for (let i = 0; i < stripeCount; i++) {
+            const left = -radiusX + i * period;
+            const right = left + period * duty;
+            tracePoints(ctx, shape, [[left, -radiusY], [right, -radiusY], [right, radiusY], [left, radiusY]]);
+        }
+    }
+});
+
+/**
+ * Returns the radii of a shape of the given base size, one of them deviating by up to ellipseDeviationFactor.
+ */
+function deviatedRadii(size, config, random) {
+    const deviation = (random() * 2 - 1) * config.ellipseDeviationFactor * size;
+    return {radiusX: size, radiusY: size + deviation};
+}
+
+/**
+ * Returns a point given relative to a shape's center, rotated by the shape's rotation, in canvas coordinates.
+ */
+function transformPoint({centerX, centerY, rotation = 0}, x, y) {
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return [centerX + x * cos - y * sin, centerY + x * sin + y * cos];
+}
+
+/**
+ * Adds the closed polygon through the given points (relative to the shape's center) to the path.
+ */
+function tracePoints(ctx, shape, points) {
+    points.forEach(([x, y], index) => {
+        const [px, py] = transformPoint(shape, x, y);
+        if (index === 0) {
+            ctx.moveTo(px, py);
+        } else {
+            ctx.lineTo(px, py);
+        }
+    });
+    ctx.closePath();
+}
+
+// --- Placements ---
+
+registerPlacement("donut", {
+    label: "Donut",
+    // The center is chosen from a donut-shaped region around the canvas center, stretched along the longer
+    // side of a frame that is not square.
+    place({width, height, frame, config}, random) {
+        const {donutInnerRadius, donutOuterRadius, minEllipseSize, maxEllipseSize} = config;
+        const offsetRadius = donutInnerRadius + random() * (donutOuterRadius - donutInnerRadius);
+        const angle = random() * 2 * Math.PI;
+        const shorterSide = Math.min(frame.width, frame.height);
+        return {
+            x: width / 2 + offsetRadius * Math.cos(angle) * frame.width / shorterSide,
+            y: height / 2 + offsetRadius * Math.sin(angle) * frame.height / shorterSide,
+            size: minEllipseSize + random() * (maxEllipseSize - minEllipseSize)
+        };
+    }
+});
+
+registerPlacement("inside-parent", {
+    label: "Inside parent",
+    // The center is a random point inside the parent shape (or the canvas), and the shape is smaller.
+    place({width, height, parent}, random) {
+        const {centerX, centerY, radiusX, radiusY} = parent
+            || {centerX: width / 2, centerY: height / 2, radiusX: width / 2, radiusY: height / 2};
+        // Using square root for uniform distribution within the ellipse, 0.8 to keep it visibly inside
+        const angle = random() * 2 * Math.PI;
+        const radiusFactor = Math.sqrt(random()) * 0.8;
+        const maxSize = Math.min(radiusX, radiusY) * 0.6;
+        return {
+            x: centerX + radiusFactor * radiusX * Math.cos(angle),
+            y: centerY + radiusFactor * radiusY * Math.sin(angle),
+            // Between 40-100% of the largest size
+            size: maxSize * (0.4 + random() * 0.6)
+        };
+    }
+});
+
+registerPlacement("grid", {
+    label: "Grid",
+    // The shapes of the layer fill the cells of a grid with about as many columns per row as the frame is
+    // wider than high, so the cells stay square-ish, slightly off-center.
+    place({width, height, frame, index, count}, random) {
+        const columns = Math.min(count, Math.ceil(Math.sqrt(count * frame.width / frame.height)));
+        const rows = Math.ceil(count / columns);
+        const cellWidth = width / columns;
+        const cellHeight = height / rows;
+        return {
+            x: (index % columns + 0.5 + (random() - 0.5) * 0.2) * cellWidth,
+            y: (Math.floor(index / columns) + 0.5 + (random() - 0.5) * 0.2) * cellHeight,
+            size: Math.min(cellWidth, cellHeight) / 2 * (0.5 + random() * 0.4)
+        };
+    }
+});
+
+registerPlacement("random", {
+    label: "Random",
+    place: ({width, height, config}, random) => ({
+        x: random() * width,
+        y: random() * height,
+        size: config.minEllipseSize + random() * (config.maxEllipseSize - config.minEllipseSize)
+    })
+});
+
+// --- Fill modes ---
+
+registerFillMode("flat", {
+    label: "Flat",
+    create: colors => ({type: "flat", color: colors[0]})
+});
+
+registerFillMode("linear", {
+    label: "Linear gradient",
+    create: (colors, {radiusX, radiusY}, random) =>
+        ({type: "linear", radius: Math.min(radiusX, radiusY), angle: random() * 2 * Math.PI, colors})
+});
+
+registerFillMode("radial", {
+    label: "Radial gradient",
+    create: (colors, {radiusX, radiusY}) => ({type: "radial", radius: (radiusX + radiusY) / 2, colors})
+});
+
+registerFillMode("conic", {
+    label: "Conic gradient",
+    // Ends on the first color again so there is no hard edge.
+    create: (colors, shape, random) => ({type: "conic", angle: random() * 2 * Math.PI, colors: [colors[0], colors[1], colors[0]]})
+});
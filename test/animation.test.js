@@ -0,0 +1,180 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {inflateSync} from "node:zlib";
+import {renderCover} from "../render.js";
+import {defaultSettings} from "../settings.js";
+import {createRasterCanvas} from "../raster.js";
+import {animationPhases} from "../animation.js";
+import {encodeGIF} from "../gif-encoder.js";
+import {encodeAPNG} from "../png-encoder.js";
+
+const job = {seed: "loop", palette: ["#d8b12b", "#6493da", "#5d5ac9", "#4dab6d"], settings: defaultSettings,
+    width: 40, height: 40};
+
+function maxDifference(a, b) {
+    let max = 0;
+    for (let i = 0; i < a.data.length; i++) {
+        max = Math.max(max, Math.abs(a.data[i] - b.data[i]));
+    }
+    return max;
+}
+
+test("the loop starts at the still cover and returns to it", () => {
+    const still = renderCover(job, createRasterCanvas);
+    const start = renderCover({...job, phase: 0}, createRasterCanvas);
+    const middle = renderCover({...job, phase: 0.5}, createRasterCanvas);
+    const end = renderCover({...job, phase: 1}, createRasterCanvas);
+    assert.deepEqual(start.data, still.data);
+    assert.ok(maxDifference(end, still) <= 1);
+    assert.ok(maxDifference(middle, still) > 16);
+});
+
+test("animation phases spread evenly over one loop", () => {
+    assert.deepEqual(animationPhases(1, 4), [0, 0.25, 0.5, 0.75]);
+    assert.deepEqual(animationPhases(0.01, 10), [0]);
+});
+
+/**
+ * Decodes the frames of a GIF written by encodeGIF (global color table, full-size frames) as arrays of
+ * [r, g, b] pixels, with their delays and the loop count.
+ */
+function decodeGIF(bytes) {
+    assert.equal(new TextDecoder().decode(bytes.subarray(0, 6)), "GIF89a");
+    const width = bytes[6] | bytes[7] << 8;
+    const height = bytes[8] | bytes[9] << 8;
+    const tableSize = 2 << (bytes[10] & 7);
+    const colors = bytes.subarray(13, 13 + tableSize * 3);
+    let position = 13 + tableSize * 3;
+    const frames = [];
+    let loops = null;
+    let delay = 0;
+    while (bytes[position] !== 0x3B) {
+        if (bytes[position] === 0x21) {
+            const label = bytes[position + 1];
+            const blocks = readSubBlocks(bytes, position + 2);
+            if (label === 0xF9) delay = blocks.data[1] | blocks.data[2] << 8;
+            if (label === 0xFF) loops = blocks.data[12] | blocks.data[13] << 8;
+            position = blocks.end;
+        } else {
+            assert.equal(bytes[position], 0x2C);
+            const minCodeSize = bytes[position + 10];
+            const blocks = readSubBlocks(bytes, position + 11);
+            const indices = lzwDecode(blocks.data, minCodeSize);
+            assert.equal(indices.length, width * height);
+            frames.push({delay, pixels: indices.map(index => Array.from(colors.subarray(index * 3, index * 3 + 3)))});
+            position = blocks.end;
+        }
+    }
+    return {width, height, frames, loops};
+}
+
+function readSubBlocks(bytes, position) {
+    const data = [];
+    while (bytes[position] !== 0) {
+        data.push(...bytes.subarray(position + 1, position + 1 + bytes[position]));
+        position += bytes[position] + 1;
+    }
+    return {data, end: position + 1};
+}
+
+function lzwDecode(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    let codeSize = minCodeSize + 1;
+    let table = [];
+    let previous = null;
+    const output = [];
+    let bitPosition = 0;
+    while (bitPosition + codeSize <= data.length * 8) {
+        let code = 0;
+        for (let bit = 0; bit < codeSize; bit++, bitPosition++) {
+            code |= (data[bitPosition >> 3] >> (bitPosition & 7) & 1) << bit;
+        }
+        if (code === clearCode) {
+            table = Array.from({length: clearCode + 2}, (_, index) => [index]);
+            codeSize = minCodeSize + 1;
+            previous = null;
+            continue;
+        }
+        if (code === clearCode + 1) break;
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+            if (previous) table.push([...previous, entry[0]]);
+        } else {
+            entry = [...previous, previous[0]];
+            table.push(entry);
+        }
+        output.push(...entry);
+        previous = entry;
+        if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    return output;
+}
+
+function testFrames(width, height, count) {
+    const frames = [];
+    for (let frame = 0; frame < count; frame++) {
+        const data = new Uint8ClampedArray(width * height * 4);
+        // A few colors in an irregular order, so the LZW code table fills up and starts over
+        let state = frame + 1;
+        for (let i = 0; i < width * height; i++) {
+            state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+            const color = (state >>> 16) % 5;
+            data.set([color * 60, 255 - color * 50, color * 20, 255], i * 4);
+        }
+        frames.push({data, width, height});
+    }
+    return frames;
+}
+
+test("GIFs hold every frame losslessly when the colors fit the palette, and loop forever", async () => {
+    const frames = testFrames(120, 90, 3);
+    const gif = decodeGIF(new Uint8Array(await encodeGIF(120, 90, frames, 30).arrayBuffer()));
+    assert.equal(gif.width, 120);
+    assert.equal(gif.height, 90);
+    assert.equal(gif.loops, 0);
+    // 30 frames a second in whole hundredths: 3, 4, 3, …
+    assert.deepEqual(gif.frames.map(frame => frame.delay), [3, 4, 3]);
+    gif.frames.forEach((frame, index) => {
+        const expected = [];
+        for (let i = 0; i < 120 * 90; i++) {
+            expected.push(Array.from(frames[index].data.subarray(i * 4, i * 4 + 3)));
+        }
+        assert.deepEqual(frame.pixels, expected);
+    });
+});
+
+test("animated PNGs number their frame chunks in sequence", async () => {
+    const frames = testFrames(16, 8, 3);
+    const bytes = new Uint8Array(await (await encodeAPNG(16, 8, frames, 25)).arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const chunks = [];
+    for (let position = 8; position < bytes.length;) {
+        const length = view.getUint32(position);
+        const type = new TextDecoder().decode(bytes.subarray(position + 4, position + 8));
+        chunks.push({type, data: bytes.subarray(position + 8, position + 8 + length)});
+        position += 12 + length;
+    }
+    const types = chunks.map(chunk => chunk.type);
+    assert.deepEqual(types.slice(0, 4), ["IHDR", "acTL", "fcTL", "IDAT"]);
+    assert.equal(types.at(-1), "IEND");
+
+    const animationControl = chunks.find(chunk => chunk.type === "acTL").data;
+    assert.equal(new DataView(animationControl.buffer, animationControl.byteOffset).getUint32(0), 3);
+
+    // fcTL and fdAT chunks share one sequence; each frame lasts 1/25 s
+    const sequenced = chunks.filter(chunk => chunk.type === "fcTL" || chunk.type === "fdAT");
+    sequenced.forEach((chunk, index) => {
+        const data = new DataView(chunk.data.buffer, chunk.data.byteOffset);
+        assert.equal(data.getUint32(0), index);
+        if (chunk.type === "fcTL") {
+            assert.equal(data.getUint16(20), 1);
+            assert.equal(data.getUint16(22), 25);
+        }
+    });
+
+    // The last frame's data decompresses to filtered RGB rows
+    const lastFrame = chunks.slice(types.lastIndexOf("fcTL") + 1).filter(chunk => chunk.type === "fdAT");
+    const inflated = inflateSync(Buffer.concat(lastFrame.map(chunk => chunk.data.subarray(4))));
+    assert.equal(inflated.length, 8 * (1 + 16 * 3));
+});
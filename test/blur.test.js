@@ -0,0 +1,118 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {separableBoxBlurImageData, variableBoxBlurImageData} from "../pipeline.js";
+
+/**
+ * A smooth gradient background with a hard-edged disc, similar to the shapes the pipeline blurs.
+ */
+function discImage(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = (y * width + x) * 4;
+            const inside = (x - width / 2) ** 2 + (y - height / 2) ** 2 < (height / 3) ** 2;
+            data.set(inside ? [220, 40, 90, 255] : [x % 256, y % 256, 200, 255], index);
+        }
+    }
+    return {data, width, height};
+}
+
+function differences(a, b) {
+    let max = 0;
+    let sum = 0;
+    for (let i = 0; i < a.data.length; i++) {
+        const difference = Math.abs(a.data[i] - b.data[i]);
+        max = Math.max(max, difference);
+        sum += difference;
+    }
+    return {max, mean: sum / a.data.length};
+}
+
+/**
+ * Gaussian blur with edge-clipped, renormalized kernels, used as the reference for the multi-pass mode.
+ */
+function gaussianBlur({data, width, height}, sigma) {
+    const radius = Math.ceil(sigma * 3);
+    const kernel = [];
+    for (let i = -radius; i <= radius; i++) {
+        kernel.push(Math.exp(-(i * i) / (2 * sigma * sigma)));
+    }
+    const pass = (source, horizontal) => {
+        const output = new Float64Array(source.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < 4; c++) {
+                    let sum = 0;
+                    let weight = 0;
+                    for (let i = -radius; i <= radius; i++) {
+                        const nx = horizontal ? x + i : x;
+                        const ny = horizontal ? y : y + i;
+                        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+                        sum += source[(ny * width + nx) * 4 + c] * kernel[i + radius];
+                        weight += kernel[i + radius];
+                    }
+                    output[(y * width + x) * 4 + c] = sum / weight;
+                }
+            }
+        }
+        return output;
+    };
+    return {data: Uint8ClampedArray.from(pass(pass(data, true), false)), width, height};
+}
+
+test("matches the separable blur exactly (up to rounding) for a constant radius", () => {
+    const image = discImage(120, 100);
+    for (const radius of [0, 1, 5, 30]) {
+        const {max} = differences(
+            variableBoxBlurImageData(image, radius, radius),
+            separableBoxBlurImageData(image, radius, radius)
+        );
+        assert.ok(max <= 1, `radius ${radius}: max difference ${max}`);
+    }
+});
+
+test("stays within tolerance of the separable blur for the pipeline's variable radii", () => {
+    const image = discImage(240, 200);
+    for (const [minRadius, maxRadius] of [[2, 80], [2, 6]]) {
+        const {max, mean} = differences(
+            variableBoxBlurImageData(image, minRadius, maxRadius),
+            separableBoxBlurImageData(image, minRadius, maxRadius)
+        );
+        assert.ok(mean < 1, `radii ${minRadius}-${maxRadius}: mean difference ${mean}`);
+        assert.ok(max <= 10, `radii ${minRadius}-${maxRadius}: max difference ${max}`);
+    }
+});
+
+test("keeps a flat image unchanged", () => {
+    const data = new Uint8ClampedArray(64 * 48 * 4).fill(137);
+    const blurred = variableBoxBlurImageData({data, width: 64, height: 48}, 2, 40, {passes: 3});
+    assert.ok(blurred.data.every(value => value === 137));
+});
+
+test("keeps a flat image unchanged at radii whose window sums exceed 32 bits", () => {
+    // A 2150 pixel radius covers the whole 4300 pixel image: 255 * 4300² does not fit in 32 bits.
+    const size = 4300;
+    const data = new Uint8ClampedArray(size * size * 4).fill(255);
+    const row = variableBoxBlurImageData({data, width: size, height: size}, 2150, 2150,
+        {startRow: 2150, endRow: 2151});
+    assert.ok(row.data.every(value => value === 255));
+});
+
+test("approximates a Gaussian of the same strength with several passes", () => {
+    const image = discImage(120, 100);
+    const radius = 10;
+    const sigma = Math.sqrt(((2 * radius + 1) ** 2 - 1) / 12);
+    const {max, mean} = differences(
+        variableBoxBlurImageData(image, radius, radius, {passes: 3}),
+        gaussianBlur(image, sigma)
+    );
+    assert.ok(mean < 1, `mean difference ${mean}`);
+    assert.ok(max <= 8, `max difference ${max}`);
+});
+
+test("reports progress up to completion", () => {
+    const progress = [];
+    variableBoxBlurImageData(discImage(40, 40), 1, 4, {passes: 2, onProgress: value => progress.push(value)});
+    assert.equal(progress[progress.length - 1], 1);
+    assert.ok(progress.every((value, i) => i === 0 || value >= progress[i - 1]));
+});
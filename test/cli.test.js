@@ -0,0 +1,54 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {execFile} from "node:child_process";
+import {mkdtemp, readdir, readFile, rm, writeFile} from "node:fs/promises";
+import {tmpdir} from "node:os";
+import {join} from "node:path";
+import {promisify} from "node:util";
+import {readMetadata} from "../metadata.js";
+
+const cli = new URL("../cli.js", import.meta.url).pathname;
+
+test("the CLI writes covers from consecutive seeds with their metadata", async () => {
+    const directory = await mkdtemp(join(tmpdir(), "album-art-"));
+    try {
+        const palette = join(directory, "brand.json");
+        await writeFile(palette, JSON.stringify({name: "Brand", colors: ["#102030", "#e0c080", "#4080c0"]}));
+        const out = join(directory, "covers");
+        await promisify(execFile)(process.execPath,
+            [cli, "--seed", "42", "--palette", palette, "--size", "48", "--count", "2", "--out", out]);
+
+        assert.deepEqual((await readdir(out)).sort(), ["album-art-42.png", "album-art-43.png"]);
+        const metadata = readMetadata(new Uint8Array(await readFile(join(out, "album-art-43.png"))));
+        assert.equal(metadata.seed, "43");
+        assert.deepEqual(metadata.palette, ["#102030", "#e0c080", "#4080c0"]);
+        assert.equal(metadata.width, 48);
+        assert.equal(metadata.settings.stages.find(stage => stage.filter === "dither").method, "floyd-steinberg");
+    } finally {
+        await rm(directory, {recursive: true, force: true});
+    }
+});
+
+test("the CLI writes frames of any size and a set in several formats", async () => {
+    const directory = await mkdtemp(join(tmpdir(), "album-art-"));
+    try {
+        await promisify(execFile)(process.execPath, [cli, "--seed", "7", "--size", "64x32", "--out", directory]);
+        const frame = readMetadata(new Uint8Array(await readFile(join(directory, "album-art-7.png"))));
+        assert.deepEqual([frame.width, frame.height], [64, 32]);
+
+        await promisify(execFile)(process.execPath, [cli, "--seed", "7", "--format", "banner", "--out", directory]);
+        const banner = readMetadata(new Uint8Array(await readFile(join(directory, "album-art-7-banner.png"))));
+        assert.deepEqual([banner.seed, banner.width, banner.height], ["7", 1500, 500]);
+    } finally {
+        await rm(directory, {recursive: true, force: true});
+    }
+});
+
+test("the CLI rejects invalid options", async () => {
+    await assert.rejects(promisify(execFile)(process.execPath, [cli, "--count", "0"]), /--count/);
+    await assert.rejects(promisify(execFile)(process.execPath, [cli, "--colour", "red"]), /colour/);
+    await assert.rejects(promisify(execFile)(process.execPath, [cli, "--size", "wide"]), /--size/);
+    await assert.rejects(promisify(execFile)(process.execPath, [cli, "--size", "64", "--format", "story"]),
+        /cannot be combined/);
+    await assert.rejects(promisify(execFile)(process.execPath, [cli, "--format", "poster"]), /Unknown format/);
+});
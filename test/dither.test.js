@@ -0,0 +1,91 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {
+    bayerMatrix,
+    blueNoiseMatrix,
+    ditherImageData,
+    ditherMethods,
+    floydSteinbergDitherImageData
+} from "../dither.js";
+import * as library from "../album-art.js";
+import {oklabToRgb, rgbToOklab} from "../oklab.js";
+
+function gradientImage(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const x = i % width;
+        const y = Math.floor(i / width);
+        data.set([x * 255 / (width - 1), y * 255 / (height - 1), 96, 255], i * 4);
+    }
+    return {data, width, height};
+}
+
+function distinctColors(imageData) {
+    const colors = new Set();
+    for (let i = 0; i < imageData.data.length; i += 4) {
+        colors.add(imageData.data.slice(i, i + 3).join());
+    }
+    return colors;
+}
+
+test("every method quantises each channel to `shades` evenly spaced levels", () => {
+    const image = gradientImage(64, 48);
+    for (const method of Object.keys(ditherMethods)) {
+        for (const shades of [2, 5]) {
+            const levels = new Set(Array.from({length: shades}, (_, i) => Math.round(i * 255 / (shades - 1))));
+            const {data} = ditherImageData(image, {method, shades});
+            for (let i = 0; i < data.length; i += 4) {
+                assert.ok(levels.has(data[i]) && levels.has(data[i + 1]) && levels.has(data[i + 2]), method);
+                assert.equal(data[i + 3], 255);
+            }
+        }
+    }
+});
+
+test("floydSteinbergDitherImageData is Floyd–Steinberg dithering to a number of shades", () => {
+    const image = gradientImage(40, 30);
+    assert.equal(library.floydSteinbergDitherImageData, floydSteinbergDitherImageData);
+    assert.deepEqual(floydSteinbergDitherImageData(image, 4),
+        ditherImageData(image, {method: "floyd-steinberg", shades: 4}));
+});
+
+test("error diffusion keeps the average brightness", () => {
+    const image = gradientImage(64, 48);
+    const mean = ({data}) => data.reduce((sum, value, i) => i % 4 === 3 ? sum : sum + value, 0) / (data.length * 3 / 4);
+    for (const method of ["floyd-steinberg", "jarvis-judice-ninke", "stucki", "sierra"]) {
+        const dithered = ditherImageData(image, {method, shades: 2, serpentine: true});
+        assert.ok(Math.abs(mean(dithered) - mean(image)) < 2, method);
+    }
+});
+
+test("palette mode only uses the palette's colors", () => {
+    const palette = ["#d8b12b", "#6493da", "#5d5ac9", "#4dab6d"];
+    const allowed = new Set(["216,177,43", "100,147,218", "93,90,201", "77,171,109"]);
+    for (const method of Object.keys(ditherMethods)) {
+        const colors = distinctColors(ditherImageData(gradientImage(40, 40), {method, palette}));
+        assert.ok([...colors].every(color => allowed.has(color)), method);
+        assert.ok(colors.size > 1, method);
+    }
+});
+
+test("palette mode snaps to the perceptually nearest color", () => {
+    // A dark red is nearer to black than to red in RGB, but looks (and is in OKLab) closer to the red.
+    const darkRed = {data: new Uint8ClampedArray([120, 0, 0, 255]), width: 1, height: 1};
+    const {data} = ditherImageData(darkRed, {palette: ["#000000", "#ff0000"]});
+    assert.deepEqual([...data], [255, 0, 0, 255]);
+});
+
+test("threshold matrices rank every cell once", () => {
+    for (const {size, ranks} of [bayerMatrix(2), bayerMatrix(8), blueNoiseMatrix(16)]) {
+        assert.deepEqual([...ranks].sort((a, b) => a - b), Array.from({length: size * size}, (_, i) => i));
+    }
+    assert.deepEqual([...bayerMatrix(2).ranks], [0, 2, 3, 1]);
+});
+
+test("OKLab conversion round-trips", () => {
+    for (const color of [[0, 0, 0], [255, 255, 255], [216, 177, 43], [10, 200, 90]]) {
+        const back = oklabToRgb(...rgbToOklab(...color));
+        back.forEach((value, c) => assert.ok(Math.abs(value - color[c]) < 0.01));
+    }
+    assert.ok(Math.abs(rgbToOklab(255, 255, 255)[0] - 1) < 1e-6);
+});
@@ -0,0 +1,131 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {defaultChain, defaultStage, filters, lookPresets, normalizeChain} from "../filters.js";
+import {applyNoise, createImageData, enhanceContrast} from "../pipeline.js";
+import {normalizeSettings} from "../settings.js";
+
+const palette = ["#d8b12b", "#6493da", "#5d5ac9", "#4dab6d"];
+
+/**
+ * An image of stripes and a gradient, so every filter has edges and tones to work on.
+ */
+function testImage(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const stripe = (Math.floor(x / 5) + Math.floor(y / 7)) % 2;
+            data.set([stripe ? 230 : x * 4 % 256, y * 3 % 256, stripe ? 40 : 180, 255], (y * width + x) * 4);
+        }
+    }
+    return createImageData(data, width, height);
+}
+
+/**
+ * Applies a stage to a whole image the way the renderer does for one band: with the rows within the filter's
+ * reach around rows [start, end), and returns the filtered rows.
+ */
+function applyToRows(image, stage, start, end, scale) {
+    const filter = filters[stage.filter];
+    const reach = filter.reach ? filter.reach(stage, scale) : 0;
+    const windowStart = Math.max(0, start - reach);
+    const windowEnd = Math.min(image.height, end + reach);
+    const window = createImageData(image.data.slice(windowStart * image.width * 4, windowEnd * image.width * 4),
+        image.width, windowEnd - windowStart);
+    return filter.apply(window, stage, {
+        y: windowStart,
+        startRow: start - windowStart,
+        endRow: end - windowStart,
+        width: image.width,
+        height: image.height,
+        scale,
+        palette,
+        grainSeed: 1,
+        grainShift: {x: 0, y: 0},
+        state: filter.createState ? filter.createState({width: image.width}) : null,
+        onProgress: () => {}
+    });
+}
+
+test("every filter gives the same rows band by band as in one go", () => {
+    const image = testImage(48, 60);
+    for (const name of ["contrast", "aberration", "vignette", "halftone", "posterize", "gradient-map", "scanlines"]) {
+        const stage = defaultStage(name);
+        const whole = applyToRows(image, stage, 0, 60, 1.5);
+        const bands = [applyToRows(image, stage, 0, 23, 1.5), applyToRows(image, stage, 23, 60, 1.5)];
+        assert.equal(whole.height, 60, name);
+        assert.deepEqual(Array.from(bands[0].data).concat(Array.from(bands[1].data)), Array.from(whole.data), name);
+    }
+});
+
+test("contrast spreads channels away from mid grey and clamps them", () => {
+    const pixels = () => createImageData(new Uint8ClampedArray([128, 100, 200, 255, 0, 250, 60, 255]), 2, 1);
+    assert.deepEqual(enhanceContrast(pixels(), 1).data, pixels().data);
+    assert.deepEqual(Array.from(enhanceContrast(pixels(), 1.5).data), [128, 86, 236, 255, 0, 255, 26, 255]);
+    assert.deepEqual(Array.from(enhanceContrast(pixels(), 0).data), [128, 128, 128, 255, 128, 128, 128, 255]);
+});
+
+test("chains are normalized: unknown filters dropped, invalid parameters reset, numbers kept in range", () => {
+    assert.equal(normalizeChain("blur"), null);
+    assert.deepEqual(normalizeChain([
+        {filter: "posterize", levels: 3, enabled: false},
+        {filter: "sharpen", amount: 2},
+        {filter: "vignette", strength: "strong"},
+        null
+    ]), [
+        {filter: "posterize", enabled: false, levels: 3},
+        defaultStage("vignette")
+    ]);
+    const [halftone, scanlines, blur, dither] = normalizeChain([
+        {filter: "halftone", cellSize: 0},
+        {filter: "scanlines", spacing: 0},
+        {filter: "blur", minRadius: -5, maxRadius: 1000, passes: 2.6},
+        {filter: "dither", shades: 3.4}
+    ]);
+    assert.equal(halftone.cellSize, 2);
+    assert.equal(scanlines.spacing, 1);
+    assert.deepEqual([blur.minRadius, blur.maxRadius, blur.passes], [0, 200, 3]);
+    assert.equal(dither.shades, 3);
+    for (const look of Object.values(lookPresets)) {
+        assert.deepEqual(normalizeChain(look), look);
+    }
+});
+
+test("settings from before the chain are read into the default chain", () => {
+    assert.deepEqual(normalizeSettings({}).stages, defaultChain);
+    const {stages} = normalizeSettings({
+        blurPasses: 3,
+        ditherMethod: "atkinson",
+        noiseOpacity: 0.2,
+        secondMaxBlurRadius: 9
+    });
+    assert.deepEqual(stages.map(stage => stage.filter), defaultChain.map(stage => stage.filter));
+    assert.equal(stages[0].passes, 3);
+    assert.equal(stages[3].passes, 3);
+    assert.equal(stages[3].maxRadius, 9);
+    assert.equal(stages[2].method, "atkinson");
+    assert.equal(stages[4].opacity, 0.2);
+    // The first ditherShades divided the quantisation step; with the other dither settings it is a number of
+    // levels.
+    const levels = shades => normalizeSettings({ditherShades: shades}).stages[2].shades;
+    assert.deepEqual([levels(80), levels(40), levels(256), levels(2)], [6, 3, 17, 2]);
+    assert.equal(normalizeSettings({ditherShades: 12, ditherMethod: "atkinson"}).stages[2].shades, 12);
+    // A chain takes precedence over the old settings.
+    assert.deepEqual(normalizeSettings({stages: [{filter: "posterize"}], ditherMethod: "bayer"}).stages,
+        [defaultStage("posterize")]);
+});
+
+test("grain blend modes keep their character", () => {
+    const image = () => testImage(32, 32);
+    const original = image();
+    const multiplied = applyNoise(image(), 5, 1, 50, 0, 0, 1, undefined, "multiply");
+    for (let i = 0; i < original.data.length; i++) {
+        assert.ok(multiplied.data[i] <= original.data[i]);
+    }
+    // Overlay and soft light leave black and white alone.
+    const extremes = createImageData(new Uint8ClampedArray(16 * 4 * 4).map((_, i) => i % 4 === 3 || i % 8 < 4 ? 255 : 0),
+        16, 4);
+    for (const blend of ["overlay", "soft-light"]) {
+        const blended = applyNoise(createImageData(extremes.data.slice(), 16, 4), 5, 1, 50, 0, 0, 1, undefined, blend);
+        assert.deepEqual(blended.data, extremes.data, blend);
+    }
+});
@@ -0,0 +1,32 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {fitSize, formatName, formatSet, outputFormats, parseSize} from "../formats.js";
+
+test("sizes are parsed as squares or width x height", () => {
+    assert.deepEqual(parseSize("3000"), {width: 3000, height: 3000});
+    assert.deepEqual(parseSize(" 1080x1920 "), {width: 1080, height: 1920});
+    assert.deepEqual(parseSize("1500 × 500"), {width: 1500, height: 500});
+    for (const text of ["", "0", "12x", "x12", "1.5x3", "-4", "4x0", "big"]) {
+        assert.equal(parseSize(text), null, text);
+    }
+});
+
+test("frames are fitted by their longer side and keep their aspect ratio", () => {
+    assert.deepEqual(fitSize(3000, 3000, 512), {width: 512, height: 512});
+    assert.deepEqual(fitSize(1080, 1920, 512), {width: 288, height: 512});
+    assert.deepEqual(fitSize(1500, 500, 96), {width: 96, height: 32});
+    assert.deepEqual(fitSize(10000, 10, 96), {width: 96, height: 1});
+});
+
+test("a format set has the job at the size of each format", () => {
+    const job = {seed: "42", palette: ["#000000"], settings: {}, width: 64, height: 64};
+    const set = formatSet(job);
+    assert.deepEqual(set.map(({format}) => format), Object.keys(outputFormats));
+    for (const {format, job: sized} of set) {
+        assert.deepEqual(sized, {...job, width: outputFormats[format].width, height: outputFormats[format].height});
+        assert.equal(formatName(sized.width, sized.height), format);
+    }
+    assert.deepEqual(formatSet(job, ["banner"]), [{format: "banner", job: {...job, width: 1500, height: 500}}]);
+    assert.throws(() => formatSet(job, ["poster"]), /Unknown format poster/);
+    assert.equal(formatName(1000, 1000), "custom");
+});
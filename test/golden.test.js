@@ -0,0 +1,147 @@
+// Snapshot tests: seeded covers rendered headless with the raster backend are compared with the reference
+// images in test/golden/. Run with UPDATE_GOLDEN=1 to write the references again after a deliberate change
+// to how covers look.
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {existsSync, mkdtempSync, readFileSync, writeFileSync} from "node:fs";
+import {tmpdir} from "node:os";
+import {join} from "node:path";
+import {inflateSync} from "node:zlib";
+import {renderCover} from "../render.js";
+import {normalizeSettings} from "../settings.js";
+import {createRasterCanvas} from "../raster.js";
+import {encodePNG} from "../png-encoder.js";
+import {lookPresets} from "../filters.js";
+import {layoutPresets} from "../shapes.js";
+
+const goldenDirectory = new URL("./golden/", import.meta.url);
+const update = Boolean(process.env.UPDATE_GOLDEN);
+
+// Channel difference above which a pixel counts as changed, and the share of pixels that may change.
+// Dithering turns the smallest difference in floating point results into a whole shade at a few pixels.
+const pixelTolerance = 8;
+const changedPixelsTolerance = 0.005;
+
+const defaultPalette = ["#d8b12b", "#6493da", "#5d5ac9", "#4dab6d"];
+// Size of the covers, unless a case gives its width and height
+const size = 96;
+
+const cases = {
+    "default": {seed: "42", settings: {}},
+    "apca-oklab": {seed: "42", settings: {contrastMethod: "apca", minContrastApca: 30, gradientSpace: "oklab"}},
+    "mid-tones": {
+        seed: "mid",
+        settings: {contrastMethod: "wcag", minContrastWcag: 3, gradientSpace: "oklch"},
+        palette: ["#8a7f6e", "#7d8c91", "#948a9e", "#86957c"]
+    },
+    "rings": {seed: "7", settings: {layers: layoutPresets["Rings"]}},
+    "shards-print": {seed: "shards", settings: {layers: layoutPresets["Shards"], stages: lookPresets["Print"]}},
+    "vhs": {seed: "1999", settings: {stages: lookPresets["VHS"]}},
+    "duotone-poster": {
+        seed: "poster",
+        settings: {layers: layoutPresets["Grid"], stages: lookPresets["Duotone poster"]}
+    },
+    "perlin-worley-noise": {seed: "3", settings: {blurNoiseType: "perlin", grainNoiseType: "worley"}},
+    "animation-frame": {seed: "42", settings: {}, phase: 0.5},
+    "story": {seed: "42", settings: {}, width: 54, height: 96},
+    "banner-grid": {seed: "grid", settings: {layers: layoutPresets["Grid"]}, width: 96, height: 32}
+};
+
+/**
+ * Decodes an 8-bit RGB PNG (as encodePNG writes them) to RGBA pixels.
+ */
+function decodePNG(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    let width = 0;
+    let height = 0;
+    const compressed = [];
+    for (let position = 8; position < bytes.length;) {
+        const length = view.getUint32(position);
+        const type = new TextDecoder().decode(bytes.subarray(position + 4, position + 8));
+        const data = bytes.subarray(position + 8, position + 8 + length);
+        if (type === "IHDR") {
+            width = view.getUint32(position + 8);
+            height = view.getUint32(position + 12);
+            assert.deepEqual([data[8], data[9]], [8, 2], "8-bit RGB");
+        } else if (type === "IDAT") {
+            compressed.push(data);
+        }
+        position += 12 + length;
+    }
+
+    const filtered = inflateSync(Buffer.concat(compressed));
+    const stride = width * 3;
+    const rows = new Uint8Array(height * stride);
+    for (let y = 0; y < height; y++) {
+        const filter = filtered[y * (stride + 1)];
+        for (let x = 0; x < stride; x++) {
+            const raw = filtered[y * (stride + 1) + 1 + x];
+            const left = x >= 3 ? rows[y * stride + x - 3] : 0;
+            const up = y > 0 ? rows[(y - 1) * stride + x] : 0;
+            const upLeft = x >= 3 && y > 0 ? rows[(y - 1) * stride + x - 3] : 0;
+            const predictors = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)];
+            rows[y * stride + x] = raw + predictors[filter];
+        }
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data.set(rows.subarray(i * 3, i * 3 + 3), i * 4);
+        data[i * 4 + 3] = 255;
+    }
+    return {data, width, height};
+}
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+    if (distances[0] <= distances[1] && distances[0] <= distances[2]) return left;
+    return distances[1] <= distances[2] ? up : upLeft;
+}
+
+async function pngBytes(imageData) {
+    const blob = await encodePNG(imageData.width, imageData.height, [{y: 0, imageData}]);
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+for (const [name, {seed, settings, phase, palette = defaultPalette, width = size, height = size}]
+    of Object.entries(cases)) {
+    test("the " + name + " cover matches its reference image", async () => {
+        const job = {seed, palette, settings: normalizeSettings(settings), width, height, phase};
+        const image = renderCover(job, createRasterCanvas);
+        const file = new URL(name + ".png", goldenDirectory);
+        if (update) {
+            writeFileSync(file, await pngBytes(image));
+            return;
+        }
+        assert.ok(existsSync(file), "No reference image for " + name + "; run the tests with UPDATE_GOLDEN=1.");
+
+        const reference = decodePNG(readFileSync(file));
+        assert.deepEqual([image.width, image.height], [reference.width, reference.height]);
+        let changed = 0;
+        for (let i = 0; i < image.data.length; i += 4) {
+            for (let c = 0; c < 3; c++) {
+                if (Math.abs(image.data[i + c] - reference.data[i + c]) > pixelTolerance) {
+                    changed++;
+                    break;
+                }
+            }
+        }
+        if (changed > changedPixelsTolerance * width * height) {
+            const actual = join(mkdtempSync(join(tmpdir(), "album-art-")), name + ".png");
+            writeFileSync(actual, await pngBytes(image));
+            assert.fail(changed + " pixels of " + name + " differ from the reference; the render is in " + actual
+                + ". Run the tests with UPDATE_GOLDEN=1 if the change is intended.");
+        }
+    });
+}
+
+test("the PNG decoder reads back what the encoder writes", async () => {
+    const data = new Uint8ClampedArray(20 * 10 * 4);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = i % 4 === 3 ? 255 : (i * 37) % 256;
+    }
+    const decoded = decodePNG(await pngBytes({data, width: 20, height: 10}));
+    assert.deepEqual(decoded.data, data);
+});
@@ -0,0 +1,17 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {openHistoryStore} from "../history-store.js";
+
+test("without IndexedDB the history is kept in memory", async () => {
+    const store = await openHistoryStore();
+    const job = {seed: "42", palette: ["#000000"], settings: {}};
+    const first = await store.add({job, createdAt: 1});
+    const second = await store.add({job: {...job, seed: "43"}, createdAt: 2});
+    assert.notEqual(first, second);
+    assert.deepEqual((await store.getAll()).map(record => record.job.seed), ["42", "43"]);
+
+    await store.remove(first);
+    assert.deepEqual((await store.getAll()).map(record => record.id), [second]);
+    await store.clear();
+    assert.deepEqual(await store.getAll(), []);
+});
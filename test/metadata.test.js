@@ -0,0 +1,53 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {embedMetadata, readMetadata} from "../metadata.js";
+import {encodePNG} from "../png-encoder.js";
+
+const metadata = {
+    seed: "42",
+    palette: ["#d8b12b", "#6493da"],
+    settings: {minBlurRadius: 2, maxBlurRadius: 80, contrastFactor: 1.1},
+    width: 3000,
+    height: 3000,
+    artist: "Ünïcode & <Friends>",
+    title: "Title"
+};
+
+async function smallPNG() {
+    const imageData = {data: new Uint8ClampedArray(4 * 4 * 4).fill(200), width: 4, height: 4};
+    const blob = await encodePNG(4, 4, [{y: 0, imageData}]);
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+test("metadata round-trips through a PNG", async () => {
+    const png = await smallPNG();
+    assert.equal(readMetadata(png), null);
+    const embedded = embedMetadata(png, metadata);
+    assert.deepEqual(readMetadata(embedded), metadata);
+    // The image data itself is unchanged: the chunks are inserted after IHDR.
+    assert.deepEqual(embedded.subarray(embedded.length - (png.length - 33)), png.subarray(33));
+});
+
+test("metadata round-trips through a JPEG XMP segment", () => {
+    // SOI, an empty JFIF APP0 segment, EOI
+    const jpeg = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x02, 0xFF, 0xD9]);
+    const embedded = embedMetadata(jpeg, metadata);
+    assert.deepEqual([...embedded.subarray(0, 6)], [0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x02]);
+    assert.deepEqual(readMetadata(embedded), metadata);
+});
+
+test("metadata round-trips through a simple WebP, which becomes an extended one", () => {
+    // RIFF container with a VP8L chunk declaring a 300 × 200 image
+    const bits = (300 - 1) | ((200 - 1) << 14);
+    const vp8l = [0x2F, bits & 0xFF, (bits >> 8) & 0xFF, (bits >> 16) & 0xFF, (bits >>> 24) & 0xFF, 0];
+    const webp = new Uint8Array([
+        ..."RIFF", 4 + 8 + vp8l.length, 0, 0, 0, ..."WEBP", ..."VP8L", vp8l.length, 0, 0, 0, ...vp8l
+    ].map(value => typeof value === "string" ? value.charCodeAt(0) : value));
+
+    const embedded = embedMetadata(webp, metadata);
+    assert.deepEqual(readMetadata(embedded), metadata);
+    const text = new TextDecoder("latin1").decode(embedded.subarray(12, 16));
+    assert.equal(text, "VP8X");
+    // Canvas size minus one, 24-bit little-endian
+    assert.deepEqual([...embedded.subarray(24, 30)], [43, 1, 0, 199, 0, 0]);
+});
@@ -0,0 +1,80 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {createNoise2D, createNoiseField, fbm, noiseTypes} from "../noise.js";
+import {generateBlurMap} from "../pipeline.js";
+import {normalizeSettings} from "../settings.js";
+
+function sample(field, size = 64, step = 1.37) {
+    const values = [];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            values.push(field(x * step, y * step));
+        }
+    }
+    return values;
+}
+
+test("noise fields stay within [0, 1] and use the whole range", () => {
+    for (const type of Object.keys(noiseTypes)) {
+        const values = sample(createNoiseField({type, seed: 3, frequency: 0.05, octaves: 4}));
+        assert.ok(values.every(value => value >= 0 && value <= 1), type);
+        assert.ok(Math.max(...values) - Math.min(...values) > 0.5, type);
+    }
+});
+
+test("the seed changes the noise, and the same seed repeats it", () => {
+    for (const type of ["simplex", "perlin", "worley"]) {
+        const options = {type, frequency: 0.05, octaves: 3, lacunarity: 2.2, gain: 0.6};
+        const a = sample(createNoiseField({...options, seed: 1}));
+        assert.deepEqual(sample(createNoiseField({...options, seed: 1})), a, type);
+        assert.notDeepEqual(sample(createNoiseField({...options, seed: 2})), a, type);
+    }
+});
+
+test("gradient noise is zero on the lattice and continuous between", () => {
+    for (const type of ["simplex", "perlin"]) {
+        const noise = createNoise2D(type, 9);
+        assert.equal(noise(0, 0), 0, type);
+        for (let x = 0; x < 4; x += 0.01) {
+            assert.ok(Math.abs(noise(x + 0.001, 0.5) - noise(x, 0.5)) < 0.02, type);
+        }
+    }
+    const perlin = createNoise2D("perlin", 9);
+    assert.equal(perlin(5, 7), 0);
+});
+
+test("a single octave of fBm is the noise itself", () => {
+    const noise = createNoise2D("simplex", 4);
+    assert.equal(fbm(noise, 1), noise);
+    const layered = fbm(noise, 2, 2, 0.5);
+    assert.equal(layered(0.3, 0.7), (noise(0.3, 0.7) + 0.5 * noise(0.6 + 19.19, 1.4 + 7.31)) / 1.5);
+});
+
+test("a band of a scaled blur map matches the same rows of the whole map", () => {
+    const field = createNoiseField({type: "simplex", seed: 11, frequency: 0.02, octaves: 3});
+    const whole = generateBlurMap(90, 70, 2, 40, 5, 0, 2.5, field);
+    const band = generateBlurMap(90, 30, 2, 40, 5, 25, 2.5, field);
+    assert.deepEqual(band, whole.slice(25 * 90, 55 * 90));
+    // At scale 1 the field is sampled exactly at every pixel.
+    const exact = generateBlurMap(10, 10, 0, 1000, 3, 4, 1, field);
+    assert.equal(exact[2 * 10 + 5], Math.floor(field(8, 6) * 1000));
+});
+
+test("the default sines give the original blur map at every scale", () => {
+    const {blurNoiseType, blurNoiseFrequency} = normalizeSettings({});
+    const field = createNoiseField({type: blurNoiseType, frequency: blurNoiseFrequency});
+    for (const scale of [0.25, 1, 5.859375]) {
+        const map = generateBlurMap(40, 30, 2, 80, 7, 11, scale, field);
+        // The map as covers computed it before the noise types existed
+        const frequency = 0.01 / scale;
+        for (let y = 0; y < 30; y++) {
+            for (let x = 0; x < 40; x++) {
+                const nx = (x + 7) * frequency;
+                const ny = (y + 11) * frequency;
+                const noise = Math.sin(nx * 0.5) * Math.cos(ny * 0.7) + Math.sin(nx * 1.3) * Math.cos(ny * 1.1)
+                    + Math.sin(nx * 2.3 + ny * 1.5);
+                assert.equal(map[y * 40 + x], Math.floor(2 + (noise + 3) / 6 * 78), `scale ${scale}`);
+            }
+        }
+    }
+});
@@ -0,0 +1,65 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {extractPalette} from "../palette-extraction.js";
+import {hexToRGB} from "../palette.js";
+import {createRandom} from "../random.js";
+
+/**
+ * An image of the given colors ([r, g, b, share of the pixels]), each pixel varied by up to ±jitter per channel,
+ * in a seeded random order.
+ */
+function clusterImage(colors, size, jitter) {
+    const random = createRandom(4);
+    const data = new Uint8ClampedArray(size * 4);
+    let pixel = 0;
+    for (const [r, g, b, share] of colors) {
+        for (let i = 0; i < Math.round(share * size) && pixel < size; i++, pixel++) {
+            const vary = () => Math.round((random() * 2 - 1) * jitter);
+            data.set([r + vary(), g + vary(), b + vary(), 255], pixel * 4);
+        }
+    }
+    return {data, width: size, height: 1};
+}
+
+function distance(hex, [r, g, b]) {
+    const color = hexToRGB(hex);
+    return Math.hypot(color.r - r, color.g - g, color.b - b);
+}
+
+test("distinct color clusters are recovered", () => {
+    const clusters = [[200, 40, 40, 0.25], [30, 160, 60, 0.25], [40, 60, 220, 0.25], [230, 220, 60, 0.25]];
+    const image = clusterImage(clusters, 4000, 8);
+    for (const method of ["median-cut", "k-means"]) {
+        const palette = extractPalette(image, 4, method);
+        assert.equal(palette.length, 4, method);
+        for (const cluster of clusters) {
+            assert.ok(palette.some(color => distance(color, cluster) < 6), `${method}: ${palette}`);
+        }
+    }
+});
+
+test("k-means separates clusters of any size and orders them by size", () => {
+    const clusters = [[200, 40, 40, 0.5], [30, 160, 60, 0.3], [40, 60, 220, 0.2]];
+    const palette = extractPalette(clusterImage(clusters, 3000, 8), 3, "k-means");
+    assert.equal(palette.length, 3);
+    palette.forEach((color, i) => assert.ok(distance(color, clusters[i]) < 6, color));
+});
+
+test("an image with fewer colors than requested gives each of its colors", () => {
+    const image = clusterImage([[255, 255, 255, 0.75], [0, 0, 0, 0.25]], 400, 0);
+    for (const method of ["median-cut", "k-means"]) {
+        const palette = extractPalette(image, 6, method);
+        assert.deepEqual(palette.slice(0, 2), ["#ffffff", "#000000"], method);
+        assert.deepEqual(new Set(palette), new Set(["#ffffff", "#000000"]), method);
+    }
+});
+
+test("transparent pixels are ignored", () => {
+    const image = clusterImage([[10, 20, 30, 0.5], [250, 250, 0, 0.5]], 100, 0);
+    for (let i = 50 * 4 + 3; i < image.data.length; i += 4) {
+        image.data[i] = 0;
+    }
+    assert.deepEqual(extractPalette(image, 4), ["#0a141e"]);
+    image.data.fill(0);
+    assert.deepEqual(extractPalette(image, 4), []);
+});
@@ -0,0 +1,48 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {normalizeHex, paletteFormats, parsePalette, serializePalette} from "../palette-formats.js";
+
+const palette = {name: "Brand", colors: ["#d8b12b", "#6493da", "#000000", "#ffffff"]};
+
+test("palettes survive a round trip through every format", () => {
+    for (const format of Object.keys(paletteFormats)) {
+        const parsed = parsePalette(serializePalette(palette, format), "Brand." + paletteFormats[format].extension);
+        // .aco files carry no palette name, so the file name stands in.
+        assert.deepEqual(parsed, palette, format);
+    }
+});
+
+test("palettes without a name are written in every format and read back under the file name", () => {
+    for (const format of Object.keys(paletteFormats)) {
+        const bytes = serializePalette({colors: ["#102030"]}, format);
+        assert.deepEqual(parsePalette(bytes, "untitled." + format), {name: "untitled", colors: ["#102030"]}, format);
+    }
+    assert.throws(() => serializePalette(palette, "pdf"), /Unknown palette format/);
+});
+
+test("JSON and GIMP palettes are read leniently", () => {
+    const json = bytes => parsePalette(new TextEncoder().encode(bytes), "list.json");
+    assert.deepEqual(json('["#ABC", "nope", "112233"]'), {name: "list", colors: ["#aabbcc", "#112233"]});
+    const gpl = parsePalette(new TextEncoder().encode(
+        "GIMP Palette\r\nName: Sunset\r\nColumns: 4\r\n# comment\r\n255   0  10\tRed\r\n\r\n  0 128 255\r\n"), "x.gpl");
+    assert.deepEqual(gpl, {name: "Sunset", colors: ["#ff000a", "#0080ff"]});
+    assert.equal(normalizeHex("#F80"), "#ff8800");
+    assert.equal(normalizeHex("#12345"), null);
+});
+
+test("malformed palette files are rejected with a readable error", () => {
+    const text = content => new TextEncoder().encode(content);
+    assert.throws(() => parsePalette(text("hello"), "notes.txt"), /Unsupported palette file: notes.txt/);
+    assert.throws(() => parsePalette(text('{"name": "Empty", "colors": []}'), "empty.json"), /no colours/);
+    assert.throws(() => parsePalette(text('{"name": "No colors"}'), "bad.json"), /no "colors" array/);
+    assert.throws(() => parsePalette(text("{broken"), "broken.json"), SyntaxError);
+    assert.throws(() => parsePalette(text("GIMP Palette\nName: Empty\n"), "empty.gpl"), /no colours/);
+
+    const ase = serializePalette(palette, "ase");
+    assert.throws(() => parsePalette(ase.slice(0, 40), "cut.ase"), /truncated or damaged: cut.ase/);
+    assert.throws(() => parsePalette(ase.slice(0, 6), "header.ase"), /truncated or damaged/);
+    // An .aco file cut short keeps the colors read so far, and one without any is empty.
+    const aco = serializePalette(palette, "aco");
+    assert.deepEqual(parsePalette(aco.slice(0, 4 + 2 * 10), "cut.aco").colors, palette.colors.slice(0, 2));
+    assert.throws(() => parsePalette(aco.slice(0, 4), "header.aco"), /no colours/);
+});
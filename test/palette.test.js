@@ -0,0 +1,157 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {
+    apcaContrast,
+    contrastMethods,
+    getBrightness,
+    getContrastingColors,
+    getSortedPalette,
+    gradientStops,
+    hexToRGB,
+    interpolateColor,
+    pickContrastingColors
+} from "../palette.js";
+import {clampOklabChroma, oklabToRgb, rgbToOklab} from "../oklab.js";
+import {createRandom} from "../random.js";
+import {normalizeSettings, settingControls} from "../settings.js";
+
+test("hex colors are read with or without #, in 3 or 6 digits", () => {
+    assert.deepEqual(hexToRGB("#d8b12b"), {r: 216, g: 177, b: 43});
+    assert.deepEqual(hexToRGB("6493DA"), {r: 100, g: 147, b: 218});
+    assert.deepEqual(hexToRGB("#f80"), {r: 255, g: 136, b: 0});
+    assert.deepEqual(hexToRGB("abc"), hexToRGB("#aabbcc"));
+});
+
+test("brightness weighs the channels by luminance", () => {
+    assert.equal(getBrightness("#000000"), 0);
+    assert.ok(Math.abs(getBrightness("#ffffff") - 255) < 1e-9);
+    assert.ok(Math.abs(getBrightness("#ff0000") - 0.299 * 255) < 1e-9);
+    // Green looks brighter than red, which looks brighter than blue.
+    assert.ok(getBrightness("#00ff00") > getBrightness("#ff0000"));
+    assert.ok(getBrightness("#ff0000") > getBrightness("#0000ff"));
+    assert.equal(getBrightness("#888"), getBrightness("#888888"));
+});
+
+test("palettes sort from darkest to lightest without changing the original", () => {
+    const palette = ["#ffffff", "#d8b12b", "#000000", "#5d5ac9"];
+    assert.deepEqual(getSortedPalette(palette), ["#000000", "#5d5ac9", "#d8b12b", "#ffffff"]);
+    assert.deepEqual(palette, ["#ffffff", "#d8b12b", "#000000", "#5d5ac9"]);
+    assert.deepEqual(getSortedPalette([]), []);
+});
+
+test("contrasting colors come from the half of the palette away from the gradient", () => {
+    const sorted = getSortedPalette(["#d8b12b", "#6493da", "#5d5ac9", "#4dab6d"]);
+    const random = createRandom(3);
+    for (let i = 0; i < 50; i++) {
+        for (const color of getContrastingColors(sorted, 40, random)) {
+            assert.ok(sorted.slice(2).includes(color));
+        }
+        for (const color of getContrastingColors(sorted, 220, random)) {
+            assert.ok(sorted.slice(0, 2).includes(color));
+        }
+    }
+});
+
+test("small palettes always give contrasting colors", () => {
+    const random = createRandom(9);
+    for (const brightness of [0, 127, 128, 255]) {
+        assert.deepEqual(getContrastingColors(["#336699"], brightness, random), ["#336699", "#336699"]);
+        const [a, b] = getContrastingColors(["#111111", "#eeeeee"], brightness, random);
+        const expected = brightness < 128 ? "#eeeeee" : "#111111";
+        assert.equal(a, expected);
+        assert.equal(b, expected);
+    }
+});
+
+test("out of gamut OKLab colors keep their lightness and hue and lose chroma", () => {
+    const [L, a, b] = clampOklabChroma(0.7, 0.4, 0.1);
+    assert.equal(L, 0.7);
+    assert.ok(Math.abs(b / a - 0.25) < 1e-9);
+    assert.ok(a < 0.4 && a > 0.1);
+    const [r, g, blue] = oklabToRgb(L, a, b);
+    assert.ok(Math.abs(rgbToOklab(r, g, blue)[0] - 0.7) < 0.001);
+    assert.deepEqual(clampOklabChroma(0.5, 0.01, 0.02), [0.5, 0.01, 0.02]);
+});
+
+test("gradients in OKLab and OKLCH get stops in between, sRGB ones only the colors", () => {
+    assert.deepEqual(gradientStops(["#ff0000", "#0000ff"], "srgb"), [[0, "#ff0000"], [1, "#0000ff"]]);
+    const stops = gradientStops(["#ff0000", "#00ff00", "#0000ff"], "oklab");
+    assert.equal(stops.length, 17);
+    assert.deepEqual(stops[0], [0, "#ff0000"]);
+    assert.deepEqual(stops[8], [0.5, "#00ff00"]);
+    assert.deepEqual(stops[16], [1, "#0000ff"]);
+    // The middle of black and white is a perceptual mid grey, lighter than sRGB's #808080.
+    const grey = hexToRGB(interpolateColor("#000000", "#ffffff", 0.5, "oklab"));
+    assert.ok(grey.r > 0x60 && grey.r < 0x80 && grey.r === grey.g && grey.g === grey.b);
+    // OKLCH keeps the chroma up where OKLab passes through grey.
+    const chroma = hex => {
+        const {r, g, b} = hexToRGB(hex);
+        return Math.hypot(...rgbToOklab(r, g, b).slice(1));
+    };
+    assert.ok(chroma(interpolateColor("#ff8800", "#0088ff", 0.5, "oklch"))
+        > chroma(interpolateColor("#ff8800", "#0088ff", 0.5, "oklab")) + 0.05);
+});
+
+test("APCA contrast matches the reference values", () => {
+    assert.ok(Math.abs(apcaContrast("#000000", "#ffffff") - 106.04) < 0.01);
+    assert.ok(Math.abs(apcaContrast("#ffffff", "#000000") + 107.88) < 0.01);
+    assert.ok(Math.abs(apcaContrast("#888888", "#ffffff") - 63.06) < 0.01);
+    assert.equal(apcaContrast("#777777", "#777777"), 0);
+});
+
+test("contrasting colors reach the minimum contrast, or fall back", () => {
+    const background = ["#7d8c91", "#86957c"];
+    const sorted = getSortedPalette(["#8a7f6e", "#7d8c91", "#948a9e", "#86957c", "#1b1d2a"]);
+    for (const method of ["wcag", "apca", "oklab"]) {
+        const {contrast} = contrastMethods[method];
+        const minContrast = {wcag: 3, apca: 45, oklab: 30}[method];
+        const random = createRandom(1);
+        for (let i = 0; i < 20; i++) {
+            assert.deepEqual(pickContrastingColors(sorted, background, random, {method, minContrast}),
+                ["#1b1d2a", "#1b1d2a"], method);
+        }
+
+        // Without the dark color no palette color is enough: the best one is used as it is or adjusted.
+        const midTones = sorted.filter(color => color !== "#1b1d2a");
+        const [best] = pickContrastingColors(midTones, background, createRandom(1),
+            {method, minContrast, fallback: "best"});
+        assert.ok(midTones.includes(best));
+        const [adjusted, other] = pickContrastingColors(midTones, background, createRandom(1),
+            {method, minContrast, fallback: "adjust"});
+        assert.equal(adjusted, other);
+        for (const color of background) {
+            assert.ok(contrast(adjusted, color) >= minContrast, method);
+        }
+    }
+});
+
+test("contrast picking draws the same random numbers whatever the method", () => {
+    const sorted = getSortedPalette(["#d8b12b", "#6493da", "#5d5ac9", "#4dab6d"]);
+    const reference = createRandom(5);
+    reference();
+    reference();
+    const third = reference();
+    for (const method of ["brightness", "wcag", "apca", "oklab"]) {
+        const random = createRandom(5);
+        pickContrastingColors(sorted, ["#5d5ac9", "#4dab6d"], random, {method, minContrast: 200, fallback: "adjust"});
+        assert.equal(random(), third, method);
+    }
+    // The classic method is getContrastingColors on the background's average brightness.
+    assert.deepEqual(pickContrastingColors(sorted, ["#5d5ac9", "#4dab6d"], createRandom(8), {}),
+        getContrastingColors(sorted, (getBrightness("#5d5ac9") + getBrightness("#4dab6d")) / 2, createRandom(8)));
+});
+
+test("each contrast method has a minimum on its own scale, and a single older minimum is read into it", () => {
+    const defaults = normalizeSettings({});
+    for (const [method, {minContrastSetting}] of Object.entries(contrastMethods)) {
+        if (!minContrastSetting) continue;
+        const control = settingControls.find(candidate => candidate.key === minContrastSetting);
+        assert.ok(defaults[minContrastSetting] >= control.min && defaults[minContrastSetting] <= control.max, method);
+    }
+    assert.equal(normalizeSettings({contrastMethod: "apca", minContrast: 45}).minContrastApca, 45);
+    // Out of range for WCAG ratios, so it is clamped.
+    const wcag = normalizeSettings({contrastMethod: "wcag", minContrast: 30});
+    assert.equal(wcag.minContrastWcag, 21);
+    assert.equal(wcag.minContrastApca, defaults.minContrastApca);
+    assert.equal(normalizeSettings({contrastMethod: "wcag", minContrast: 30, minContrastWcag: 4.5}).minContrastWcag, 4.5);
+});
@@ -0,0 +1,18 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {consecutiveSeeds, createRandom, hashSeed} from "../random.js";
+
+test("the same seed text always gives the same random sequence", () => {
+    const first = createRandom(hashSeed("summer-ep"));
+    const second = createRandom(hashSeed("summer-ep"));
+    const values = Array.from({length: 5}, () => first());
+    assert.deepEqual(Array.from({length: 5}, () => second()), values);
+    assert.ok(values.every(value => value >= 0 && value < 1));
+    assert.notEqual(hashSeed("summer-ep"), hashSeed("summer-ep-1"));
+});
+
+test("consecutive seeds count numeric seeds up and number text seeds with a suffix", () => {
+    assert.deepEqual(consecutiveSeeds("41", 3), ["41", "42", "43"]);
+    assert.deepEqual(consecutiveSeeds("18446744073709551615", 2), ["18446744073709551615", "18446744073709551616"]);
+    assert.deepEqual(consecutiveSeeds("summer-ep", 3), ["summer-ep", "summer-ep-1", "summer-ep-2"]);
+});
@@ -0,0 +1,98 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {createRasterCanvas} from "../raster.js";
+
+function whiteCanvas(size) {
+    const ctx = createRasterCanvas(size, size).getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, size, size);
+    return ctx;
+}
+
+function pixel(ctx, x, y) {
+    return [...ctx.getImageData(x, y, 1, 1).data];
+}
+
+test("filled ellipses cover their area, with anti-aliased edges", () => {
+    const ctx = whiteCanvas(100);
+    ctx.beginPath();
+    ctx.ellipse(50, 50, 30, 20, 0, 0, 2 * Math.PI);
+    ctx.fillStyle = "#000000";
+    ctx.fill();
+    const {data} = ctx.getImageData(0, 0, 100, 100);
+    let covered = 0;
+    const levels = new Set();
+    for (let i = 0; i < data.length; i += 4) {
+        covered += 1 - data[i] / 255;
+        levels.add(data[i]);
+    }
+    // Flattening the outline to a polygon loses a little of the area.
+    assert.ok(Math.abs(covered - Math.PI * 30 * 20) < 10);
+    assert.ok(levels.size > 2);
+});
+
+test("the even-odd rule leaves the hole of a ring unfilled", () => {
+    const ctx = whiteCanvas(100);
+    ctx.beginPath();
+    ctx.ellipse(50, 50, 40, 40, 0, 0, 2 * Math.PI);
+    ctx.moveTo(70, 50);
+    ctx.ellipse(50, 50, 20, 20, 0, 0, 2 * Math.PI);
+    ctx.fillStyle = "#000";
+    ctx.fill("evenodd");
+    assert.deepEqual(pixel(ctx, 50, 50), [255, 255, 255, 255]);
+    assert.deepEqual(pixel(ctx, 50, 20), [0, 0, 0, 255]);
+    ctx.fill();
+    assert.deepEqual(pixel(ctx, 50, 50), [0, 0, 0, 255]);
+});
+
+test("transforms apply to paths and gradients", () => {
+    const ctx = whiteCanvas(100);
+    ctx.translate(50, 0);
+    ctx.scale(2, 2);
+    const gradient = ctx.createLinearGradient(0, 0, 20, 0);
+    gradient.addColorStop(0, "#000000");
+    gradient.addColorStop(1, "#ff0000");
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 20, 10);
+    // The rectangle covers x 50-90 and y 0-20; the gradient runs across it and is sampled at pixel centers.
+    assert.deepEqual(pixel(ctx, 49, 5), [255, 255, 255, 255]);
+    assert.deepEqual(pixel(ctx, 50, 25), [255, 255, 255, 255]);
+    assert.deepEqual(pixel(ctx, 50, 5), [3, 0, 0, 255]);
+    assert.deepEqual(pixel(ctx, 70, 5), [131, 0, 0, 255]);
+    assert.deepEqual(pixel(ctx, 89, 5), [252, 0, 0, 255]);
+});
+
+test("radial and conic gradients", () => {
+    const ctx = whiteCanvas(100);
+    const radial = ctx.createRadialGradient(50, 50, 0, 50, 50, 40);
+    radial.addColorStop(0, "#ffffff");
+    radial.addColorStop(1, "#000000");
+    ctx.fillStyle = radial;
+    ctx.fillRect(0, 0, 100, 100);
+    assert.ok(pixel(ctx, 50, 50)[0] > 245);
+    // 20.5 pixels from the center
+    assert.equal(pixel(ctx, 70, 50)[0], Math.round(255 * (1 - 20.5 / 40)));
+    assert.deepEqual(pixel(ctx, 0, 0), [0, 0, 0, 255]);
+
+    const conic = ctx.createConicGradient(0, 50, 50);
+    conic.addColorStop(0, "#000000");
+    conic.addColorStop(1, "#ffffff");
+    ctx.fillStyle = conic;
+    ctx.fillRect(0, 0, 100, 100);
+    // A quarter turn clockwise from the start angle (pointing right) is straight down.
+    assert.ok(Math.abs(pixel(ctx, 50, 90)[0] - 64) < 2);
+});
+
+test("composite operations blend with the backdrop", () => {
+    const ctx = whiteCanvas(10);
+    ctx.fillStyle = "#808080";
+    ctx.fillRect(0, 0, 10, 10);
+    ctx.globalCompositeOperation = "multiply";
+    ctx.fillStyle = "#ff8000";
+    ctx.fillRect(0, 0, 10, 10);
+    assert.deepEqual(pixel(ctx, 5, 5), [128, 64, 0, 255]);
+    ctx.globalCompositeOperation = "screen";
+    ctx.fillStyle = "#000080";
+    ctx.fillRect(0, 0, 10, 10);
+    assert.deepEqual(pixel(ctx, 5, 5), [128, 64, 128, 255]);
+});
@@ -0,0 +1,21 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {defaultSettings, normalizeSettings} from "../settings.js";
+
+test("settings from a link or a file are kept within their control's range", () => {
+    const settings = normalizeSettings({
+        noiseOctaves: 2000,
+        ellipseDeviationFactor: 5,
+        minEllipseSize: -40,
+        maxEllipseSize: "400",
+        noiseLacunarity: 2.5,
+        textTracking: 12.4
+    });
+    assert.equal(settings.noiseOctaves, 8);
+    assert.equal(settings.ellipseDeviationFactor, 1);
+    assert.equal(settings.minEllipseSize, 0);
+    assert.equal(settings.maxEllipseSize, defaultSettings.maxEllipseSize);
+    assert.equal(settings.noiseLacunarity, 2.5);
+    assert.equal(settings.textTracking, 12);
+    assert.equal(normalizeSettings({noiseOctaves: 2.6}).noiseOctaves, 3);
+});
@@ -0,0 +1,119 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {createRandom, hashSeed} from "../random.js";
+import {getSortedPalette} from "../palette.js";
+import {
+    drawComposition,
+    generateLimitedPaletteComposition,
+    layoutPresets,
+    normalizeLayout
+} from "../shapes.js";
+
+const config = {
+    minEllipseSize: 320,
+    maxEllipseSize: 400,
+    donutInnerRadius: 300,
+    donutOuterRadius: 420,
+    ellipseDeviationFactor: 0.3
+};
+const palette = getSortedPalette(["#d8b12b", "#6493da", "#5d5ac9", "#4dab6d"]);
+
+/**
+ * A 2D context that records the path and fill calls made on it.
+ */
+function recordingContext() {
+    const calls = [];
+    const gradient = {addColorStop: () => {}};
+    return {
+        calls,
+        save() {}, restore() {}, scale() {}, fillRect() {},
+        createLinearGradient: () => gradient,
+        createRadialGradient: () => gradient,
+        createConicGradient: () => gradient,
+        beginPath() {}, closePath() {},
+        moveTo: () => calls.push("moveTo"),
+        lineTo: () => calls.push("lineTo"),
+        ellipse: (x, y, rx, ry) => calls.push(rx >= 0 && ry >= 0 ? "ellipse" : "negative radius"),
+        bezierCurveTo: () => calls.push("bezierCurveTo"),
+        fill: rule => calls.push("fill " + rule)
+    };
+}
+
+test("the default layout generates the original two-ellipse composition", () => {
+    const random = createRandom(hashSeed("42"));
+    const composition = generateLimitedPaletteComposition(672, 672, palette, config, random);
+    assert.deepEqual(composition, {
+        width: 672,
+        height: 672,
+        gradientSpace: "srgb",
+        background: {colors: ["#5d5ac9", "#4dab6d"]},
+        layers: [{
+            blend: "normal",
+            shapes: [{
+                type: "ellipse",
+                centerX: 376.26251449703403,
+                centerY: 677.7498743241808,
+                radiusX: 321.4071260392666,
+                radiusY: 226.74575244173082,
+                fill: {type: "radial", radius: 274.0764392404987, colors: ["#6493da", "#d8b12b"]}
+            }]
+        }, {
+            blend: "normal",
+            shapes: [{
+                type: "ellipse",
+                centerX: 251.0761006106475,
+                centerY: 662.5140143506967,
+                radiusX: 135.40372176227774,
+                radiusY: 169.75575115731806,
+                fill: {type: "flat", color: "#6493da"}
+            }]
+        }]
+    });
+    // The random sequence continues as before, so the grain seed is unchanged too.
+    assert.equal(random(), 0.8359943823888898);
+});
+
+test("every layout preset generates its layers and draws them", () => {
+    for (const [name, layers] of Object.entries(layoutPresets)) {
+        const composition = generateLimitedPaletteComposition(672, 672, palette, {...config, layers}, createRandom(7));
+        assert.deepEqual(composition.layers.map(layer => layer.shapes.length), layers.map(layer => layer.count), name);
+
+        const ctx = recordingContext();
+        drawComposition(ctx, composition);
+        const fills = ctx.calls.filter(call => call.startsWith("fill")).length;
+        assert.equal(fills, layers.reduce((sum, layer) => sum + layer.count, 0), name);
+        assert.ok(!ctx.calls.includes("negative radius"), name);
+    }
+});
+
+test("normalizeLayout drops unknown shapes and fills in missing values", () => {
+    assert.deepEqual(normalizeLayout([
+        {shape: "teapot"},
+        {shape: "ring", placement: "orbit", count: "3", size: -1, blend: "multiply"}
+    ]), [
+        {shape: "ring", placement: "random", fill: "flat", blend: "multiply", count: 3, size: 1}
+    ]);
+    assert.equal(normalizeLayout([{shape: "teapot"}]), null);
+    assert.equal(normalizeLayout("ellipse"), null);
+});
+
+test("placements spread out over frames that are not square", () => {
+    // A 3:1 frame with a margin of 20 around it
+    const grid = generateLimitedPaletteComposition(1576, 552, palette,
+        {...config, layers: [{shape: "rect", placement: "grid", fill: "flat", blend: "normal", count: 9, size: 1}]},
+        createRandom(3), 20);
+    const [{shapes}] = grid.layers;
+    assert.equal(new Set(shapes.map(shape => Math.floor(shape.centerX / (1576 / 6)))).size, 6);
+    assert.equal(new Set(shapes.map(shape => Math.floor(shape.centerY / (552 / 2)))).size, 2);
+
+    // The donut is stretched along the longer side.
+    const layers = [{shape: "ellipse", placement: "donut", fill: "flat", blend: "normal", count: 40, size: 1}];
+    const {shapes: ellipses} = generateLimitedPaletteComposition(2016, 672, palette, {...config, layers},
+        createRandom(5)).layers[0];
+    const offsets = ellipses.map(shape => [
+        (shape.centerX - 1008) / config.donutOuterRadius,
+        (shape.centerY - 336) / config.donutOuterRadius
+    ]);
+    assert.ok(offsets.every(([x, y]) => Math.hypot(x / 3, y) <= 1 + 1e-9));
+    assert.ok(offsets.some(([x]) => Math.abs(x) > 1.5));
+});
@@ -0,0 +1,63 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {layoutText, pickTextColor} from "../text.js";
+import {defaultSettings} from "../settings.js";
+
+// Measures every character as half an em wide.
+function measuringContext() {
+    return {
+        font: "",
+        fillText() {},
+        measureText(text) {
+            const size = Number(/(\d+(?:\.\d+)?)px/.exec(this.font)[1]);
+            return {width: Array.from(text).length * size / 2};
+        }
+    };
+}
+
+function job(settings, artist = "Artist", title = "Title") {
+    return {settings: {...defaultSettings, textEnabled: true, ...settings}, artist, title, width: 1024, height: 1024};
+}
+
+test("the text block sits at its anchor inside the safe area", () => {
+    const settings = {artistSize: 20, titleSize: 40, textSafeArea: 50, textAlign: "left"};
+    // At twice the preview size: the margin is 100, the lines 40 and 80 pixels in size, 120 and 200 wide.
+    const bottomRight = layoutText(measuringContext(), job({...settings, textAnchor: "bottom-right"}), 2);
+    assert.deepEqual(bottomRight.box, {x: 1024 - 100 - 200, y: 1024 - 100 - 144, width: 200, height: 144});
+    assert.deepEqual(bottomRight.lines.map(line => [line.text, line.x, line.y]),
+        [["Artist", 724, 804], ["Title", 724, 876]]);
+
+    const top = layoutText(measuringContext(), job({...settings, textAnchor: "top", textAlign: "right"}), 2);
+    assert.deepEqual([top.box.x, top.box.y], [(1024 - 200) / 2, 100]);
+    assert.equal(top.lines[0].x, top.box.x + 200 - 120);
+});
+
+test("tracking widens the lines", () => {
+    const layout = layoutText(measuringContext(), job({titleSize: 40, textTracking: 100, textAlign: "center"}, "", "ABC"), 1);
+    // Three characters of 20 pixels and two gaps of a tenth of an em
+    assert.equal(layout.box.width, 68);
+    assert.equal(layout.lines.length, 1);
+    assert.equal(layout.lines[0].tracking, 4);
+});
+
+test("there is no text to draw when it is off or empty", () => {
+    assert.equal(layoutText(measuringContext(), job({textEnabled: false}), 1), null);
+    assert.equal(layoutText(measuringContext(), job({}, " ", ""), 1), null);
+    assert.throws(() => layoutText({}, job({}), 1), /text support/);
+});
+
+test("the automatic color contrasts with the pixels under the text", () => {
+    const palette = ["#101820", "#f2e8d0", "#6493da"];
+    // Dark on the left half, light on the right
+    const width = 8;
+    const data = new Uint8ClampedArray(width * width * 4);
+    for (let i = 0; i < width * width; i++) {
+        data.fill(i % width < width / 2 ? 20 : 240, i * 4, i * 4 + 3);
+        data[i * 4 + 3] = 255;
+    }
+    const image = {data, width, height: width};
+    assert.equal(pickTextColor(palette, "auto", image, {x: 0, y: 0, width: 4, height: 8}), "#f2e8d0");
+    assert.equal(pickTextColor(palette, "auto", image, {x: 4, y: 2, width: 4, height: 3}), "#101820");
+    assert.equal(pickTextColor(palette, "darkest"), "#101820");
+    assert.equal(pickTextColor(palette, "white"), "#ffffff");
+});
@@ -0,0 +1,74 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {applyNoise, variableBoxBlurImageData} from "../pipeline.js";
+import {createDitherState, ditherImageData, ditherMethods} from "../dither.js";
+import {filters} from "../filters.js";
+
+function gradientImage(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const x = i % width;
+        const y = Math.floor(i / width);
+        data.set([(x * 3 + y) % 256, (y * 5) % 256, (x * y) % 256, 255], i * 4);
+    }
+    return {data, width, height};
+}
+
+function rows(image, start, end) {
+    const {data, width} = image;
+    return {data: data.slice(start * width * 4, end * width * 4), width, height: end - start};
+}
+
+test("dithering in bands with a carried state matches dithering the whole image", () => {
+    const image = gradientImage(50, 40);
+    const variants = [{shades: 12}, {shades: 3, serpentine: true}, {palette: ["#102030", "#e0c080", "#4080c0"]}];
+    for (const method of Object.keys(ditherMethods)) {
+        for (const variant of variants) {
+            const options = {method, ...variant};
+            const whole = ditherImageData(image, options);
+
+            const state = createDitherState(50);
+            const bands = [[0, 7], [7, 30], [30, 40]].map(([start, end]) =>
+                ditherImageData(rows(image, start, end), options, state));
+            const joined = new Uint8ClampedArray(whole.data.length);
+            let offset = 0;
+            for (const band of bands) {
+                joined.set(band.data, offset);
+                offset += band.data.length;
+            }
+            assert.deepEqual(joined, whole.data, JSON.stringify(options));
+        }
+    }
+});
+
+test("grain of a band matches the same rows of the whole image", () => {
+    const whole = applyNoise(gradientImage(30, 30), 1234, 0.1, 50);
+    const band = applyNoise(rows(gradientImage(30, 30), 10, 20), 1234, 0.1, 50, 0, 10);
+    assert.deepEqual(band.data, rows(whole, 10, 20).data);
+});
+
+test("blurring a band with its reach around it matches the same rows of the whole image", () => {
+    const image = gradientImage(60, 80);
+    const whole = variableBoxBlurImageData(image, 1, 9, {passes: 2});
+    const band = variableBoxBlurImageData(rows(image, 20, 70), 1, 9, {
+        passes: 2,
+        startRow: 20,
+        endRow: 40,
+        mapOffsetY: 20
+    });
+    assert.deepEqual(band.data, rows(whole, 40, 60).data);
+});
+
+test("a blur whose min radius exceeds its max radius reaches as far as its min radius", () => {
+    const image = gradientImage(60, 80);
+    const stage = {minRadius: 9, maxRadius: 1, passes: 2};
+    const reach = filters.blur.reach(stage, 1);
+    const whole = variableBoxBlurImageData(image, 9, 1, {passes: 2});
+    const band = variableBoxBlurImageData(rows(image, 40 - reach, 60 + reach), 9, 1, {
+        passes: 2,
+        startRow: reach,
+        endRow: reach + 20,
+        mapOffsetY: 40 - reach
+    });
+    assert.deepEqual(band.data, rows(whole, 40, 60).data);
+});
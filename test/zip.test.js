@@ -0,0 +1,46 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {createZip} from "../zip.js";
+import {crc32} from "../crc32.js";
+
+/**
+ * Reads the entries of a stored (uncompressed) ZIP archive through its central directory.
+ */
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054B50);
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(offset, true), 0x02014B50);
+        const crc = view.getUint32(offset + 16, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        const local = view.getUint32(offset + 42, true);
+        assert.equal(view.getUint32(local, true), 0x04034B50);
+        const dataStart = local + 30 + view.getUint16(local + 26, true);
+        const data = bytes.subarray(dataStart, dataStart + size);
+        assert.equal(crc32(data), crc, name);
+        entries.push({name, data});
+        offset += 46 + nameLength;
+    }
+    return entries;
+}
+
+test("a ZIP archive lists every file with its data and checksum", async () => {
+    const image = new Uint8Array([137, 80, 78, 71, 1, 2, 3]);
+    const blob = createZip([
+        {name: "42.png", data: image},
+        {name: "Künstler-42.png", data: image},
+        {name: "manifest.json", data: "{\"files\": []}"}
+    ], new Date(2024, 4, 17, 13, 45, 30));
+    assert.equal(blob.type, "application/zip");
+
+    const entries = readZip(new Uint8Array(await blob.arrayBuffer()));
+    assert.deepEqual(entries.map(entry => entry.name), ["42.png", "Künstler-42.png", "manifest.json"]);
+    assert.deepEqual(entries[1].data, image);
+    assert.equal(new TextDecoder().decode(entries[2].data), "{\"files\": []}");
+});
@@ -0,0 +1,189 @@
+// Typography overlay: the artist name and the release title set on the cover as a block of two lines,
+// placed at an anchor inside the safe area (the cover minus a margin on every side). Sizes, tracking and the
+// margin are in preview pixels like the other settings, so the text scales with the cover.
+// Drawing needs a 2D context with text support (a canvas or an OffscreenCanvas).
+
+import {contrastRatio, getSortedPalette, hexToRGB, relativeLuminance} from "./palette.js";
+
+/**
+ * Font families offered for the text, as [CSS font-family, label] pairs. Fonts uploaded on the page are
+ * added with registerFontFamily().
+ */
+export const fontFamilies = [
+    ["sans-serif", "Sans-serif"],
+    ["serif", "Serif"],
+    ["monospace", "Monospace"],
+    ["Helvetica, Arial, sans-serif", "Helvetica / Arial"],
+    ["Futura, 'Century Gothic', 'Trebuchet MS', sans-serif", "Futura"],
+    ["Georgia, 'Times New Roman', serif", "Georgia"],
+    ["'Courier New', Courier, monospace", "Courier"],
+    ["Impact, 'Arial Black', sans-serif", "Impact"]
+];
+
+/**
+ * Anchors of the text block in the safe area, mapped to its horizontal and vertical position (0 to 1).
+ */
+export const textAnchors = {
+    "top-left": {label: "Top left", x: 0, y: 0},
+    "top": {label: "Top", x: 0.5, y: 0},
+    "top-right": {label: "Top right", x: 1, y: 0},
+    "left": {label: "Left", x: 0, y: 0.5},
+    "center": {label: "Center", x: 0.5, y: 0.5},
+    "right": {label: "Right", x: 1, y: 0.5},
+    "bottom-left": {label: "Bottom left", x: 0, y: 1},
+    "bottom": {label: "Bottom", x: 0.5, y: 1},
+    "bottom-right": {label: "Bottom right", x: 1, y: 1}
+};
+
+/**
+ * How the text color is chosen. "auto" picks the palette color with the best contrast against the pixels
+ * under the text.
+ */
+export const textColorModes = {
+    "auto": "Best contrast (auto)",
+    "lightest": "Lightest palette color",
+    "darkest": "Darkest palette color",
+    "white": "White",
+    "black": "Black"
+};
+
+// Line height as a multiple of the font size
+const lineHeight = 1.2;
+
+/**
+ * Adds a font family (e.g. an uploaded font) to the families offered for the text.
+ */
+export function registerFontFamily(value, label) {
+    if (!fontFamilies.some(([family]) => family === value)) {
+        fontFamilies.push([value, label]);
+    }
+}
+
+/**
+ * Lays out the text of a job {settings, artist, title, width, height} for a cover of width × height pixels
+ * (scale is the ratio of that size to the preview's). Returns null when there is no text to draw, otherwise
+ * {lines: [{text, font, x, y, tracking}], box: {x, y, width, height}} with each line's left end and middle,
+ * and the block's bounds, in cover pixels. ctx is only used to measure the text.
+ */
+export function layoutText(ctx, job, scale) {
+    const {settings, width, height} = job;
+    if (!settings.textEnabled) return null;
+    const lines = [
+        {text: (job.artist || "").trim(), size: settings.artistSize * scale},
+        {text: (job.title || "").trim(), size: settings.titleSize * scale}
+    ].filter(line => line.text && line.size > 0);
+    if (lines.length === 0) return null;
+    if (typeof ctx.fillText !== "function") {
+        throw new Error("Drawing text needs a canvas with text support.");
+    }
+
+    for (const line of lines) {
+        line.font = `${settings.textWeight} ${line.size}px ${settings.textFont}`;
+        // Tracking is given in thousandths of an em, as in design tools.
+        line.tracking = settings.textTracking / 1000 * line.size;
+        ctx.font = line.font;
+        line.width = trackedWidth(ctx, line.text, line.tracking);
+    }
+    const blockWidth = Math.max(...lines.map(line => line.width));
+    const blockHeight = lines.reduce((sum, line) => sum + line.size * lineHeight, 0);
+
+    // Place the block at its anchor in the safe area, even if it does not fit.
+    const margin = settings.textSafeArea * scale;
+    const anchor = textAnchors[settings.textAnchor] || textAnchors["bottom-left"];
+    const x = margin + anchor.x * (width - 2 * margin - blockWidth);
+    let y = margin + anchor.y * (height - 2 * margin - blockHeight);
+    const box = {x, y, width: blockWidth, height: blockHeight};
+
+    const align = {left: 0, center: 0.5, right: 1}[settings.textAlign] ?? 0;
+    return {
+        lines: lines.map(line => {
+            const lineY = y + line.size * lineHeight / 2;
+            y += line.size * lineHeight;
+            return {
+                text: line.text,
+                font: line.font,
+                x: x + align * (blockWidth - line.width),
+                y: lineY,
+                tracking: line.tracking
+            };
+        }),
+        box
+    };
+}
+
+/**
+ * Draws laid out text (see layoutText) in the given color.
+ */
+export function drawText(ctx, layout, color) {
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    for (const {text, font, x, y, tracking} of layout.lines) {
+        ctx.font = font;
+        if (tracking === 0) {
+            ctx.fillText(text, x, y);
+            continue;
+        }
+        // Place every character after the text before it (so kerning is kept) plus the tracking so far.
+        const characters = Array.from(text);
+        characters.forEach((character, index) => {
+            const before = characters.slice(0, index).join("");
+            ctx.fillText(character, x + ctx.measureText(before).width + index * tracking, y);
+        });
+    }
+    ctx.restore();
+}
+
+/**
+ * Returns the text color for the given mode (see textColorModes). For "auto", imageData is an image of the
+ * cover and region {x, y, width, height} the part of it under the text, in its pixels.
+ */
+export function pickTextColor(palette, mode, imageData, region) {
+    const sorted = getSortedPalette(palette);
+    switch (mode) {
+        case "lightest":
+            return sorted[sorted.length - 1];
+        case "darkest":
+            return sorted[0];
+        case "white":
+            return "#ffffff";
+        case "black":
+            return "#000000";
+    }
+
+    // The luminance of every pixel under the text
+    const {data, width, height} = imageData;
+    const luminances = [];
+    const left = Math.max(0, Math.floor(region.x));
+    const right = Math.min(width, Math.ceil(region.x + region.width));
+    const top = Math.max(0, Math.floor(region.y));
+    const bottom = Math.min(height, Math.ceil(region.y + region.height));
+    for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+            const i = (y * width + x) * 4;
+            luminances.push(relativeLuminance({r: data[i], g: data[i + 1], b: data[i + 2]}));
+        }
+    }
+    if (luminances.length === 0) return sorted[sorted.length - 1];
+
+    // The color with the highest average contrast ratio against those pixels
+    let best = sorted[0];
+    let bestContrast = -1;
+    for (const color of sorted) {
+        const luminance = relativeLuminance(hexToRGB(color));
+        const contrast = luminances.reduce((sum, other) => sum + contrastRatio(luminance, other), 0) / luminances.length;
+        if (contrast > bestContrast) {
+            best = color;
+            bestContrast = contrast;
+        }
+    }
+    return best;
+}
+
+/**
+ * Width of a text with the given tracking added after every character but the last.
+ */
+function trackedWidth(ctx, text, tracking) {
+    return ctx.measureText(text).width + Math.max(0, Array.from(text).length - 1) * tracking;
+}
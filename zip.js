@@ -0,0 +1,88 @@
+// Minimal ZIP archive writer. Entries are stored without compression: the images inside are
+// already compressed, so deflating them again would only cost time.
+
+import {crc32} from "./crc32.js";
+
+// General purpose flag: file names are UTF-8
+const utf8Flag = 0x0800;
+const versionNeeded = 20;
+
+/**
+ * Builds a ZIP archive from `files`, a list of {name, data} where data is a Uint8Array or a string
+ * (written as UTF-8). Returns a Blob.
+ */
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const {time, day} = dosDateTime(date);
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === "string" ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        // Local file header
+        const local = new Uint8Array(30 + name.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, 0x04034B50, true);
+        localView.setUint16(4, versionNeeded, true);
+        localView.setUint16(6, utf8Flag, true);
+        localView.setUint16(8, 0, true); // Stored
+        localView.setUint16(10, time, true);
+        localView.setUint16(12, day, true);
+        localView.setUint32(14, crc, true);
+        localView.setUint32(18, data.length, true);
+        localView.setUint32(22, data.length, true);
+        localView.setUint16(26, name.length, true);
+        local.set(name, 30);
+
+        // Central directory entry
+        const central = new Uint8Array(46 + name.length);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint32(0, 0x02014B50, true);
+        centralView.setUint16(4, versionNeeded, true);
+        centralView.setUint16(6, versionNeeded, true);
+        centralView.setUint16(8, utf8Flag, true);
+        centralView.setUint16(10, 0, true);
+        centralView.setUint16(12, time, true);
+        centralView.setUint16(14, day, true);
+        centralView.setUint32(16, crc, true);
+        centralView.setUint32(20, data.length, true);
+        centralView.setUint32(24, data.length, true);
+        centralView.setUint16(28, name.length, true);
+        centralView.setUint32(42, offset, true);
+        central.set(name, 46);
+
+        parts.push(local, data);
+        centralDirectory.push(central);
+        offset += local.length + data.length;
+        // Without the ZIP64 extension offsets and sizes are 32-bit.
+        if (offset > 0xFFFFFFFF) {
+            throw new Error("The archive would be larger than 4 GB.");
+        }
+    }
+
+    const directorySize = centralDirectory.reduce((sum, entry) => sum + entry.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054B50, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, directorySize, true);
+    endView.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], {type: "application/zip"});
+}
+
+/**
+ * Returns the MS-DOS time and date fields of a (local) date. DOS dates start in 1980.
+ */
+function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}